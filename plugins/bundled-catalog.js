@@ -0,0 +1,62 @@
+import { quebec511, wfsUrl } from "../src/lib/providers/quebec511.js";
+
+/**
+ * Vite plugin: at build time, fetches the Québec 511 camera catalog from the
+ * WFS, normalizes it like the app does and emits it as a hashed JSON asset
+ * (`assets/catalog-<hash>.json`). The app imports `virtual:bundled-catalog`
+ * for the asset URL and generation time, and loads it when the live WFS is
+ * unreachable (no CORS, static hosting without rewrites).
+ *
+ * `Q511_BUNDLE_CATALOG`: unset = best effort (the build goes on without a
+ * catalog when the WFS can't be reached), `required` = fail the build, `off` = skip.
+ * The dev server never bundles: it has the proxy.
+ */
+
+export const CATALOG_FORMAT = 1; // bump when the item shape changes; older files are ignored
+const VIRTUAL = "virtual:bundled-catalog";
+const RESOLVED = `\0${VIRTUAL}`;
+const TIMEOUT_MS = 30_000;
+
+function withTimeout(promise, ms) {
+  let timer;
+  return Promise.race([
+    promise,
+    new Promise((_, reject) => { timer = setTimeout(() => reject(new Error(`timed out after ${ms / 1000}s`)), ms); }),
+  ]).finally(() => clearTimeout(timer));
+}
+
+export default function bundledCatalog() {
+  const mode = (process.env.Q511_BUNDLE_CATALOG || "").toLowerCase();
+  let command = "serve";
+
+  return {
+    name: "q511-bundled-catalog",
+    configResolved(config) {
+      command = config.command;
+    },
+    resolveId(id) {
+      if (id === VIRTUAL) return RESOLVED;
+    },
+    async load(id) {
+      if (id !== RESOLVED) return;
+      if (command !== "build" || mode === "off") return "export default null;";
+      let items;
+      try {
+        items = (await withTimeout(quebec511.load(), TIMEOUT_MS)).filter((c) => c.id);
+        if (!items.length) throw new Error("the WFS returned no cameras");
+      } catch (e) {
+        const msg = `Camera catalog not bundled: ${e.message}`;
+        if (mode === "required") this.error(msg);
+        this.warn(msg);
+        return "export default null;";
+      }
+      const generatedAt = new Date().toISOString();
+      const ref = this.emitFile({
+        type: "asset",
+        name: "catalog.json",
+        source: JSON.stringify({ format: CATALOG_FORMAT, generatedAt, source: wfsUrl("ms:infos_cameras"), items }),
+      });
+      return `export default { url: import.meta.ROLLUP_FILE_URL_${ref}, format: ${CATALOG_FORMAT}, generatedAt: ${JSON.stringify(generatedAt)}, count: ${items.length} };`;
+    },
+  };
+}
@@ -0,0 +1,216 @@
+import http from "node:http";
+import { createReadStream } from "node:fs";
+import { stat } from "node:fs/promises";
+import path from "node:path";
+import { fileURLToPath } from "node:url";
+import { createUpstream, createClientLimiter, upstreamUrl, rewriteManifest, isManifest } from "./proxy.js";
+
+/**
+ * Self-hosted server for wall displays: serves the built app (`dist/`) and
+ * proxies `/q511/*`, `/Carte/*` and `/Images/*` to quebec511.info through a
+ * shared cache, so twenty TVs on the same camera cost one upstream request
+ * per refresh instead of twenty. No dependencies beyond Node 18.
+ *
+ *   npm run build && npm start
+ *
+ * Configuration (environment):
+ *   PORT, HOST          listen address (8080, all interfaces)
+ *   BASE_PATH           mount point, e.g. `/cams` (default: root); the build
+ *                       needs the same base, see the README
+ *   DIST                directory of the built app (`dist`)
+ *   UPSTREAM            https://www.quebec511.info
+ *   SNAPSHOT_TTL_MS     how long a snapshot is shared between viewers (2000)
+ *   UPSTREAM_RPS        upstream requests per second, all viewers together (10)
+ *   CLIENT_MAX_PER_MIN  requests per client IP and minute, 0 = no limit (1200)
+ *   MAX_CACHE_MB        memory for cached snapshots and segments (128)
+ *   UPSTREAM_TIMEOUT_MS how long to wait for quebec511.info (10000)
+ *   TRUST_PROXY         1 behind a reverse proxy: clients are told apart by
+ *                       the address it adds to `X-Forwarded-For`
+ *
+ * A reverse proxy in front that mounts this server under another path can
+ * send `X-Forwarded-Prefix`; rewritten HLS URLs then start with it.
+ */
+
+const env = process.env;
+const PORT = Number(env.PORT) || 8080;
+const HOST = env.HOST || undefined;
+const BASE_PATH = (env.BASE_PATH || "").replace(/\/+$/, "");
+const ROOT = path.resolve(fileURLToPath(new URL("..", import.meta.url)), env.DIST || "dist");
+const UPSTREAM = env.UPSTREAM || "https://www.quebec511.info";
+const CLIENT_MAX = env.CLIENT_MAX_PER_MIN != null ? Number(env.CLIENT_MAX_PER_MIN) : 1200;
+const TRUST_PROXY = /^(1|true|yes)$/i.test(env.TRUST_PROXY || "");
+
+// streams sometimes live on other quebec511.info hosts, over plain https; anything else is refused
+const EXT_HOST = /(^|\.)quebec511\.info$/i;
+const EXT_PORTS = ["", "443"];
+
+/** True for `host` or `host:port` of a stream host this server may fetch from. */
+function allowExt(host) {
+  if (!/^[a-z0-9.-]+(:\d{1,5})?$/i.test(host)) return false;
+  let u;
+  try { u = new URL(`https://${host}`); } catch { return false; }
+  return EXT_HOST.test(u.hostname) && EXT_PORTS.includes(u.port);
+}
+
+const upstream = createUpstream({
+  snapshotTtlMs: Number(env.SNAPSHOT_TTL_MS) || undefined,
+  rate: Number(env.UPSTREAM_RPS) || undefined,
+  maxCacheBytes: env.MAX_CACHE_MB ? Number(env.MAX_CACHE_MB) * 1024 * 1024 : undefined,
+  timeoutMs: Number(env.UPSTREAM_TIMEOUT_MS) || undefined,
+});
+const clients = createClientLimiter(CLIENT_MAX);
+
+const TYPES = {
+  ".html": "text/html; charset=utf-8",
+  ".js": "text/javascript; charset=utf-8",
+  ".css": "text/css; charset=utf-8",
+  ".json": "application/json",
+  ".svg": "image/svg+xml",
+  ".png": "image/png",
+  ".jpg": "image/jpeg",
+  ".ico": "image/x-icon",
+  ".webmanifest": "application/manifest+json",
+  ".woff2": "font/woff2",
+  ".geojson": "application/geo+json",
+  ".txt": "text/plain; charset=utf-8",
+};
+
+function send(res, status, body, headers = {}) {
+  res.writeHead(status, { "content-type": "text/plain; charset=utf-8", ...headers });
+  res.end(body);
+}
+
+/**
+ * Upstream URL for a proxied path, or null for the app's own files; throws
+ * (a RangeError) for a proxied path that leads anywhere else.
+ */
+function route(pathname, search) {
+  let m;
+  if ((m = /^\/q511(\/.*)$/.exec(pathname))) return upstreamUrl(UPSTREAM, m[1] + search);
+  if (/^\/(Carte|Images)\//.test(pathname)) return upstreamUrl(UPSTREAM, pathname + search);
+  if ((m = /^\/_ext\/([^/]+)(\/.*)$/.exec(pathname))) {
+    if (!allowExt(m[1])) throw new RangeError(`Host not allowed: ${m[1]}`);
+    return upstreamUrl(`https://${m[1]}`, m[2] + search);
+  }
+  return null;
+}
+
+/** The client's address; behind a trusted proxy, the one it appended to `X-Forwarded-For`. */
+function clientIp(req) {
+  const forwarded = TRUST_PROXY && req.headers["x-forwarded-for"]?.split(",").pop().trim();
+  return forwarded || req.socket.remoteAddress;
+}
+
+async function proxy(req, res, target) {
+  let entry;
+  try {
+    entry = await upstream.get(target);
+  } catch (err) {
+    if (err.name === "TimeoutError") return send(res, 504, "Upstream timed out\n", { "x-cache": "ERROR" });
+    return send(res, 502, `Upstream unreachable: ${err.message}\n`, { "x-cache": "ERROR" });
+  }
+  let { body } = entry;
+  if (isManifest(entry)) {
+    const base = (req.headers["x-forwarded-prefix"] || "").replace(/\/+$/, "") + BASE_PATH;
+    body = Buffer.from(rewriteManifest(body.toString("utf8"), {
+      upstream: UPSTREAM,
+      base: entry.finalUrl,
+      prefix: `${base}/q511`,
+      extPrefix: `${base}/_ext`,
+      allowHost: allowExt,
+    }));
+  }
+  res.writeHead(entry.status, {
+    ...entry.headers,
+    "content-length": body.length,
+    "cache-control": "no-cache",
+    "access-control-allow-origin": "*",
+    "x-cache": entry.cache,
+  });
+  res.end(req.method === "HEAD" ? undefined : body);
+}
+
+async function serveStatic(req, res, pathname) {
+  let rel;
+  try {
+    rel = decodeURIComponent(pathname);
+  } catch {
+    return send(res, 400, "Bad request\n");
+  }
+  let file = path.join(ROOT, path.normalize(rel));
+  if (file !== ROOT && !file.startsWith(ROOT + path.sep)) return send(res, 403, "Forbidden\n");
+  let info = await stat(file).catch(() => null);
+  if (info?.isDirectory()) {
+    file = path.join(file, "index.html");
+    info = await stat(file).catch(() => null);
+  }
+  if (!info) {
+    // unknown paths get the app (deep links), missing assets a real 404
+    if (path.extname(rel)) return send(res, 404, "Not found\n");
+    file = path.join(ROOT, "index.html");
+    info = await stat(file).catch(() => null);
+    if (!info) return send(res, 404, `No build in ${ROOT}, run npm run build\n`);
+  }
+  const hashed = rel.startsWith("/assets/");
+  const headers = {
+    "content-type": TYPES[path.extname(file).toLowerCase()] || "application/octet-stream",
+    "content-length": info.size,
+    "cache-control": hashed ? "public, max-age=31536000, immutable" : "no-cache",
+    "last-modified": info.mtime.toUTCString(),
+  };
+  if (req.method === "HEAD") return send(res, 200, undefined, headers);
+  // headers go out once the file is open, so a file gone since `stat` is still a clean 500
+  const stream = createReadStream(file);
+  stream.on("open", () => {
+    res.writeHead(200, headers);
+    stream.pipe(res);
+  });
+  stream.on("error", () => {
+    if (res.headersSent) res.destroy();
+    else send(res, 500, "Could not read file\n");
+  });
+}
+
+async function handle(req, res) {
+  if (req.method !== "GET" && req.method !== "HEAD") return send(res, 405, "Method not allowed\n", { allow: "GET, HEAD" });
+  let url;
+  try {
+    url = new URL(req.url, "http://localhost");
+  } catch {
+    return send(res, 400, "Bad request\n");
+  }
+  let { pathname } = url;
+  if (BASE_PATH) {
+    if (pathname === BASE_PATH) return send(res, 301, "", { location: `${BASE_PATH}/${url.search}` });
+    if (!pathname.startsWith(`${BASE_PATH}/`)) return send(res, 404, "Not found\n");
+    pathname = pathname.slice(BASE_PATH.length);
+  }
+
+  if (pathname === "/healthz") {
+    return send(res, 200, JSON.stringify({ ok: true, cache: upstream.stats() }), { "content-type": "application/json", "cache-control": "no-store" });
+  }
+
+  let target;
+  try {
+    target = route(pathname, url.search);
+  } catch {
+    return send(res, 400, "Bad request\n");
+  }
+  if (!target) return serveStatic(req, res, pathname);
+
+  if (!clients.hit(clientIp(req))) return send(res, 429, "Too many requests\n", { "retry-after": String(clients.retryAfterSec()) });
+  return proxy(req, res, target);
+}
+
+// nothing a request does may take the server down with it
+const server = http.createServer((req, res) => {
+  handle(req, res).catch((err) => {
+    console.error(`${req.method} ${req.url}: ${err.stack || err}`);
+    if (res.headersSent) res.destroy();
+    else send(res, 500, "Internal server error\n");
+  });
+});
+
+server.listen(PORT, HOST, () => {
+  console.log(`q511 viewer on http://${HOST || "localhost"}:${PORT}${BASE_PATH}/ → ${UPSTREAM}`);
+});
@@ -0,0 +1,175 @@
+/**
+ * Upstream side of the bundled server: a caching, coalescing, rate-limited
+ * fetch to quebec511.info shared by every viewer.
+ *  - the `_rs` cache-buster the app adds is dropped, so all viewers of one
+ *    camera share a single upstream request per TTL
+ *  - concurrent misses for the same URL wait on one fetch (coalescing)
+ *  - upstream requests draw from a token bucket; when it is empty a stale copy
+ *    is served if there is one, else the request waits briefly, then gets a 503
+ *  - HLS manifests are cached as fetched; `rewriteManifest` points their
+ *    absolute URLs back at this server when they are served
+ *  - an upstream that doesn't answer within `timeoutMs` fails every viewer
+ *    waiting on it, rather than holding them all
+ */
+
+const MANIFEST_TYPES = /mpegurl/i;
+const IMAGE_TYPES = /^image\//i;
+const SEGMENT_TYPES = /^(video|audio)\/|mp2t|octet-stream/i;
+const SEGMENT_PATH = /\.(ts|m4s|mp4|aac|m4a)$/i;
+
+/** Token bucket: `rate` tokens per second, at most `burst` saved up. */
+export function createBucket(rate, burst = rate * 2) {
+  let tokens = burst;
+  let last = Date.now();
+  const refill = () => {
+    const now = Date.now();
+    tokens = Math.min(burst, tokens + ((now - last) / 1000) * rate);
+    last = now;
+  };
+  return {
+    take() {
+      refill();
+      if (tokens < 1) return false;
+      tokens -= 1;
+      return true;
+    },
+    /** Resolves true once a token is taken, false after `maxWaitMs`. */
+    async wait(maxWaitMs) {
+      const until = Date.now() + maxWaitMs;
+      while (!this.take()) {
+        if (Date.now() >= until) return false;
+        await new Promise((r) => setTimeout(r, Math.max(20, 1000 / rate)));
+      }
+      return true;
+    },
+  };
+}
+
+/** Per-client fixed-window counter; `hit(key)` is false once `max` requests were made in the window. */
+export function createClientLimiter(max, windowMs = 60_000) {
+  const counts = new Map();
+  let windowStart = Date.now();
+  return {
+    hit(key) {
+      if (!max) return true;
+      const now = Date.now();
+      if (now - windowStart >= windowMs) { counts.clear(); windowStart = now; }
+      const n = (counts.get(key) || 0) + 1;
+      counts.set(key, n);
+      return n <= max;
+    },
+    retryAfterSec: () => Math.max(1, Math.ceil((windowStart + windowMs - Date.now()) / 1000)),
+  };
+}
+
+/**
+ * Upstream URL without the app's `_rs` cache-buster; also the cache key.
+ * Throws for a path that would leave `upstream`: `//host/x` and `/\host/x`
+ * are host-relative URLs, not paths.
+ */
+export function upstreamUrl(upstream, pathAndQuery) {
+  if (!/^\/(?![/\\])/.test(pathAndQuery)) throw new RangeError(`Not a path: ${pathAndQuery}`);
+  const u = new URL(pathAndQuery, upstream);
+  if (u.origin !== new URL(upstream).origin) throw new RangeError(`Not on ${upstream}: ${pathAndQuery}`);
+  u.searchParams.delete("_rs");
+  return u.href;
+}
+
+/**
+ * Rewrites the URLs of an HLS manifest (segment lines and `URI="…"`
+ * attributes) so players fetch them through this server: URLs on the
+ * upstream origin go to `prefix` + path, other allowed hosts (`allowHost`
+ * gets host and port) to `extPrefix/<host>` + path. Without `base` (the URL the manifest was
+ * finally fetched from, after redirects) relative URLs are left alone, since
+ * they already resolve against the proxied manifest URL.
+ */
+export function rewriteManifest(text, { upstream, base, prefix, extPrefix, allowHost }) {
+  const origin = new URL(upstream).origin;
+  const map = (uri) => {
+    let u;
+    try { u = new URL(uri, base); } catch { return uri; } // relative, no base
+    if (u.origin === origin) return `${prefix}${u.pathname}${u.search}`;
+    if (/^https?:$/.test(u.protocol) && allowHost(u.host)) return `${extPrefix}/${u.host}${u.pathname}${u.search}`;
+    return uri;
+  };
+  return text
+    .split(/\r?\n/)
+    .map((line) => {
+      const trimmed = line.trim();
+      if (!trimmed) return line;
+      if (trimmed.startsWith("#")) return line.replace(/URI="([^"]+)"/g, (m, uri) => `URI="${map(uri)}"`);
+      return map(trimmed);
+    })
+    .join("\n");
+}
+
+/** True for an HLS playlist, by content type or, failing that, by its first bytes. */
+export const isManifest = ({ headers, body }) =>
+  MANIFEST_TYPES.test(headers["content-type"] || "") || body.subarray(0, 7).toString() === "#EXTM3U";
+
+/**
+ * `{ get(url) }` resolving `{ status, headers, body, finalUrl, cache }`
+ * (`cache`: "HIT" | "MISS" | "STALE" | "COALESCED" | "LIMITED").
+ */
+export function createUpstream({ snapshotTtlMs = 2000, manifestTtlMs = 1000, segmentTtlMs = 30_000, maxCacheBytes = 128 * 1024 * 1024, rate = 10, maxWaitMs = 2000, timeoutMs = 10_000, userAgent = "q511-viewer-proxy" } = {}) {
+  const cache = new Map(); // url → { status, headers, body, expires }, oldest first
+  const inFlight = new Map();
+  const bucket = createBucket(rate);
+  let bytes = 0;
+
+  const ttlFor = (url, type, body) => {
+    if (isManifest({ headers: { "content-type": type }, body })) return manifestTtlMs;
+    if (IMAGE_TYPES.test(type)) return snapshotTtlMs;
+    if (SEGMENT_TYPES.test(type) || SEGMENT_PATH.test(new URL(url).pathname)) return segmentTtlMs;
+    return 0;
+  };
+
+  const store = (url, entry) => {
+    const old = cache.get(url);
+    if (old) { bytes -= old.body.length; cache.delete(url); }
+    cache.set(url, entry);
+    bytes += entry.body.length;
+    for (const [k, v] of cache) { // evict oldest first
+      if (bytes <= maxCacheBytes) break;
+      cache.delete(k);
+      bytes -= v.body.length;
+    }
+  };
+
+  async function fetchUpstream(url) {
+    // the signal also covers reading the body; the rejection clears `inFlight`
+    const res = await fetch(url, { headers: { "user-agent": userAgent, accept: "*/*" }, redirect: "follow", signal: AbortSignal.timeout(timeoutMs) });
+    const type = res.headers.get("content-type") || "";
+    const body = Buffer.from(await res.arrayBuffer());
+    const headers = { "content-type": type || "application/octet-stream" };
+    for (const h of ["last-modified", "etag"]) if (res.headers.get(h)) headers[h] = res.headers.get(h);
+    // errors are kept for the same short TTL, so a dead camera isn't re-asked by every viewer
+    const ttl = res.status < 500 ? ttlFor(url, type, body) || (res.ok ? 0 : snapshotTtlMs) : 0;
+    const entry = { status: res.status, headers, body, finalUrl: res.url || url, expires: Date.now() + ttl };
+    if (ttl) store(url, entry);
+    return entry;
+  }
+
+  return {
+    async get(url) {
+      const fresh = () => {
+        const hit = cache.get(url);
+        return hit && hit.expires > Date.now() ? hit : null;
+      };
+      let hit = fresh();
+      if (hit) return { ...hit, cache: "HIT" };
+      if (inFlight.has(url)) return { ...(await inFlight.get(url)), cache: "COALESCED" };
+      if (!bucket.take()) {
+        if (cache.has(url)) return { ...cache.get(url), cache: "STALE" };
+        if (!(await bucket.wait(maxWaitMs))) return { status: 503, headers: { "retry-after": "1", "content-type": "text/plain" }, body: Buffer.from("Upstream rate limit, retry shortly\n"), cache: "LIMITED" };
+        // another viewer may have fetched it while we waited
+        if ((hit = fresh())) return { ...hit, cache: "HIT" };
+        if (inFlight.has(url)) return { ...(await inFlight.get(url)), cache: "COALESCED" };
+      }
+      const job = fetchUpstream(url).finally(() => inFlight.delete(url));
+      inFlight.set(url, job);
+      return { ...(await job), cache: "MISS" };
+    },
+    stats: () => ({ entries: cache.size, bytes, inFlight: inFlight.size }),
+  };
+}
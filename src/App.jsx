@@ -1,12 +1,46 @@
-import React, { useEffect, useMemo, useRef, useState } from "react";
-import { Play, Pause, SkipForward, SkipBack, RefreshCw, Filter, Search, Shuffle, ExternalLink, MapPin, Timer, Image as ImageIcon, Video as VideoIcon, AlertTriangle, Clock, Globe, Bug } from "lucide-react";
+import React, { useCallback, useEffect, useMemo, useRef, useState } from "react";
+import { Play, Pause, SkipForward, SkipBack, RefreshCw, Filter, Search, Shuffle, ExternalLink, MapPin, Timer, Image as ImageIcon, Video as VideoIcon, AlertTriangle, Clock, Globe, Bug, Pin, PinOff, LayoutGrid, Map as MapIcon, Star, Plus, ListVideo, HeartPulse, Languages, Route as RouteIcon, ArrowLeftRight, LocateFixed, Crosshair, X, Maximize, Minimize, Keyboard, History, Snowflake, Film, Database, Construction, Activity, Sun, CalendarClock, Monitor, MonitorUp } from "lucide-react";
 import { Button } from "@/components/ui/button";
 import { Input } from "@/components/ui/input";
 import { Card, CardContent } from "@/components/ui/card";
 import { Switch } from "@/components/ui/switch";
 import { Slider } from "@/components/ui/slider";
 import { DropdownMenu, DropdownMenuContent, DropdownMenuItem, DropdownMenuLabel, DropdownMenuSeparator, DropdownMenuTrigger } from "@/components/ui/dropdown-menu";
-import Papa from "papaparse";
+import { CameraMap } from "@/components/camera-map";
+import { PlaylistPanel, SOURCE_FILTER } from "@/components/playlist-panel";
+import { HealthPanel } from "@/components/health-panel";
+import { CorridorStrip } from "@/components/corridor-strip";
+import { CatalogStatus } from "@/components/catalog-status";
+import { ShortcutHelp } from "@/components/shortcut-help";
+import { HistoryPanel } from "@/components/history-panel";
+import { SourcePanel } from "@/components/source-panel";
+import { EventChip, EventDrawer } from "@/components/traffic-events";
+import { LiveStats } from "@/components/live-stats";
+import { DaylightBadge } from "@/components/daylight-badge";
+import { SchedulePanel } from "@/components/schedule-panel";
+import { LiveRegion, announce } from "@/components/ui/live-region";
+import { Highlight } from "@/components/search-highlight";
+import { inBox, hasCoords, haversineKm, parseLatLon, formatKm } from "@/lib/geo";
+import { usePlaylists, FAVORITES_ID } from "@/lib/playlists";
+import { listRoutes, buildCorridor } from "@/lib/corridor";
+import { useHealth, isDown, isFrozen, recordSuccess, recordFailure, recordHash, dueForProbe, dueForRecheck, startRecheck } from "@/lib/health";
+import { useUrlState } from "@/lib/url-state";
+import { idbGet, idbSet } from "@/lib/idb";
+import { createTranslator, detectLang, I18nProvider, LANGS, useI18n } from "@/lib/i18n";
+import { recordFrame, HISTORY_SIZES } from "@/lib/history";
+import { fetchSnapshot, snapshotsReadable } from "@/lib/snapshot";
+import { perceptualHash } from "@/lib/phash";
+import { readCaptureTime } from "@/lib/capture-time";
+import { useHotkeys, useIdle, useWakeLock, enterFullscreen, exitFullscreen, useFullscreenExit } from "@/lib/kiosk";
+import { decodeImage, preloadCamera, takePreloaded } from "@/lib/preload";
+import { useLivePlayer, LIVE_MAX_FAILURES } from "@/lib/live-player";
+import { useBrightness, lightState, measureBrightness, recordBrightness, needsReading } from "@/lib/daylight";
+import { useRotationRules, scheduleAt, weightedCycle, dwellOf } from "@/lib/schedules";
+import { useScreenSync, MAX_SCREENS } from "@/lib/screens";
+import { createSearchIndex, parseQuery, searchCameras } from "@/lib/search";
+import { buildVariants, quebec511, demoProvider, DEMO, ORIGIN, useCameraSources, mapRows } from "@/lib/providers";
+import { useTrafficEvents, eventsNear } from "@/lib/events";
+import { bundledCatalog, loadBundledCatalog } from "@/lib/bundled-catalog";
 
 /**
  * Québec 511 – Cameras Slideshow (no-iframe, proxy‑friendly)
@@ -20,100 +54,164 @@ import Papa from "papaparse";
  */
 
 const DEFAULT_TZ = "America/Toronto";
-// Proxy-aware base (dev/prod). In dev, point Vite/Netlify/Vercel to rewrite `/q511/*` → https://www.quebec511.info/*
-const ORIGIN = (typeof import.meta !== 'undefined' && import.meta.env && import.meta.env.VITE_Q511_BASE)
-  ? import.meta.env.VITE_Q511_BASE
-  : (typeof window !== 'undefined' && (window.location.hostname === 'localhost' || window.location.hostname.endsWith('.local'))
-      ? '/q511'
-      : 'https://www.quebec511.info');
-
-const ENDPOINTS = {
-  geojson:
-    "https://ws.mapserver.transports.gouv.qc.ca/swtq?service=wfs&version=2.0.0&request=getfeature&typename=ms:infos_cameras&outfile=Camera&srsname=EPSG:4326&outputformat=geojson",
-  csv:
-    "https://ws.mapserver.transports.gouv.qc.ca/swtq?service=wfs&version=2.0.0&request=getfeature&typename=ms:infos_cameras&outfile=Camera&outputformat=csv",
+
+const SETTINGS_SCHEMA = {
+  region: { param: "region", def: "Outaouais", type: "string", push: true },
+  query: { param: "q", def: "", type: "string", persist: false },
+  dwellSec: { param: "dwell", def: 10, type: "int", min: 3, max: 30 },
+  autoplay: { param: "play", def: true, type: "bool" },
+  shuffle: { param: "shuffle", def: false, type: "bool" },
+  live: { param: "live", def: false, type: "bool" },
+  liveStats: { param: "stats", def: false, type: "bool" }, // latency / buffer / bitrate overlay on live video
+  refreshMs: { param: "refresh", def: 1500, type: "int", min: 500, max: 5000 },
+  restartSec: { param: "edge", def: 5, type: "int", min: 2, max: 20 },
+  tz: { param: "tz", def: DEFAULT_TZ, type: "string" },
+  gridSize: { param: "grid", def: 1, type: "int", min: 1, max: 4, push: true },
+  skipDead: { param: "skipdead", def: true, type: "bool" },
+  route: { param: "route", def: "", type: "string", push: true }, // corridor mode when set
+  dir: { param: "dir", def: "fwd", type: "string" }, // "fwd" | "rev" along the corridor
+  near: { param: "near", def: "", type: "string" }, // "lat,lon" centre of the proximity filter
+  radiusKm: { param: "radius", def: 30, type: "int", min: 1, max: 300 },
+  catalogMin: { param: "catalog", def: 0, type: "int", min: 0, max: 1440 }, // catalog auto-refresh, 0 = off
+  lang: { param: "lang", def: detectLang(), type: "string" }, // "fr" | "en"
+  freezeMin: { param: "freeze", def: 10, type: "int", min: 0, max: 120 }, // no new picture for this long = frozen, 0 = off
+  skipFrozen: { param: "skipfrozen", def: false, type: "bool" },
+  staleMin: { param: "stale", def: 5, type: "int", min: 1, max: 120 }, // snapshot age that gets a warning colour
+  historyMax: { param: "history", def: 0, type: "int", min: 0, max: 500 }, // snapshots kept per camera, 0 = off
+  events: { param: "events", def: true, type: "bool" }, // traffic events near the cameras
+  eventsFirst: { param: "eventsfirst", def: false, type: "bool" }, // rotation starts with cameras near active events
+  transition: { param: "fx", def: "fade", type: "string" }, // camera-change animation: "none" | "fade" | "slide"
+  daylight: { param: "daylight", def: "off", type: "string" }, // cameras in darkness: "off" | "badge" | "last" | "skip"
+  schedules: { param: "sched", def: false, type: "bool" }, // time-of-day schedules pick the source (lib/schedules)
+  kiosk: { param: "kiosk", def: false, type: "bool", persist: false }, // fullscreen player only; bookmark ?kiosk=1 for wall TVs
+  cam: { param: "cam", def: "", type: "string", persist: false },
+  screen: { param: "screen", def: 0, type: "int", min: 0, max: MAX_SCREENS, persist: false }, // display window N of a screens setup (lib/screens), 0 = regular window
 };
 
-function normalizeCamera(r) {
-  return {
-    id: String(r.IDEcamera || r.idecamera || r.id || ""),
-    number: String(r.NumeroCamera || r.numerocamera || ""),
-    nameFr: (r.DescriptionLocalisationFr || "").trim(),
-    nameEn: (r.DescriptionLocalisationEn || "").trim(),
-    since: (r.DateDebutDiffusion || "").trim(),
-    route: String(r.NumeroRoute || "").trim(),
-    region: (r.NomRegionDiffusion || "").trim(),
-    border: (r.NomPosteFrontalier || "").trim(),
-    bridge: (r.NomPontFrontalier || "").trim(),
-    url: (r.URL_FLUX_DONNEE || r.url_flux_donnee || r.url || "").trim(),
-    // some records include a direct image url (French key)
-    imgDirect: (r["url-image-en-direct"] || r.url_image_en_direct || "").trim?.() || "",
-    lat: r.lat,
-    lon: r.lon,
-  };
+// Settings a display window keeps its own instead of taking the controller's
+const SCREEN_LOCAL_KEYS = ["screen", "kiosk", "cam", "gridSize"];
+
+// Fields compared when diffing two catalog loads
+const DIFF_FIELDS = ["nameFr", "nameEn", "route", "region", "border", "bridge", "url", "imgDirect", "lat", "lon"];
+
+function diffCatalog(prev, next) {
+  const before = new Map(prev.map((c) => [c.id, c]));
+  const after = new Map(next.map((c) => [c.id, c]));
+  const added = next.filter((c) => !before.has(c.id));
+  const removed = prev.filter((c) => !after.has(c.id));
+  const changed = [];
+  for (const c of next) {
+    const old = before.get(c.id);
+    if (!old) continue;
+    const fields = DIFF_FIELDS.filter((f) => String(old[f] ?? "") !== String(c[f] ?? ""));
+    if (fields.length) changed.push({ before: old, after: c, fields });
+  }
+  return { added, removed, changed };
 }
 
-function useCameras() {
-  const [cameras, setCameras] = useState([]);
-  const [regions, setRegions] = useState([]);
+const CATALOG_CACHE = ["catalog", "wfs"]; // IndexedDB store, key
+
+/**
+ * Camera catalog: starts from the last good copy in IndexedDB (instant, and
+ * survives the WFS being down or CORS-blocked), or from the copy bundled at
+ * build time when that is newer, then refetches in place.
+ * `reload()` and the optional `refreshMin` interval refetch without a page
+ * reload; `diff` lists what changed since the previous load.
+ * Cameras from imported files (providers/file.js) are appended as they are.
+ */
+function useCameras({ refreshMin = 0 } = {}) {
+  const [wfsCameras, setCameras] = useState([]);
   const [loading, setLoading] = useState(true);
   const [error, setError] = useState("");
+  const [loadedAt, setLoadedAt] = useState(null);
+  const [origin, setOrigin] = useState(""); // "live" | "cache" | "bundle"
+  const [diff, setDiff] = useState(null); // { added, removed, changed, at }
+  const current = useRef([]);
+  const alive = useRef(true);
 
-  useEffect(() => {
-    let cancelled = false;
-    async function load() {
-      setLoading(true);
-      setError("");
-      try {
-        const gjRes = await fetch(ENDPOINTS.geojson, { cache: "no-store" });
-        if (gjRes.ok) {
-          const gj = await gjRes.json();
-          const items = (gj.features || []).map((f) => {
-            const p = f.properties || {};
-            const [lon, lat] = f.geometry?.coordinates || [undefined, undefined];
-            return normalizeCamera({ ...p, lat, lon });
-          });
-          if (!cancelled) {
-            setCameras(items);
-            setRegions(Array.from(new Set(items.map((c) => c.region))).sort());
-            setLoading(false);
-          }
-          return;
-        }
-        const res = await fetch(ENDPOINTS.csv, { cache: "no-store" });
-        if (!res.ok) throw new Error(`CSV fetch failed: ${res.status}`);
-        const text = await res.text();
-        const parsed = Papa.parse(text, { header: true, skipEmptyLines: true });
-        const items = parsed.data.map((row) => normalizeCamera(row));
-        if (!cancelled) {
-          setCameras(items);
-          setRegions(Array.from(new Set(items.map((c) => c.region))).sort());
-          setLoading(false);
-        }
-      } catch (e) {
-        if (!cancelled) {
-          setError("Failed to load cameras (maybe CORS). Try a dev proxy or build-time fetch.");
-          setLoading(false);
-        }
+  const apply = (items) => {
+    current.current = items;
+    setCameras(items);
+  };
+
+  // `quiet` loads (startup, interval) only surface a diff when something changed
+  const load = useCallback(async ({ quiet = false } = {}) => {
+    setLoading(true);
+    setError("");
+    try {
+      const items = await (DEMO ? demoProvider : quebec511).load();
+      if (!alive.current) return;
+      if (current.current.length) {
+        const d = diffCatalog(current.current, items);
+        if (!quiet || d.added.length || d.removed.length || d.changed.length) setDiff({ ...d, at: new Date() });
       }
+      apply(items);
+      setLoadedAt(new Date());
+      setOrigin(DEMO ? "demo" : "live");
+      if (!DEMO) idbSet(CATALOG_CACHE[0], CATALOG_CACHE[1], { items, savedAt: Date.now() }).catch(() => {});
+    } catch (e) {
+      if (!alive.current) return;
+      setError(current.current.length ? "refreshFailed" : "loadFailed"); // i18n keys under `catalog.`
+    } finally {
+      if (alive.current) setLoading(false);
     }
-    load();
-    return () => { cancelled = true; };
   }, []);
 
-  return { cameras, regions, loading, error, reload: () => window.location.reload() };
+  useEffect(() => {
+    alive.current = true;
+    if (DEMO) { // the sample catalog is all there is: no cached or bundled copy of the real one
+      load({ quiet: true });
+      return () => { alive.current = false; };
+    }
+    (async () => {
+      const cached = await idbGet(CATALOG_CACHE[0], CATALOG_CACHE[1]).catch(() => null);
+      const hasCache = !!cached?.items?.length;
+      // the bundled copy is only fetched when it beats what we have
+      const bundled = bundledCatalog && (!hasCache || bundledCatalog.generatedAt > cached.savedAt)
+        ? await loadBundledCatalog().catch(() => null)
+        : null;
+      if (!alive.current || current.current.length) return load({ quiet: true });
+      if (bundled?.length) {
+        apply(bundled);
+        setLoadedAt(bundledCatalog.generatedAt);
+        setOrigin("bundle");
+      } else if (hasCache) {
+        apply(cached.items);
+        setLoadedAt(new Date(cached.savedAt));
+        setOrigin("cache");
+      }
+      load({ quiet: true });
+    })();
+    return () => { alive.current = false; };
+  }, [load]);
+
+  useEffect(() => {
+    if (!refreshMin) return;
+    const t = setInterval(() => load({ quiet: true }), refreshMin * 60_000);
+    return () => clearInterval(t);
+  }, [refreshMin, load]);
+
+  const sources = useCameraSources();
+  const cameras = useMemo(() => {
+    const imported = sources.flatMap(mapRows);
+    return imported.length ? [...wfsCameras, ...imported] : wfsCameras;
+  }, [wfsCameras, sources]);
+  const regions = useMemo(() => Array.from(new Set(cameras.map((c) => c.region))).sort(), [cameras]);
+
+  return { cameras, regions, loading, error, loadedAt, origin, diff, clearDiff: () => setDiff(null), reload: () => load() };
 }
 
 function RegionFilter({ regions, value, onChange }) {
+  const { t } = useI18n();
   return (
     <DropdownMenu>
       <DropdownMenuTrigger asChild>
-        <Button variant="outline" className="gap-2"><Filter size={16}/> {value || "All regions"}</Button>
+        <Button variant="outline" className="gap-2"><Filter size={16}/> {value || t("region.all")}</Button>
       </DropdownMenuTrigger>
       <DropdownMenuContent align="start" className="max-h-80 overflow-auto">
-        <DropdownMenuLabel>Filter by region</DropdownMenuLabel>
+        <DropdownMenuLabel>{t("region.filterBy")}</DropdownMenuLabel>
         <DropdownMenuSeparator />
-        <DropdownMenuItem onClick={() => onChange("")}>All regions</DropdownMenuItem>
+        <DropdownMenuItem onClick={() => onChange("")}>{t("region.all")}</DropdownMenuItem>
         {regions.map((r) => (
           <DropdownMenuItem key={r} onClick={() => onChange(r)}>{r}</DropdownMenuItem>
         ))}
@@ -122,34 +220,57 @@ function RegionFilter({ regions, value, onChange }) {
   );
 }
 
-function extractIdFromFenetre(url) {
-  try {
-    const u = new URL(url);
-    const id = u.searchParams.get("id");
-    return id ? String(id) : "";
-  } catch {
-    return "";
-  }
-}
+/** Centre point (typed, geolocated or a camera) plus radius for the proximity filter. */
+function ProximityFilter({ near, radiusKm, onNearChange, onRadiusChange, camera }) {
+  const { t } = useI18n();
+  const [text, setText] = useState("");
+  const [msg, setMsg] = useState("");
+  useEffect(() => { setText(near ? `${near.lat}, ${near.lon}` : ""); }, [near?.lat, near?.lon]);
 
-function buildVariants(camera, salt = 0) {
-  const fen = camera?.url || "";
-  const id = extractIdFromFenetre(fen);
-  if (!id) return {};
-  const withSalt = (u) => (u ? `${u}${u.includes("?") ? "&" : "?"}_rs=${salt}` : u);
-  const primarySnap = camera?.imgDirect || `${ORIGIN}/Images/Cameras/Quebec/cam/${id}.jpg`;
-  return {
-    id,
-    snap: withSalt(primarySnap), // primary (dataset-provided or path)
-    jpg: withSalt(`${ORIGIN}/Carte/Fenetres/camera.ashx?id=${id}&format=jpg`), // alt
-    m3u8: withSalt(`${ORIGIN}/Carte/Fenetres/camera.ashx?id=${id}&format=m3u8`), // optional live
-    html: withSalt(fen),
+  const set = (p) => onNearChange(p && { lat: Number(Number(p.lat).toFixed(4)), lon: Number(Number(p.lon).toFixed(4)) });
+  const apply = () => {
+    if (!text.trim()) { setMsg(""); return set(null); }
+    const p = parseLatLon(text);
+    if (!p) return setMsg(t("near.badInput"));
+    setMsg("");
+    set(p);
   };
+  const locate = () => {
+    if (!navigator.geolocation) return setMsg(t("near.noGeo"));
+    setMsg(t("near.locating"));
+    navigator.geolocation.getCurrentPosition(
+      (pos) => { setMsg(""); set({ lat: pos.coords.latitude, lon: pos.coords.longitude }); },
+      (err) => setMsg(t("near.geoFailed", { msg: err.message })),
+      { timeout: 10000, maximumAge: 300000 }
+    );
+  };
+
+  return (
+    <div className="flex flex-wrap items-center gap-2">
+      <Crosshair size={16} className="opacity-70"/>
+      <span className="text-sm">{t("near.label")}</span>
+      <div className="w-44">
+        <Input value={text} onChange={(e) => setText(e.target.value)} onBlur={apply} onKeyDown={(e) => e.key === "Enter" && apply()} placeholder={t("near.placeholder")} />
+      </div>
+      <Button variant="outline" size="icon" onClick={locate} title={t("near.useLocation")}><LocateFixed size={16}/></Button>
+      <Button variant="outline" className="gap-2" onClick={() => camera && set(camera)} disabled={!hasCoords(camera)} title={t("near.currentCameraTitle")}>{t("near.currentCamera")}</Button>
+      {near && (
+        <>
+          <div className="flex items-center gap-2 w-48">
+            <Slider value={[radiusKm]} min={1} max={300} step={1} onValueChange={([v]) => onRadiusChange(v)} aria-label={t("near.radius")} aria-valuetext={`${radiusKm} km`} />
+            <span className="text-sm w-16 text-right">{radiusKm} km</span>
+          </div>
+          <Button variant="outline" size="icon" onClick={() => set(null)} title={t("near.clear")}><X size={16}/></Button>
+        </>
+      )}
+      {msg && <span className="text-xs text-muted-foreground">{msg}</span>}
+    </div>
+  );
 }
 
-function formatInZone(d, tz, hour24 = true) {
+function formatInZone(d, tz, hour24 = true, locale = "en-CA") {
   try {
-    return new Intl.DateTimeFormat("en-CA", {
+    return new Intl.DateTimeFormat(locale, {
       timeZone: tz,
       year: "numeric",
       month: "2-digit",
@@ -164,6 +285,40 @@ function formatInZone(d, tz, hour24 = true) {
   }
 }
 
+/**
+ * Tiny FIFO semaphore used by the grid to cap how many panes fetch at once.
+ * `acquire(start)` queues `start(release)`; call `release` when the load settles.
+ * The returned function cancels a queued job or releases a running one.
+ */
+function createLoadLimiter(max = 6) {
+  let active = 0;
+  const queue = [];
+  const pump = () => {
+    while (active < max && queue.length) queue.shift()();
+  };
+  return {
+    acquire(start) {
+      let state = "queued"; // "queued" | "running" | "done"
+      const release = () => {
+        if (state !== "running") return;
+        state = "done";
+        active--;
+        pump();
+      };
+      const job = () => { state = "running"; active++; start(release); };
+      queue.push(job);
+      pump();
+      return () => {
+        if (state === "queued") {
+          state = "done";
+          const i = queue.indexOf(job);
+          if (i >= 0) queue.splice(i, 1);
+        } else release();
+      };
+    },
+  };
+}
+
 function useNow(ms = 1000) {
   const [now, setNow] = useState(() => new Date());
   useEffect(() => {
@@ -173,100 +328,176 @@ function useNow(ms = 1000) {
   return now;
 }
 
-function MediaPane({ camera, tz, hour24, onLoaded, refreshMs = 1500, live = false, restartSec = 5 }) {
+// Camera-change animations (keyframes in index.css); "none" swaps instantly
+const TRANSITION_MS = 600;
+const TRANSITIONS = {
+  fade: { in: "cam-fade-in", out: "" },
+  slide: { in: "cam-slide-in", out: "cam-slide-out" },
+};
+const TRANSITION_NAMES = ["none", "fade", "slide"];
+
+// what happens to cameras in darkness (lib/daylight): a badge only, moved to the end of the rotation, or skipped
+const DAYLIGHT_MODES = ["off", "badge", "last", "skip"];
+
+const LIVE_RETRY_MS = 3 * 60_000; // a pane that fell back to snapshots tries its stream again after this
+const LIVE_STATUS = new Set(["loading", "stalled", "recovering", "retrying"]); // shown next to the LIVE badge
+
+function MediaPane({ camera, tz, hour24, onLoaded, refreshMs = 1500, live = false, restartSec = 5, limiter = null, compact = false, distanceKm = null, overlays = true, historyMax = 0, freezeMs = 0, staleMs = 5 * 60_000, transition = "none", incidents = null, liveStats = false, daylight = false }) {
   const videoRef = useRef(null);
-  const hlsRef = useRef(null);
-  const [salt, setSalt] = useState(0); // forces URL refresh
+  // forces URL refresh; starts from the clock (or a preload's salt) so no earlier session's cached frame matches
+  const [salt, setSalt] = useState(() => (camera && takePreloaded(camera.id)) ?? Date.now());
+  const mounted = useRef(false);
   const variants = useMemo(() => buildVariants(camera, salt), [camera?.id, salt]);
-  const [mode, setMode] = useState(live ? "hls" : "snap"); // "hls" | "snap" | "jpg"
-  const [timeInfo, setTimeInfo] = useState({ source: "", date: null });
+  const [mode, setMode] = useState(live && buildVariants(camera).m3u8 ? "hls" : "snap"); // "hls" | "snap" | "jpg"
+  const [timeInfo, setTimeInfo] = useState({ source: "", date: null, skewMs: 0 }); // source: "header" | "exif" | "local"
   const now = useNow(1000);
   const [debugUrl, setDebugUrl] = useState("");
   const [dead, setDead] = useState(false);
+  const { t, locale, camName, ago } = useI18n();
+  const frozen = isFrozen(useHealth(), camera?.id);
+  const brightness = useBrightness();
+  const light = daylight && camera ? lightState(camera, brightness, now.getTime()) : null;
+  const [ready, setReady] = useState(!limiter); // false while waiting for a limiter slot
+  const releaseRef = useRef(null);
+  const refreshTimer = useRef(null);
+  const [frame, setFrame] = useState(null); // { id, src } decoded picture on screen
+  const [leaving, setLeaving] = useState(null); // previous camera's picture while the transition runs
+  const frameRef = useRef(null);
+  const leaveTimer = useRef(null);
+  const [eventsOpen, setEventsOpen] = useState(false);
+
+  const cameraIdRef = useRef(camera?.id);
+  cameraIdRef.current = camera?.id;
 
   // reset when camera changes
   useEffect(() => {
     if (!camera) return;
-    setMode(live ? "hls" : "snap");
-    setTimeInfo({ source: "", date: null });
-    setSalt(0);
+    clearTimeout(refreshTimer.current);
+    setMode(live && buildVariants(camera).m3u8 ? "hls" : "snap"); // cameras without a stream stay on snapshots
+    setTimeInfo({ source: "", date: null, skewMs: 0 });
+    if (mounted.current) setSalt(takePreloaded(camera.id) ?? Date.now()); // the previous picture stays up until this camera's first frame decodes
+    mounted.current = true;
     setDead(false);
-    hlsRef.current?.destroy?.();
-    hlsRef.current = null;
+    setEventsOpen(false);
   }, [camera?.id, live]);
 
-  // periodic refresh (snapshots)
+  // Load gate (grid): every snapshot fetch takes a slot until it settles, a live stream until it plays
+  const gateKey = mode === "hls" ? `hls-${camera?.id}` : `${mode}-${camera?.id}-${salt}`;
   useEffect(() => {
+    if (!limiter) { setReady(true); return; }
     if (dead) return;
-    if (mode !== "snap" && mode !== "jpg") return;
-    const t = setInterval(() => setSalt((s) => s + 1), Math.max(500, refreshMs));
-    return () => clearInterval(t);
-  }, [mode, refreshMs, dead]);
+    setReady(false);
+    return limiter.acquire((release) => { releaseRef.current = release; setReady(true); });
+  }, [gateKey, limiter, dead]);
+
+  useEffect(() => () => { clearTimeout(refreshTimer.current); clearTimeout(leaveTimer.current); }, []);
+
+  // Snapshots refresh only after the previous frame settled: a slow download is never
+  // abandoned for a newer one, and in the grid a long queue can't starve a pane
+  const release = () => {
+    releaseRef.current?.();
+    releaseRef.current = null;
+  };
+  const settle = () => {
+    release();
+    clearTimeout(refreshTimer.current);
+    refreshTimer.current = setTimeout(() => setSalt((s) => s + 1), Math.max(500, refreshMs));
+  };
 
   const onSnapError = () => {
     setDead((was) => {
       if (was) return true; // already dead
-      if (mode === "snap") { setMode("jpg"); return false; }
+      if (mode === "snap" && variants.jpg) { setMode("jpg"); return false; }
       return true; // was jpg and failed → mark dead
     });
   };
 
-  // Live HLS (optional). Requires proxy/CORS.
+  // Live HLS (optional, requires proxy/CORS). The player recovers and retries on its own
+  // and only hands over to snapshots after repeated fatal errors
+  const player = useLivePlayer(videoRef, {
+    id: camera?.id,
+    enabled: live && mode === "hls" && ready,
+    srcFor: () => buildVariants(camera, Date.now()).m3u8,
+    maxDriftSec: restartSec,
+    onPlaying: (src) => {
+      release(); // the cap is on streams starting up, not on a wall of them playing
+      setDebugUrl(src);
+      recordSuccess(camera.id);
+      onLoaded?.();
+    },
+    onFallback: () => { setMode("snap"); setDead(false); },
+  });
+  const liveFallback = live && !!variants.m3u8 && mode !== "hls";
+  const backToLive = () => { setDead(false); setMode("hls"); };
   useEffect(() => {
+    if (!liveFallback) return;
+    const t = setTimeout(backToLive, LIVE_RETRY_MS);
+    return () => clearTimeout(t);
+  }, [liveFallback, camera?.id]);
+
+  // report to the session health registry
+  useEffect(() => { if (dead && camera?.id) recordFailure(camera.id); }, [dead, camera?.id]);
+  useEffect(() => {
+    if (!dead) return;
+    frameRef.current = null; // don't bring back a picture from before the failure
+    setFrame(null);
+  }, [dead]);
+
+  // Capture time of each new frame: headers/EXIF when the snapshot is readable, else our own load time
+  const setLoadedNow = (id, src) => {
+    settle();
+    recordSuccess(id);
+    const loadedAt = new Date();
+    inspectSnapshot(id, src, { historyMax, freezeMs, light: daylight, shown: true }).catch(() => null).then((info) => {
+      if (cameraIdRef.current !== id) return;
+      setTimeInfo(info?.captured ? info.captured : { source: "local", date: loadedAt, skewMs: 0 });
+    });
+    onLoaded?.();
+  };
+
+  // a new camera's first frame plays the transition; refreshes of the same camera swap in place
+  const showFrame = (next) => {
+    const prev = frameRef.current;
+    frameRef.current = next;
+    setFrame(next);
+    if (!prev || prev.id === next.id || !TRANSITIONS[transition]) return;
+    clearTimeout(leaveTimer.current);
+    setLeaving(prev);
+    leaveTimer.current = setTimeout(() => setLeaving(null), TRANSITION_MS);
+  };
+
+  // Double buffering: load and decode off-screen, then swap the finished frame in
+  const wantSrc = mode === "snap" ? variants.snap : mode === "jpg" ? variants.jpg : "";
+  useEffect(() => {
+    if (dead || !ready || !wantSrc) return;
     let cancelled = false;
-    async function attach() {
-      if (!live || mode !== "hls" || !variants.m3u8 || !videoRef.current) return;
-      try {
-        const Hls = (await import("hls.js")).default;
-        const hls = new Hls({ lowLatencyMode: true, liveSyncDurationCount: 1, backBufferLength: 0 });
-        hlsRef.current?.destroy?.();
-        hlsRef.current = hls;
-        hls.loadSource(variants.m3u8);
-        hls.attachMedia(videoRef.current);
-        hls.on(Hls.Events.MANIFEST_PARSED, () => {
-          try { hls.seekToLivePosition(); } catch {}
-          videoRef.current?.play?.();
-          setDebugUrl(variants.m3u8);
-          onLoaded?.();
-        });
-        hls.on(Hls.Events.ERROR, () => { if (!cancelled) { setMode("snap"); setDead(false); } });
-      } catch {
-        if (!cancelled) { setMode("snap"); setDead(false); }
+    const id = camera.id;
+    decodeImage(wantSrc).then(
+      () => {
+        if (cancelled) return;
+        showFrame({ id, src: wantSrc });
+        setLoadedNow(id, wantSrc);
+      },
+      () => {
+        if (cancelled) return;
+        release(); // the fallback URL loads right away, no refresh wait
+        onSnapError();
       }
-    }
-    attach();
+    );
     return () => { cancelled = true; };
-  }, [live, mode, variants.m3u8, onLoaded]);
+    // eslint-disable-next-line react-hooks/exhaustive-deps
+  }, [wantSrc, dead, ready]);
 
-  // Live: bump salt + seek live edge periodically
-  useEffect(() => {
-    if (!live || mode !== "hls" || !restartSec) return;
-    const t = setInterval(() => {
-      setSalt((s) => s + 1);
-      try { hlsRef.current?.seekToLivePosition?.(); } catch {}
-    }, Math.max(2, restartSec) * 1000);
-    return () => clearInterval(t);
-  }, [live, mode, restartSec]);
-
-  // Set time when something loads (fallback: local)
-  const setLoadedNow = () => { if (!timeInfo.date) setTimeInfo({ source: "Local", date: new Date() }); onLoaded?.(); };
-
-  const rel = useMemo(() => {
-    if (!timeInfo.date) return "";
-    const diff = Math.max(0, now - timeInfo.date);
-    const s = Math.round(diff / 1000);
-    if (s < 60) return `${s}s ago`;
-    const m = Math.floor(s / 60);
-    if (m < 60) return `${m}m ago`;
-    const h = Math.floor(m / 60);
-    return `${h}h ago`;
-  }, [now, timeInfo.date]);
+  const rel = useMemo(() => (timeInfo.date ? ago(timeInfo.date, now.getTime() + timeInfo.skewMs) : ""), [now, timeInfo, ago]);
+  const ageMs = timeInfo.date ? now.getTime() + timeInfo.skewMs - timeInfo.date.getTime() : 0;
+  const stale = timeInfo.source !== "local" && ageMs >= staleMs;
+  const ageTone = !stale ? "bg-black/60" : ageMs >= staleMs * 3 ? "bg-red-600/90" : "bg-amber-500/90";
 
   return (
     <div className="relative w-full h-full bg-black">
-      {live && mode === "hls" && (
+      {live && mode === "hls" && ready && (
         <video
-          key={`m3u8-${camera.id}-${salt}`}
+          key={`m3u8-${camera.id}`}
           ref={videoRef}
           className="w-full h-full"
           controls={false}
@@ -276,44 +507,56 @@ function MediaPane({ camera, tz, hour24, onLoaded, refreshMs = 1500, live = fals
           preload="auto"
         />
       )}
-      {!live && !dead && (mode === "snap" || mode === "jpg") && (
-        <img
-          key={`${mode}-${camera.id}-${salt}`}
-          src={mode === "snap" ? variants.snap : variants.jpg}
-          alt={camera.nameEn || camera.nameFr || camera.id}
-          className="w-full h-full object-contain bg-black"
-          onLoad={setLoadedNow}
-          onError={onSnapError}
-        />
+      {mode !== "hls" && !dead && frame && (
+        <div className="absolute inset-0 overflow-hidden">
+          {leaving && <img key={leaving.id} src={leaving.src} alt="" aria-hidden className={`absolute inset-0 w-full h-full object-contain ${TRANSITIONS[transition]?.out || ""}`}/>}
+          <img key={frame.id} src={frame.src} alt={camName(camera)} className={`absolute inset-0 w-full h-full object-contain ${leaving ? TRANSITIONS[transition]?.in || "" : ""}`}/>
+        </div>
       )}
       {dead && (
         <div className="absolute inset-0 grid place-items-center text-white text-sm p-4">
           <div className="flex flex-col items-center gap-3">
-            <div className="flex items-center gap-2 text-amber-300"><AlertTriangle size={16}/> Source blocked or unavailable</div>
-            <a href={camera.url} target="_blank" rel="noreferrer" className="inline-flex items-center gap-2 rounded-xl bg-white/10 hover:bg-white/20 px-3 py-2">
-              <ExternalLink size={14}/> Open original in new tab
-            </a>
+            <div className="flex items-center gap-2 text-amber-300"><AlertTriangle size={16}/> {t("media.blocked")}</div>
+            {!compact && (
+              <a href={camera.url} target="_blank" rel="noreferrer" className="inline-flex items-center gap-2 rounded-xl bg-white/10 hover:bg-white/20 px-3 py-2">
+                <ExternalLink size={14}/> {t("media.openOriginalTab")}
+              </a>
+            )}
           </div>
         </div>
       )}
+      {liveStats && live && mode === "hls" && ready && <LiveStats stats={player.stats} />}
+      {eventsOpen && incidents?.length > 0 && <EventDrawer matches={incidents} onClose={() => setEventsOpen(false)} />}
 
       {/* Overlays */}
-      <div className="absolute left-3 bottom-3 right-3 flex flex-wrap items-center gap-2 text-xs">
+      <div className={`absolute left-3 bottom-3 right-3 flex flex-wrap items-center gap-2 text-xs transition-opacity duration-500 ${overlays ? "" : "opacity-0"}`}>
         <span className="px-2 py-1 rounded-full bg-black/60 text-white flex items-center gap-1">
-          {live && mode === "hls" ? <VideoIcon size={14} /> : <ImageIcon size={14} />} {live && mode === "hls" ? "LIVE" : dead ? "UNAVAILABLE" : "SNAPSHOT"}
+          {live && mode === "hls" ? <VideoIcon size={14} /> : <ImageIcon size={14} />} {t(live && mode === "hls" ? "media.live" : dead ? "media.unavailable" : "media.snapshot")}
+          {live && mode === "hls" && LIVE_STATUS.has(player.status) && <span className="opacity-70 ml-1">{t(`live.status.${player.status}`, { n: player.attempt, max: LIVE_MAX_FAILURES - 1 })}</span>}
         </span>
-        <span className="px-2 py-1 rounded-full bg-black/60 text-white flex items-center gap-1"><MapPin size={14}/>{camera.region || "—"} · Rte {camera.route || "—"}</span>
-        {timeInfo.date && (
-          <span className="px-2 py-1 rounded-full bg-black/60 text-white flex items-center gap-1"><Clock size={14}/>
-            {formatInZone(timeInfo.date, tz, true)}
-            <span className="opacity-70 ml-1">(loaded)</span>
+        {liveFallback && (
+          <button onClick={backToLive} className="px-2 py-1 rounded-full bg-black/60 text-white flex items-center gap-1 hover:bg-black/70" title={t("live.fallbackTitle")}>
+            <VideoIcon size={14}/>{t("live.backToLive")}
+          </button>
+        )}
+        {light && <DaylightBadge camera={camera} state={light} tz={tz} hour24={hour24} compact={compact} />}
+        {frozen && !dead && <span className="px-2 py-1 rounded-full bg-sky-700/80 text-white flex items-center gap-1" title={t("media.frozenTitle")}><Snowflake size={14}/>{t("media.frozen")}</span>}
+        {!compact && <span className="px-2 py-1 rounded-full bg-black/60 text-white flex items-center gap-1"><MapPin size={14}/>{camera.region || "—"} · {t("media.route", { route: camera.route || "—" })}</span>}
+        {distanceKm != null && <span className="px-2 py-1 rounded-full bg-black/60 text-white flex items-center gap-1"><Crosshair size={14}/>{formatKm(distanceKm)}</span>}
+        {incidents?.length > 0 && <EventChip matches={incidents} onClick={() => setEventsOpen((o) => !o)} />}
+        {!compact && timeInfo.date && (
+          <span className="px-2 py-1 rounded-full bg-black/60 text-white flex items-center gap-1" title={t(`media.${timeInfo.source}Title`)}><Clock size={14}/>
+            {formatInZone(timeInfo.date, tz, true, locale)}
+            <span className="opacity-70 ml-1">{t(`media.${timeInfo.source}`)}</span>
           </span>
         )}
         {timeInfo.date && (
-          <span className="px-2 py-1 rounded-full bg-black/60 text-white">{rel}</span>
+          <span className={`px-2 py-1 rounded-full text-white flex items-center gap-1 ${ageTone}`} title={stale ? t("media.staleTitle") : undefined}>
+            {stale && <AlertTriangle size={14}/>}{rel}
+          </span>
         )}
-        <a href={camera.url} target="_blank" rel="noreferrer" className="px-2 py-1 rounded-full bg-black/60 text-white flex items-center gap-1 hover:bg-black/70"><ExternalLink size={14}/>Open original</a>
-        {debugUrl && (
+        {!compact && <a href={camera.url} target="_blank" rel="noreferrer" className="px-2 py-1 rounded-full bg-black/60 text-white flex items-center gap-1 hover:bg-black/70"><ExternalLink size={14}/>{t("media.openOriginal")}</a>}
+        {!compact && debugUrl && (
           <span className="px-2 py-1 rounded-full bg-black/50 text-white/80 hidden sm:flex items-center gap-1"><Bug size={14}/>src: {debugUrl.replace(ORIGIN, "").slice(0, 60)}…</span>
         )}
       </div>
@@ -321,196 +564,1088 @@ function MediaPane({ camera, tz, hour24, onLoaded, refreshMs = 1500, live = fals
   );
 }
 
+/**
+ * Reads a displayed snapshot back for its capture time, the history buffer,
+ * the frozen-feed check and the darkness cross-check. Resolves `{ captured }`
+ * (null when the file doesn't say), or null when the read failed or
+ * snapshots are unreadable (no CORS). `shown`: a pane has just displayed `url`.
+ */
+async function inspectSnapshot(id, url, { historyMax = 0, freezeMs = 0, light = false, shown = false } = {}) {
+  const snap = await fetchSnapshot(url, { shown });
+  if (!snap) return null;
+  const head = new Uint8Array(await snap.blob.slice(0, 128 * 1024).arrayBuffer()); // EXIF sits at the start
+  const captured = readCaptureTime({ headers: snap.headers, bytes: head, fetchedAt: snap.fetchedAt });
+  if (historyMax) recordFrame(id, snap.blob, historyMax, captured?.date.getTime()).catch(() => {});
+  if (freezeMs) recordHash(id, await perceptualHash(snap.blob).catch(() => ""), freezeMs);
+  if (light) recordBrightness(id, await measureBrightness(snap.blob).catch(() => NaN));
+  return { captured };
+}
+
+/** Loads an image URL off-screen; resolves true on load, false on error or timeout. */
+function probeImage(src, timeoutMs = 8000) {
+  return new Promise((resolve) => {
+    if (!src) return resolve(false);
+    const img = new Image();
+    const t = setTimeout(() => { img.src = ""; resolve(false); }, timeoutMs);
+    img.onload = () => { clearTimeout(t); resolve(true); };
+    img.onerror = () => { clearTimeout(t); resolve(false); };
+    img.src = src;
+  });
+}
+
+/**
+ * Background re-probe of dead cameras: every few seconds, cameras whose
+ * backoff elapsed get both snapshot variants tried and the result recorded.
+ * Frozen cameras get their snapshot re-hashed now and then, so one that
+ * recovers while being skipped can come back.
+ */
+function useHealthProbe(camerasById, enabled = true, freezeMs = 0) {
+  const inFlight = useRef(new Set());
+  useEffect(() => {
+    if (!enabled) return;
+    const t = setInterval(() => {
+      const due = dueForProbe().filter((id) => !inFlight.current.has(id)).slice(0, 3);
+      for (const id of due) {
+        const camera = camerasById.get(id);
+        if (!camera) continue;
+        inFlight.current.add(id);
+        const v = buildVariants(camera, Date.now());
+        (async () => {
+          const ok = (await probeImage(v.snap)) || (await probeImage(v.jpg));
+          inFlight.current.delete(id);
+          if (ok) recordSuccess(id);
+          else recordFailure(id);
+        })();
+      }
+      // rechecks need the bytes: while reads are refused they wait, still due
+      const stale = freezeMs && snapshotsReadable() ? dueForRecheck().filter((id) => !inFlight.current.has(id)).slice(0, 2) : [];
+      for (const id of stale) {
+        const camera = camerasById.get(id);
+        if (!camera) continue;
+        inFlight.current.add(id);
+        startRecheck(id);
+        (async () => {
+          const src = buildVariants(camera, Date.now()).snap;
+          try {
+            // a failed read isn't a dead camera unless the picture won't load either
+            if (!(await inspectSnapshot(id, src, { freezeMs })) && !(await probeImage(src))) recordFailure(id);
+          } catch {
+            // unreadable bytes: the camera stays frozen, due again after the recheck interval
+          } finally {
+            inFlight.current.delete(id);
+          }
+        })();
+      }
+    }, 5000);
+    return () => clearInterval(t);
+  }, [camerasById, enabled, freezeMs]);
+}
+
+const LIGHT_RETRY_MS = 15 * 60_000;
+
+/**
+ * Brightness readings for cameras the rotation moves away or skips in the
+ * dark: they are never on screen, so a lit one would otherwise never be
+ * noticed. One snapshot every few seconds, cameras without a recent reading
+ * first; stops for the session if snapshots can't be read (no proxy).
+ */
+function useLightProbe(items, lightById, enabled) {
+  const ref = useRef({ items, lightById });
+  ref.current = { items, lightById };
+  useEffect(() => {
+    if (!enabled) return;
+    let busy = false;
+    const tried = new Map(); // id → time, so a camera whose snapshot won't load doesn't hold up the others
+    const t = setInterval(async () => {
+      if (busy || !snapshotsReadable()) return;
+      const { items: list, lightById: light } = ref.current;
+      const now = Date.now();
+      const camera = list.find((c) => light?.get(c.id) === "night" && needsReading(c.id, now) && now - (tried.get(c.id) ?? 0) > LIGHT_RETRY_MS);
+      if (!camera) return;
+      busy = true;
+      tried.set(camera.id, now);
+      try {
+        await inspectSnapshot(camera.id, buildVariants(camera, now).snap, { light: true });
+      } catch {
+        // undecodable or cross-origin: `tried` holds this camera back for LIGHT_RETRY_MS
+      } finally {
+        busy = false;
+      }
+    }, 4000);
+    return () => clearInterval(t);
+  }, [enabled]);
+}
+
+/** Cameras of a schedule source: "filter", "all", `region:<name>` or `playlist:<id>`. */
+function itemsForSource(value, { filtered, mappable, camerasById, playlists }) {
+  if (value === "filter") return filtered;
+  if (value === "all") return mappable;
+  if (value.startsWith("region:")) {
+    const region = value.slice("region:".length);
+    return mappable.filter((c) => c.region === region);
+  }
+  const list = value.startsWith("playlist:") && playlists.find((l) => l.id === value.slice("playlist:".length));
+  return list ? list.ids.map((id) => camerasById.get(id)).filter((c) => c && !!c.url) : [];
+}
+
+/**
+ * `list` in a random order that holds across catalog refetches: cameras keep
+ * their places, new ones are dealt in at random ones. Turning it on deals afresh.
+ */
 function useShuffle(list, enabled) {
+  const order = useRef([]); // ids, as last dealt
   return useMemo(() => {
-    if (!enabled) return list;
-    const arr = [...list];
-    for (let i = arr.length - 1; i > 0; i--) {
-      const j = Math.floor(Math.random() * (i + 1));
-      [arr[i], arr[j]] = [arr[j], arr[i]];
+    if (!enabled) {
+      order.current = [];
+      return list;
     }
+    const byId = new Map(list.map((c) => [c.id, c]));
+    const arr = order.current.filter((id) => byId.has(id)).map((id) => byId.get(id));
+    const kept = new Set(order.current);
+    for (const c of list) {
+      if (kept.has(c.id)) continue;
+      arr.splice(Math.floor(Math.random() * (arr.length + 1)), 0, c);
+    }
+    order.current = arr.map((c) => c.id);
     return arr;
   }, [list, enabled]);
 }
 
-function Slideshow({ items, dwellSec = 10, autoplay = true, shuffle = false, tz, hour24, live = false, refreshMs = 1500, restartSec = 5 }) {
+/**
+ * Applies an external `{ id, nonce }` jump request once the camera shows up in `list`
+ * (it may arrive a render later, e.g. after the filters were cleared to reveal it).
+ */
+function useJumpTo(jumpTo, list, goTo) {
+  const handled = useRef(null);
+  useEffect(() => {
+    if (!jumpTo || handled.current === jumpTo.nonce) return;
+    const i = list.findIndex((c) => c.id === jumpTo.id);
+    if (i < 0) return;
+    handled.current = jumpTo.nonce;
+    goTo(i);
+  }, [jumpTo, list, goTo]);
+}
+
+const PRELOAD_AHEAD = 2; // cameras the slideshow loads ahead of the current one
+
+/**
+ * Single-camera player. In `kiosk` mode it fills the viewport and its controls
+ * float over the picture, fading out (with the chips) while `idle`.
+ * `toolbar` is extra controls rendered at the end of the control bar.
+ * `transition` ("none" | "fade" | "slide") animates camera changes.
+ * `eventsById` maps camera ids to nearby traffic events (`eventsNear`).
+ * `lightById` maps camera ids to their light state (lib/daylight); with
+ * `skipDark`, cameras in the dark are passed over like dead ones.
+ * `cameraRules` (lib/schedules) gives cameras their own dwell time.
+ * Screens (lib/screens): a controller passes `onRotation`, told the cameras
+ * of the next slots, and `command` from the displays; a display passes
+ * `follow` (`{ playing, onCommand }`) and just shows `items`, its controls
+ * going to the controller.
+ */
+
+function Slideshow({ items, dwellSec = 10, autoplay = true, shuffle = false, tz, hour24, live = false, refreshMs = 1500, restartSec = 5, jumpTo = null, onCurrentChange, favorites, onToggleFavorite, skipDead = true, distances = null, kiosk = false, idle = false, toolbar = null, historyMax = 0, freezeMs = 0, skipFrozen = false, staleMs, transition = "none", eventsById = null, liveStats = false, lightById = null, skipDark = false, cameraRules = null, onRotation = null, command = null, follow = null }) {
   const list = useShuffle(items, shuffle);
   const [index, setIndex] = useState(0);
-  const [playing, setPlaying] = useState(autoplay);
+  const [ownPlaying, setPlaying] = useState(autoplay);
+  const playing = follow ? follow.playing : ownPlaying;
   const current = list[index % Math.max(list.length, 1)];
+  const health = useHealth();
+  const dark = (c) => skipDark && lightById?.get(c.id) === "night";
+  const skip = (c) => (skipDead && isDown(health, c.id)) || (skipFrozen && isFrozen(health, c.id)) || dark(c);
+  const anyUp = useMemo(() => list.some((c) => !isDown(health, c.id) && !(skipFrozen && isFrozen(health, c.id)) && !dark(c)), [list, health, skipFrozen, skipDark, lightById]);
+  const { t, camName } = useI18n();
+
+  // the catalog refetches in place: stay on the same camera (or its spot, if it left) when the list changes
+  const [shownList, setShownList] = useState(list);
+  if (shownList !== list) {
+    setShownList(list);
+    const shownId = shownList[index % Math.max(shownList.length, 1)]?.id;
+    const i = list.findIndex((c) => c.id === shownId);
+    setIndex(i >= 0 ? i : Math.min(index, Math.max(list.length - 1, 0)));
+  }
+  useJumpTo(jumpTo, list, setIndex);
+  useEffect(() => { onCurrentChange?.(current?.id || ""); }, [current?.id, onCurrentChange]);
 
-  useEffect(() => { setIndex(0); }, [list.length]);
+  // screen readers hear each camera change (not the first camera: the page has only just loaded)
+  const announced = useRef(null);
+  useEffect(() => {
+    if (!current) return;
+    if (announced.current && announced.current !== current.id) announce(t("slideshow.announce", { name: camName(current) }));
+    announced.current = current.id;
+    // eslint-disable-next-line react-hooks/exhaustive-deps
+  }, [current?.id]);
 
-  // advance
+  // advance, after the camera's own dwell if it has one
+  const dwell = current ? dwellOf(cameraRules, current.id, dwellSec) : dwellSec;
   useEffect(() => {
-    if (!playing || !current) return;
-    const dwellTimer = setTimeout(() => next(), Math.max(3, dwellSec) * 1000);
+    if (!playing || !current || follow) return;
+    const dwellTimer = setTimeout(() => next(), Math.max(3, dwell) * 1000);
     return () => clearTimeout(dwellTimer);
     // eslint-disable-next-line react-hooks/exhaustive-deps
-  }, [playing, index, dwellSec, current?.id]);
+  }, [playing, index, dwell, current?.id, !!follow]);
 
-  const next = () => setIndex((i) => (i + 1) % Math.max(list.length, 1));
-  const prev = () => setIndex((i) => (i - 1 + Math.max(list.length, 1)) % Math.max(list.length, 1));
+  // step to the next camera that isn't known dead (plain step if every camera is down)
+  const step = (dir) => setIndex((i) => {
+    const n = Math.max(list.length, 1);
+    for (let k = 1; k <= n; k++) {
+      const j = (((i + dir * k) % n) + n) % n;
+      if (list[j] && !skip(list[j])) return j;
+    }
+    return (((i + dir) % n) + n) % n;
+  });
+  const next = () => step(1);
+  const prev = () => step(-1);
+  const toggle = () => setPlaying((p) => !p);
+  // what the buttons and keys do: a display hands them to the controller
+  const controls = follow
+    ? { next: () => follow.onCommand("next"), prev: () => follow.onCommand("prev"), toggle: () => follow.onCommand("toggle") }
+    : { next, prev, toggle };
+  useHotkeys({ ArrowRight: controls.next, n: controls.next, ArrowLeft: controls.prev, p: controls.prev, " ": controls.toggle });
+
+  // a display pressed a control
+  const handledCommand = useRef(null);
+  useEffect(() => {
+    if (!command || handledCommand.current === command.nonce) return;
+    handledCommand.current = command.nonce;
+    ({ next, prev, toggle })[command.action]?.();
+    // eslint-disable-next-line react-hooks/exhaustive-deps
+  }, [command]);
+
+  // tell the displays which cameras come next: slot 0 is this one, then the next distinct cameras not skipped
+  useEffect(() => {
+    if (!onRotation) return;
+    const ids = current ? [current.id] : [];
+    for (let k = 1; k < list.length && ids.length <= MAX_SCREENS; k++) {
+      const c = list[(index + k) % list.length];
+      if (!skip(c) && !ids.includes(c.id)) ids.push(c.id);
+    }
+    onRotation({ ids, playing });
+    // eslint-disable-next-line react-hooks/exhaustive-deps
+  }, [onRotation, list, index, current?.id, playing, health, skipDead, skipFrozen, skipDark, lightById]);
+
+  // warm the cameras coming up next so the switch shows a decoded frame at once
+  useEffect(() => {
+    if (live || list.length < 2) return;
+    const n = list.length;
+    for (let k = 1, warmed = 0; k < n && warmed < PRELOAD_AHEAD; k++) {
+      const c = list[(index + k) % n];
+      if (skip(c)) continue;
+      preloadCamera(c.id, (salt) => buildVariants(c, salt).snap);
+      warmed++;
+    }
+    // eslint-disable-next-line react-hooks/exhaustive-deps
+  }, [index, list, live]);
+
+  // the current camera just went down: move on instead of sitting out the dwell
+  useEffect(() => {
+    if (playing && current && anyUp && skip(current) && !follow) next();
+    // eslint-disable-next-line react-hooks/exhaustive-deps
+  }, [health, current?.id, playing, anyUp, skipDead, skipFrozen, skipDark, lightById]);
 
   return (
-    <div className="rounded-2xl overflow-hidden shadow ring-1 ring-black/5 bg-white">
-      <div className="relative w-full aspect-video bg-black">
+    <div className={kiosk ? `fixed inset-0 z-40 bg-black ${idle ? "cursor-none" : ""}` : "rounded-2xl overflow-hidden shadow ring-1 ring-black/5 bg-white"}>
+      <div className={`relative w-full bg-black ${kiosk ? "h-full" : "aspect-video"}`}>
         {current ? (
-          <MediaPane camera={current} tz={tz} hour24={hour24} live={live} refreshMs={refreshMs} restartSec={restartSec} onLoaded={() => {}} />
+          <MediaPane camera={current} tz={tz} hour24={hour24} live={live} refreshMs={refreshMs} restartSec={restartSec} distanceKm={distances?.get(current.id) ?? null} overlays={!idle} historyMax={historyMax} freezeMs={freezeMs} staleMs={staleMs} transition={transition} incidents={eventsById?.get(current.id)} liveStats={liveStats} daylight={!!lightById} onLoaded={() => {}} />
         ) : (
-          <div className="w-full h-full grid place-items-center text-white/80 text-sm">No cameras match.</div>
+          <div className="w-full h-full grid place-items-center text-white/80 text-sm">{t("slideshow.none")}</div>
         )}
       </div>
 
       {/* Controls */}
-      <div className="flex flex-col sm:flex-row items-center gap-3 p-3 sm:p-4">
+      <div className={`flex flex-col sm:flex-row items-center gap-3 p-3 sm:p-4 ${kiosk ? kioskBarClass(idle) : ""}`}>
         <div className="flex items-center gap-2">
-          <Button variant="outline" size="icon" onClick={prev}><SkipBack/></Button>
-          <Button variant="default" size="icon" onClick={() => setPlaying((p) => !p)}>{playing ? <Pause/> : <Play/>}</Button>
-          <Button variant="outline" size="icon" onClick={next}><SkipForward/></Button>
-        </div>
-        <div className="flex items-center gap-2 ml-0 sm:ml-4">
-          <Shuffle size={16} className="opacity-70"/>
-          <span className="text-sm text-muted-foreground">Shuffle in filter</span>
+          <Button variant="outline" size="icon" onClick={controls.prev} title={t("slideshow.prev")}><SkipBack/></Button>
+          <Button variant="default" size="icon" onClick={controls.toggle} title={t(playing ? "slideshow.pause" : "slideshow.play")}>{playing ? <Pause/> : <Play/>}</Button>
+          <Button variant="outline" size="icon" onClick={controls.next} title={t("slideshow.next")}><SkipForward/></Button>
+          {current && onToggleFavorite && (
+            <Button variant="outline" size="icon" onClick={() => onToggleFavorite(current.id)} title={t(favorites?.has(current.id) ? "slideshow.favRemove" : "slideshow.favAdd")}>
+              <Star className={favorites?.has(current.id) ? "fill-amber-400 text-amber-500" : ""}/>
+            </Button>
+          )}
         </div>
-        <div className="flex items-center gap-2 ml-0 sm:ml-auto w-full sm:w-[32rem]">
-          <Timer size={16} className="opacity-70"/>
-          <div className="flex items-center gap-2 w-72">
-            <span className="text-xs text-muted-foreground w-28">Snapshot refresh</span>
-            <Slider value={[refreshMs]} min={500} max={5000} step={100} onValueChange={([v]) => { /* lifted to App in real app */ }} disabled/>
-            <span className="text-sm w-14 text-right">{Math.round(refreshMs/1000)}s</span>
+        {kiosk ? (
+          current && <span className="text-sm font-medium truncate">{camName(current)}</span>
+        ) : (
+          <>
+            <div className="flex items-center gap-2 ml-0 sm:ml-4">
+              <Shuffle size={16} className="opacity-70"/>
+              <span className="text-sm text-muted-foreground">{t("slideshow.shuffleInFilter")}</span>
+            </div>
+            <div className="flex items-center gap-2 ml-0 sm:ml-auto w-full sm:w-[32rem]">
+              <Timer size={16} className="opacity-70"/>
+              <div className="flex items-center gap-2 w-72">
+                <span className="text-xs text-muted-foreground w-28">{t("settings.snapshotRefresh")}</span>
+                <Slider value={[refreshMs]} min={500} max={5000} step={100} onValueChange={([v]) => { /* lifted to App in real app */ }} disabled aria-label={t("settings.snapshotRefresh")} aria-valuetext={`${refreshMs / 1000} s`}/>
+                <span className="text-sm w-14 text-right">{Math.round(refreshMs/1000)}s</span>
+              </div>
+            </div>
+          </>
+        )}
+        {toolbar && <div className={`flex items-center gap-2 ${kiosk ? "sm:ml-auto" : ""}`}>{toolbar}</div>}
+      </div>
+    </div>
+  );
+}
+
+const GRID_LAYOUTS = [1, 2, 3, 4];
+const layoutLabel = (t, n) => (n > 1 ? t("layout.wall", { n }) : t("layout.single"));
+const GRID_COLS = { 2: "grid-cols-2", 3: "grid-cols-3", 4: "grid-cols-4" };
+const GRID_ROWS = { 2: "grid-rows-2", 3: "grid-rows-3", 4: "grid-rows-4" };
+
+// kiosk control bar: floats over the top of the picture, fades out when idle
+const kioskBarClass = (idle) => `absolute inset-x-4 top-4 z-10 rounded-2xl bg-white/90 backdrop-blur shadow transition-opacity duration-500 ${idle ? "opacity-0 pointer-events-none" : ""}`;
+
+/**
+ * Video wall: `size`×`size` panes paging through `items` on the dwell timer.
+ * Pinned tiles keep their slot and camera; the remaining slots rotate.
+ * `kiosk`, `idle` and `toolbar` behave as in `Slideshow`.
+ */
+function CameraGrid({ items, size = 2, dwellSec = 10, autoplay = true, shuffle = false, tz, hour24, live = false, refreshMs = 1500, restartSec = 5, maxConcurrent = 6, jumpTo = null, skipDead = true, freezeMs = 0, skipFrozen = false, staleMs, transition = "none", eventsById = null, liveStats = false, lightById = null, skipDark = false, cameraRules = null, distances = null, kiosk = false, idle = false, toolbar = null }) {
+  const list = useShuffle(items, shuffle);
+  const [page, setPage] = useState(0);
+  const [playing, setPlaying] = useState(autoplay);
+  const [pins, setPins] = useState({}); // slot index → camera id
+  const limiter = useMemo(() => createLoadLimiter(maxConcurrent), [maxConcurrent]);
+  const slots = size * size;
+  const { t, camName } = useI18n();
+
+  const byId = useMemo(() => new Map(list.map((c) => [c.id, c])), [list]);
+  const pinnedIds = useMemo(() => new Set(
+    Object.entries(pins).filter(([slot, id]) => Number(slot) < slots && byId.has(id)).map(([, id]) => id)
+  ), [pins, slots, byId]);
+  const health = useHealth();
+  const pool = useMemo(
+    () => {
+      const up = list.filter((c) => !pinnedIds.has(c.id) && !(skipDead && isDown(health, c.id)) && !(skipFrozen && isFrozen(health, c.id)));
+      const lit = skipDark ? up.filter((c) => lightById?.get(c.id) !== "night") : up;
+      return lit.length ? lit : up; // all in the dark: show them anyway rather than an empty wall
+    },
+    [list, pinnedIds, skipDead, skipFrozen, health, skipDark, lightById]
+  );
+  const perPage = Math.max(slots - pinnedIds.size, 1);
+  const pageCount = Math.max(Math.ceil(pool.length / perPage), 1);
+  const current = page % pageCount;
+
+  const tiles = useMemo(() => {
+    let k = current * perPage;
+    return Array.from({ length: slots }, (_, slot) => {
+      const pinId = pins[slot];
+      if (pinId && pinnedIds.has(pinId)) return { camera: byId.get(pinId), pinned: true };
+      return { camera: pool[k++] || null, pinned: false };
+    });
+  }, [current, perPage, slots, pins, pinnedIds, byId, pool]);
+
+  // on a catalog refetch or a new grid size, stay on the page of the first camera shown
+  const firstShown = useRef(null);
+  useEffect(() => { firstShown.current = tiles.find((x) => x.camera && !x.pinned)?.camera.id ?? null; }, [tiles]);
+  const [shownFor, setShownFor] = useState({ list, slots });
+  if (shownFor.list !== list || shownFor.slots !== slots) {
+    setShownFor({ list, slots });
+    const i = pool.findIndex((c) => c.id === firstShown.current);
+    setPage(i >= 0 ? Math.floor(i / perPage) : 0);
+  }
+  const goToCamera = useCallback((i) => setPage(Math.floor(i / perPage)), [perPage]);
+  useJumpTo(jumpTo, pool, goToCamera);
+
+  // advance one page per dwell: the longest of its cameras' own dwells, if any
+  const dwell = Math.max(dwellSec, ...tiles.map(({ camera, pinned }) => (camera && !pinned ? dwellOf(cameraRules, camera.id, 0) : 0)));
+  useEffect(() => {
+    if (!playing || pageCount <= 1) return;
+    const dwellTimer = setTimeout(() => next(), Math.max(3, dwell) * 1000);
+    return () => clearTimeout(dwellTimer);
+    // eslint-disable-next-line react-hooks/exhaustive-deps
+  }, [playing, page, dwell, pageCount]);
+
+  const next = () => setPage((p) => (p + 1) % pageCount);
+  const prev = () => setPage((p) => (p - 1 + pageCount) % pageCount);
+  useHotkeys({ ArrowRight: next, n: next, ArrowLeft: prev, p: prev, " ": () => setPlaying((p) => !p) });
+  const togglePin = (slot, camera) => setPins((p) => {
+    const nextPins = { ...p };
+    if (nextPins[slot]) delete nextPins[slot];
+    else nextPins[slot] = camera.id;
+    return nextPins;
+  });
+
+  return (
+    <div className={kiosk ? `fixed inset-0 z-40 bg-black ${idle ? "cursor-none" : ""}` : "rounded-2xl overflow-hidden shadow ring-1 ring-black/5 bg-white"}>
+      <div className={`grid ${GRID_COLS[size] || "grid-cols-2"} gap-px bg-black ${kiosk ? `h-full ${GRID_ROWS[size] || "grid-rows-2"}` : ""}`}>
+        {tiles.map(({ camera, pinned }, slot) => (
+          <div key={slot} className={`relative bg-black ${kiosk ? "min-h-0" : "aspect-video"} ${pinned ? "ring-2 ring-inset ring-amber-400" : ""}`}>
+            {camera ? (
+              <>
+                <MediaPane camera={camera} tz={tz} hour24={hour24} live={live} refreshMs={refreshMs} restartSec={restartSec} limiter={limiter} overlays={!idle} freezeMs={freezeMs} staleMs={staleMs} transition={transition} incidents={eventsById?.get(camera.id)} liveStats={liveStats} daylight={!!lightById} distanceKm={distances?.get(camera.id) ?? null} compact />
+                <div className={`absolute left-2 top-2 right-2 flex items-center gap-2 text-xs transition-opacity duration-500 ${idle ? "opacity-0" : ""}`}>
+                  <span className="px-2 py-1 rounded-full bg-black/60 text-white truncate" title={camName(camera)}>{camName(camera)}</span>
+                  <button
+                    onClick={() => togglePin(slot, camera)}
+                    title={t(pinned ? "grid.unpin" : "grid.pin")}
+                    className={`ml-auto p-1.5 rounded-full ${pinned ? "bg-amber-400 text-black" : "bg-black/60 text-white hover:bg-black/70"}`}
+                  >
+                    {pinned ? <PinOff size={14}/> : <Pin size={14}/>}
+                  </button>
+                </div>
+              </>
+            ) : (
+              <div className="w-full h-full grid place-items-center text-white/40 text-xs">{t("grid.empty")}</div>
+            )}
           </div>
+        ))}
+      </div>
+
+      {/* Controls */}
+      <div className={`flex flex-col sm:flex-row items-center gap-3 p-3 sm:p-4 ${kiosk ? kioskBarClass(idle) : ""}`}>
+        <div className="flex items-center gap-2">
+          <Button variant="outline" size="icon" onClick={prev} title={t("grid.prevPage")}><SkipBack/></Button>
+          <Button variant="default" size="icon" onClick={() => setPlaying((p) => !p)} title={t(playing ? "slideshow.pause" : "slideshow.play")}>{playing ? <Pause/> : <Play/>}</Button>
+          <Button variant="outline" size="icon" onClick={next} title={t("grid.nextPage")}><SkipForward/></Button>
         </div>
+        <span className="text-sm text-muted-foreground">{t("grid.page", { page: current + 1, pages: pageCount, n: list.length })}</span>
+        {pinnedIds.size > 0 && (
+          <Button variant="outline" className="gap-2" onClick={() => setPins({})}><PinOff size={16}/>{t("grid.unpinAll", { n: pinnedIds.size })}</Button>
+        )}
+        {toolbar && <div className="flex items-center gap-2 sm:ml-auto">{toolbar}</div>}
       </div>
     </div>
   );
 }
 
 export default function App() {
-  const { cameras, regions, loading, error, reload } = useCameras();
-  const [query, setQuery] = useState("");
-  const [region, setRegion] = useState("Outaouais"); // default region
-  const [dwellSec, setDwellSec] = useState(10);
-  const [autoplay, setAutoplay] = useState(true);
-  const [shuffle, setShuffle] = useState(false);
-  const [tz, setTz] = useState(DEFAULT_TZ);
+  const [settings, updateSettings] = useUrlState(SETTINGS_SCHEMA, "settings");
+  // region defaults to Outaouais, live is OFF by default (snapshots), gridSize 1 = single Slideshow, n = n×n wall
+  const { query, region, dwellSec, autoplay, shuffle, tz, live, refreshMs, restartSec, gridSize, cam, skipDead, route, dir, radiusKm, catalogMin, lang, kiosk, historyMax, freezeMin, skipFrozen, staleMin, transition, events, eventsFirst, liveStats, daylight, schedules, screen } = settings;
+  const fx = TRANSITION_NAMES.includes(transition) ? transition : "none"; // ignore unknown ?fx= values
+  const dayMode = DAYLIGHT_MODES.includes(daylight) ? daylight : "off";
+  const freezeMs = freezeMin * 60_000;
+  const i18n = useMemo(() => createTranslator(lang), [lang]);
+  const { t, camName, locale } = i18n;
+  useEffect(() => { document.documentElement.lang = lang; }, [lang]);
+  const catalog = useCameras({ refreshMin: catalogMin });
+  const { cameras, regions, reload } = catalog;
+  const near = useMemo(() => parseLatLon(settings.near), [settings.near]);
+  const setting = (key) => (v) => updateSettings({ [key]: v });
+  const setQuery = setting("query");
+  const setRegion = setting("region");
+  const setDwellSec = setting("dwellSec");
+  const setAutoplay = setting("autoplay");
+  const setShuffle = setting("shuffle");
+  const setTz = setting("tz");
+  const setLive = setting("live");
+  const setRefreshMs = setting("refreshMs");
+  const setRestartSec = setting("restartSec");
+  const setLiveStats = setting("liveStats");
+  const setGridSize = setting("gridSize");
   const [hour24, setHour24] = useState(true);
-  const [live, setLive] = useState(false); // OFF by default (snapshots)
-  const [refreshMs, setRefreshMs] = useState(1500);
-  const [restartSec, setRestartSec] = useState(5);
+  const [maxConcurrent, setMaxConcurrent] = useState(6);
+  const [showMap, setShowMap] = useState(false);
+  const [bbox, setBbox] = useState(null); // { minLat, maxLat, minLon, maxLon } from the map
+  const [jumpTo, setJumpTo] = useState(null); // { id, nonce }
+  const [currentId, setCurrentId] = useState("");
+  const pendingCam = useRef(""); // `cam` from the URL not reached yet: whatever plays meanwhile mustn't replace it
+  const [missingCam, setMissingCam] = useState(null); // { id, camera } of a linked camera that can't be shown
+  const onCurrentChange = useCallback((id) => {
+    setCurrentId(id);
+    if (pendingCam.current && id !== pendingCam.current) return;
+    pendingCam.current = "";
+    if (id) updateSettings({ cam: id });
+  }, [updateSettings]);
+  // `cam` from a shared link or back/forward: jump there (our own updates already match currentId)
+  useEffect(() => {
+    if (!cam || cam === currentId) return;
+    pendingCam.current = cam;
+    setJumpTo({ id: cam, nonce: Date.now() });
+    // eslint-disable-next-line react-hooks/exhaustive-deps
+  }, [cam]);
+  const pl = usePlaylists();
+  const [source, setSource] = useState(SOURCE_FILTER); // SOURCE_FILTER or a playlist id
+  const [editingId, setEditingId] = useState(FAVORITES_ID);
+  const [showPlaylists, setShowPlaylists] = useState(false);
+  const [showHealth, setShowHealth] = useState(false);
+  const [showSources, setShowSources] = useState(false);
+  const [showSchedules, setShowSchedules] = useState(false);
+  const health = useHealth();
+  const now = useNow(5000);
+  const downCount = useMemo(() => Array.from(health.values()).filter((r) => r.down).length, [health]);
+  const frozenCount = useMemo(() => Array.from(health.values()).filter((r) => r.frozen && !r.down).length, [health]);
+
+  // great-circle distance from the proximity centre, for located cameras
+  const distances = useMemo(() => {
+    if (!near) return null;
+    const d = new Map();
+    for (const c of cameras) if (hasCoords(c)) d.set(c.id, haversineKm(near, c));
+    return d;
+  }, [cameras, near]);
+
+  // Search (lib/search): ids of the matching cameras with their score, null when the box is empty
+  const searchIndex = useMemo(() => createSearchIndex(cameras), [cameras]);
+  const search = useMemo(() => parseQuery(query), [query]);
+  const scores = useMemo(() => searchCameras(searchIndex, search), [searchIndex, search]);
 
   const filtered = useMemo(() => {
-    const q = query.trim().toLowerCase();
-    return cameras.filter((c) => {
+    const list = cameras.filter((c) => {
       const inRegion = !region || c.region === region;
-      const hay = `${c.nameEn} ${c.nameFr} ${c.route} ${c.region} ${c.bridge} ${c.border}`.toLowerCase();
-      const match = !q || hay.includes(q);
-      return inRegion && match && !!c.url;
+      const match = !scores || scores.has(c.id);
+      const inArea = !bbox || inBox(c, bbox);
+      const inRadius = !distances || (distances.has(c.id) && distances.get(c.id) <= radiusKm);
+      return inRegion && match && inArea && inRadius && !!c.url;
     });
-  }, [cameras, region, query]);
+    // best matches first when words were typed, then the nearest
+    const ranked = scores && search.terms.length;
+    if (ranked || distances) list.sort((a, b) => (ranked ? scores.get(b.id) - scores.get(a.id) : 0) || (distances ? distances.get(a.id) - distances.get(b.id) : 0));
+    return list;
+  }, [cameras, region, scores, search, bbox, distances, radiusKm]);
+
+  const filteredIds = useMemo(() => new Set(filtered.map((c) => c.id)), [filtered]);
+  const mappable = useMemo(() => cameras.filter((c) => !!c.url), [cameras]);
+  const camerasById = useMemo(() => new Map(cameras.map((c) => [c.id, c])), [cameras]);
+  useHealthProbe(camerasById, true, freezeMs);
+
+  const routes = useMemo(() => listRoutes(mappable), [mappable]);
+  const corridor = useMemo(() => (route ? buildCorridor(mappable, route, dir) : null), [mappable, route, dir]);
+
+  // Sources a schedule can play: "filter", "all", `region:<name>` or `playlist:<id>`
+  const rot = useRotationRules();
+  const minute = useNow(60_000);
+  const scheduleSources = useMemo(() => {
+    const perRegion = new Map();
+    for (const c of mappable) perRegion.set(c.region, (perRegion.get(c.region) || 0) + 1);
+    return [
+      { value: "filter", label: t("playlists.filterResults"), count: filtered.length },
+      { value: "all", label: t("schedules.allCameras"), count: mappable.length },
+      ...regions.filter(Boolean).map((r) => ({ value: `region:${r}`, label: r, count: perRegion.get(r) || 0 })),
+      ...pl.playlists.map((l) => ({ value: `playlist:${l.id}`, label: l.id === FAVORITES_ID ? t("playlists.favorites") : l.name, count: l.ids.length })),
+    ];
+  }, [mappable, filtered.length, regions, pl.playlists, t]);
+  const activeSchedule = schedules && !corridor ? scheduleAt(rot.rules.schedules, minute, tz) : null;
+
+  // What the slideshow plays: a route corridor in road order, the source of the schedule in force,
+  // a playlist in its own order, or the filter results
+  const playlist = source === SOURCE_FILTER ? null : pl.playlists.find((l) => l.id === source);
+  const playItems = useMemo(() => {
+    if (corridor) return corridor.items.map((it) => it.camera);
+    const scheduled = activeSchedule ? itemsForSource(activeSchedule.source, { filtered, mappable, camerasById, playlists: pl.playlists }) : [];
+    if (scheduled.length) return scheduled; // an empty source (playlist since deleted…) leaves the regular one playing
+    if (!playlist) return filtered;
+    return playlist.ids.map((id) => camerasById.get(id)).filter((c) => c && !!c.url);
+  }, [corridor, activeSchedule, playlist, filtered, mappable, camerasById, pl.playlists]);
+  const playIds = useMemo(() => new Set(playItems.map((c) => c.id)), [playItems]);
+
+  // Traffic events matched to cameras (recomputed when the layers reload)
+  const traffic = useTrafficEvents(events || eventsFirst);
+  const eventsById = useMemo(() => {
+    if (!traffic.events.length) return null;
+    const now = Date.now();
+    const m = new Map();
+    for (const c of cameras) {
+      const near = eventsNear(traffic.events, c, { now });
+      if (near.length) m.set(c.id, near);
+    }
+    return m;
+  }, [cameras, traffic]);
+  // cameras near active events go first (stable, so each part keeps its order); corridors keep road order
+  const eventsFirstOn = eventsFirst && !corridor && !!eventsById?.size;
+  // Light at each camera of the rotation, re-evaluated every minute and on new brightness readings
+  const brightness = useBrightness();
+  const lightById = useMemo(() => {
+    if (dayMode === "off") return null;
+    const now = minute.getTime();
+    return new Map(playItems.map((c) => [c.id, lightState(c, brightness, now)]));
+  }, [dayMode, playItems, brightness, minute]);
+  const darkLast = dayMode === "last" && !corridor;
+  const darkCount = useMemo(() => (lightById ? [...lightById.values()].filter((s) => s === "night").length : 0), [lightById]);
+  useLightProbe(playItems, lightById, dayMode === "last" || dayMode === "skip");
+
+  const rotation = useMemo(() => {
+    const first = eventsFirstOn ? [...playItems.filter((c) => eventsById.has(c.id)), ...playItems.filter((c) => !eventsById.has(c.id))] : playItems;
+    const dark = (c) => lightById.get(c.id) === "night";
+    const ordered = darkLast ? [...first.filter((c) => !dark(c)), ...first.filter(dark)] : first;
+    return corridor ? ordered : weightedCycle(ordered, rot.rules); // heavier cameras come up more often
+  }, [playItems, eventsById, eventsFirstOn, darkLast, lightById, corridor, rot.rules]);
+  const editing = pl.playlists.find((l) => l.id === editingId);
+
+  // Map click: reveal the camera if the current source hides it, then jump there
+  const reveal = (c) => {
+    if (playIds.has(c.id)) return;
+    setSource(SOURCE_FILTER);
+    updateSettings({ route: "" });
+    if (!filteredIds.has(c.id)) {
+      updateSettings({ query: "", region: "", near: "" });
+      setBbox(null);
+    }
+  };
+  const focusCamera = (c) => {
+    reveal(c);
+    setJumpTo({ id: c.id, nonce: Date.now() });
+  };
+
+  // A jump (a shared `?cam=` link…) to a camera the filters hide reveals it the same way, once the
+  // catalog is in; one that isn't in the catalog, or still isn't playing after that (a schedule
+  // in force), is dropped with a notice rather than left pending.
+  const [revealedFor, setRevealedFor] = useState(null);
+  useEffect(() => {
+    if (!jumpTo || catalog.loading || !cameras.length || playIds.has(jumpTo.id)) return;
+    const c = camerasById.get(jumpTo.id);
+    if (c?.url && revealedFor !== jumpTo.nonce) {
+      setRevealedFor(jumpTo.nonce);
+      reveal(c);
+      return;
+    }
+    setJumpTo(null);
+    setMissingCam({ id: jumpTo.id, camera: c?.url ? c : null });
+    announce(t(c?.url ? "catalog.camHidden" : "catalog.camMissing", { name: c ? camName(c) : jumpTo.id }));
+    if (pendingCam.current === jumpTo.id) {
+      pendingCam.current = "";
+      if (currentId) updateSettings({ cam: currentId });
+    }
+    // eslint-disable-next-line react-hooks/exhaustive-deps
+  }, [jumpTo, playIds, catalog.loading, cameras.length, revealedFor]);
+
+  const chooseSource = (id) => {
+    setSource(id);
+    updateSettings({ route: "" });
+  };
+  // flip the drive direction but stay on the same camera
+  const flipDir = () => {
+    updateSettings({ dir: dir === "rev" ? "fwd" : "rev" });
+    if (currentId) setJumpTo({ id: currentId, nonce: Date.now() });
+  };
+
+  // Kiosk: player only, fullscreen when the browser allows it, screen kept awake, controls fade when idle
+  const [showHelp, setShowHelp] = useState(false);
+  const idle = useIdle(3000, kiosk && !showHelp);
+  useWakeLock(kiosk);
+  const setKiosk = (on) => {
+    updateSettings({ kiosk: on });
+    if (on) enterFullscreen();
+    else exitFullscreen();
+  };
+  useFullscreenExit(() => updateSettings({ kiosk: false }), kiosk);
+
+  const favoriteIds = pl.playlists.find((l) => l.id === FAVORITES_ID)?.ids || [];
+  const jumpToFavorite = (n) => {
+    const c = camerasById.get(favoriteIds[n - 1]);
+    if (c) focusCamera(c);
+  };
+  const hotkeys = {
+    l: () => setLive(!live),
+    k: () => setKiosk(!kiosk),
+    "?": () => setShowHelp((v) => !v),
+    Escape: () => (showHelp ? setShowHelp(false) : kiosk && setKiosk(false)),
+  };
+  for (let n = 1; n <= 9; n++) hotkeys[String(n)] = () => jumpToFavorite(n);
+  useHotkeys(hotkeys);
+
+  // Screens: extra windows showing the next slots of the rotation, driven by one controller window
+  const sync = useScreenSync({ screen, settings, onSettings: updateSettings, localKeys: SCREEN_LOCAL_KEYS });
+  const followId = sync.follow?.ids.length ? sync.follow.ids[screen % sync.follow.ids.length] : "";
+  const followItems = useMemo(() => {
+    const c = camerasById.get(followId);
+    return c ? [c] : [];
+  }, [camerasById, followId]);
+  const wall = gridSize > 1 && !sync.display;
+  // a wall has no slots to hand out: the displays wait until the single player is back
+  useEffect(() => { if (wall) sync.publish({ ids: [], playing: false }); }, [wall, sync.publish]);
+
+  const toolbar = (
+    <>
+      {sync.display && (
+        <span className="text-sm text-muted-foreground flex items-center gap-1 whitespace-nowrap">
+          <Monitor size={16}/>{t("screens.badge", { n: screen })}{!followId || sync.lost ? t("screens.waiting") : ""}
+        </span>
+      )}
+      <Button variant="outline" size="icon" onClick={() => setShowHelp(true)} title={t("kiosk.shortcuts")}><Keyboard size={16}/></Button>
+      <Button variant="outline" className="gap-2" onClick={() => setKiosk(!kiosk)} title={kiosk ? undefined : t("kiosk.enterTitle")}>
+        {kiosk ? <Minimize size={16}/> : <Maximize size={16}/>}{t(kiosk ? "kiosk.exit" : "kiosk.enter")}
+      </Button>
+    </>
+  );
 
   return (
+    <I18nProvider value={i18n}>
     <div className="min-h-screen bg-gradient-to-b from-slate-50 to-white text-slate-900">
-      <header className="sticky top-0 z-30 backdrop-blur bg-white/75 border-b">
-        <div className="max-w-7xl mx-auto px-4 sm:px-6 py-3 flex flex-col md:flex-row gap-3 md:items-center md:justify-between">
-          <div className="flex items-center gap-3">
-            <div className="text-xl font-bold tracking-tight">Québec 511 • Slideshow</div>
-            <span className="text-xs text-muted-foreground">Snapshots by default · Live optional · No iframes</span>
-          </div>
-          <div className="flex items-center gap-2 w-full md:w-auto">
-            <div className="relative flex-1 md:flex-initial">
-              <Search className="absolute left-2 top-1/2 -translate-y-1/2" size={16} />
-              <Input value={query} onChange={(e) => setQuery(e.target.value)} placeholder="Search road, place, bridge…" className="pl-8" />
+      <LiveRegion />
+      {!kiosk && (
+        <header className="sticky top-0 z-30 backdrop-blur bg-white/75 border-b">
+          <div className="max-w-7xl mx-auto px-4 sm:px-6 py-3 flex flex-col md:flex-row gap-3 md:items-center md:justify-between">
+            <div className="flex items-center gap-3">
+              <div className="text-xl font-bold tracking-tight">{t("app.title")}</div>
+              <span className="text-xs text-muted-foreground">{t("app.tagline")}</span>
+              {DEMO && <span className="px-2 py-0.5 rounded-full bg-amber-100 text-amber-800 text-xs font-medium" title={t("app.demoTitle")}>{t("app.demo")}</span>}
+            </div>
+            <div className="flex items-center gap-2 w-full md:w-auto">
+              <div className="relative flex-1 md:flex-initial">
+                <Search className="absolute left-2 top-1/2 -translate-y-1/2" size={16} />
+                <Input value={query} onChange={(e) => setQuery(e.target.value)} placeholder={t("search.placeholder")} title={t("search.hint")} aria-label={t("search.label")} className="pl-8" />
+              </div>
+              <RegionFilter regions={regions} value={region} onChange={setRegion} />
+              <Button variant="outline" onClick={reload} disabled={catalog.loading} className="gap-2"><RefreshCw size={16} className={catalog.loading ? "animate-spin" : ""}/>{t("catalog.refresh")}</Button>
+              <DropdownMenu>
+                <DropdownMenuTrigger asChild>
+                  <Button variant="outline" className="gap-2" title={t("app.language")}><Languages size={16}/>{lang.toUpperCase()}</Button>
+                </DropdownMenuTrigger>
+                <DropdownMenuContent align="end" className="right-0">
+                  {LANGS.map((l) => (
+                    <DropdownMenuItem key={l.value} onClick={() => setting("lang")(l.value)}>{l.label}</DropdownMenuItem>
+                  ))}
+                </DropdownMenuContent>
+              </DropdownMenu>
             </div>
-            <RegionFilter regions={regions} value={region} onChange={setRegion} />
-            <Button variant="outline" onClick={reload} className="gap-2"><RefreshCw size={16}/>Refresh data</Button>
           </div>
-        </div>
-      </header>
+        </header>
+      )}
 
       <main className="max-w-7xl mx-auto p-4 sm:p-6 space-y-4">
-        {/* Settings */}
-        <Card className="shadow-sm">
-          <CardContent className="p-4 flex flex-col gap-4">
-            <div className="grid grid-cols-1 md:grid-cols-2 gap-4">
-              <div className="flex items-center gap-3">
-                <Switch checked={autoplay} onCheckedChange={setAutoplay} id="autoplay" />
-                <label htmlFor="autoplay" className="text-sm">Autoplay</label>
-                <div className="ml-4 flex items-center gap-2 w-64">
-                  <Timer size={16} className="opacity-70"/>
-                  <Slider value={[dwellSec]} min={3} max={30} step={1} onValueChange={([v]) => setDwellSec(v)} />
-                  <span className="text-sm w-10 text-right">{dwellSec}s</span>
+        {!kiosk && (
+          <>
+          <CatalogStatus
+              loading={catalog.loading}
+              error={catalog.error}
+              loadedAt={catalog.loadedAt}
+              origin={catalog.origin}
+              count={cameras.length}
+              diff={catalog.diff}
+              onDismissDiff={catalog.clearDiff}
+              missingCam={missingCam}
+              onDismissMissing={() => setMissingCam(null)}
+              formatTime={(d) => formatInZone(d, tz, hour24, locale)}
+            />
+
+            {/* Settings */}
+            <Card className="shadow-sm">
+              <CardContent className="p-4 flex flex-col gap-4">
+                <div className="grid grid-cols-1 md:grid-cols-2 gap-4">
+                  <div className="flex items-center gap-3">
+                    <Switch checked={autoplay} onCheckedChange={setAutoplay} id="autoplay" />
+                    <label htmlFor="autoplay" className="text-sm">{t("settings.autoplay")}</label>
+                    <div className="ml-4 flex items-center gap-2 w-64">
+                      <Timer size={16} className="opacity-70"/>
+                      <Slider value={[dwellSec]} min={3} max={30} step={1} onValueChange={([v]) => setDwellSec(v)} aria-label={t("settings.dwell")} aria-valuetext={`${dwellSec} s`} />
+                      <span className="text-sm w-10 text-right">{dwellSec}s</span>
+                    </div>
+                  </div>
+                  <div className="flex items-center gap-3">
+                    <Switch checked={shuffle} onCheckedChange={setShuffle} id="shuffle" />
+                    <label htmlFor="shuffle" className="text-sm flex items-center gap-1"><Shuffle size={16}/>{t("settings.shuffle")}</label>
+                  </div>
                 </div>
-              </div>
-              <div className="flex items-center gap-3">
-                <Switch checked={shuffle} onCheckedChange={setShuffle} id="shuffle" />
-                <label htmlFor="shuffle" className="text-sm flex items-center gap-1"><Shuffle size={16}/>Shuffle order</label>
-              </div>
-            </div>
 
-            <div className="grid grid-cols-1 md:grid-cols-2 gap-4 items-center">
-              <div className="flex items-center gap-3">
-                <Switch checked={live} onCheckedChange={setLive} id="live" />
-                <label htmlFor="live" className="text-sm flex items-center gap-1"><VideoIcon size={16}/>Live video (needs CORS)</label>
-              </div>
-              <div className="flex items-center gap-3">
-                <Globe size={16} className="opacity-70"/>
-                <DropdownMenu>
-                  <DropdownMenuTrigger asChild>
-                    <Button variant="outline" className="gap-2">Timezone: {tz === "UTC" ? "UTC" : "America/Toronto"}</Button>
-                  </DropdownMenuTrigger>
-                  <DropdownMenuContent align="start">
-                    <DropdownMenuItem onClick={() => setTz(DEFAULT_TZ)}>America/Toronto</DropdownMenuItem>
-                    <DropdownMenuItem onClick={() => setTz("UTC")}>UTC</DropdownMenuItem>
-                  </DropdownMenuContent>
-                </DropdownMenu>
-              </div>
-            </div>
+                <div className="grid grid-cols-1 md:grid-cols-2 gap-4 items-center">
+                  <div className="flex items-center gap-3">
+                    <Switch checked={live} onCheckedChange={setLive} id="live" />
+                    <label htmlFor="live" className="text-sm flex items-center gap-1"><VideoIcon size={16}/>{t("settings.live")}</label>
+                    {live && (
+                      <>
+                        <Switch checked={liveStats} onCheckedChange={setLiveStats} id="liveStats" />
+                        <label htmlFor="liveStats" className="text-sm flex items-center gap-1"><Activity size={16}/>{t("settings.liveStats")}</label>
+                      </>
+                    )}
+                  </div>
+                  <div className="flex items-center gap-3">
+                    <Globe size={16} className="opacity-70"/>
+                    <DropdownMenu>
+                      <DropdownMenuTrigger asChild>
+                        <Button variant="outline" className="gap-2">{t("settings.timezone", { tz })}</Button>
+                      </DropdownMenuTrigger>
+                      <DropdownMenuContent align="start">
+                        <DropdownMenuItem onClick={() => setTz(DEFAULT_TZ)}>America/Toronto</DropdownMenuItem>
+                        <DropdownMenuItem onClick={() => setTz("UTC")}>UTC</DropdownMenuItem>
+                      </DropdownMenuContent>
+                    </DropdownMenu>
+                  </div>
+                </div>
 
-            <div className="grid grid-cols-1 md:grid-cols-2 gap-4 items-center">
-              <div className="flex items-center gap-2">
-                <Timer size={16} className="opacity-70"/>
-                <span className="text-sm">Snapshot refresh</span>
-                <div className="flex items-center gap-2 w-64">
-                  <Slider value={[refreshMs]} min={500} max={5000} step={100} onValueChange={([v]) => setRefreshMs(v)} />
-                  <span className="text-sm w-14 text-right">{Math.round(refreshMs/1000)}s</span>
+                <div className="grid grid-cols-1 md:grid-cols-2 gap-4 items-center">
+                  <div className="flex items-center gap-2">
+                    <Timer size={16} className="opacity-70"/>
+                    <span className="text-sm">{t("settings.snapshotRefresh")}</span>
+                    <div className="flex items-center gap-2 w-64">
+                      <Slider value={[refreshMs]} min={500} max={5000} step={100} onValueChange={([v]) => setRefreshMs(v)} aria-label={t("settings.snapshotRefresh")} aria-valuetext={`${refreshMs / 1000} s`} />
+                      <span className="text-sm w-14 text-right">{Math.round(refreshMs/1000)}s</span>
+                    </div>
+                  </div>
+                  {live && (
+                    <div className="flex items-center gap-2">
+                      <Timer size={16} className="opacity-70"/>
+                      <span className="text-sm" title={t("settings.liveEdgeTitle")}>{t("settings.liveEdgeRefresh")}</span>
+                      <div className="flex items-center gap-2 w-64">
+                        <Slider value={[restartSec]} min={2} max={20} step={1} onValueChange={([v]) => setRestartSec(v)} aria-label={t("settings.liveEdgeRefresh")} aria-valuetext={`${restartSec} s`} />
+                        <span className="text-sm w-10 text-right">{restartSec}s</span>
+                      </div>
+                    </div>
+                  )}
                 </div>
-              </div>
-              {live && (
-                <div className="flex items-center gap-2">
-                  <Timer size={16} className="opacity-70"/>
-                  <span className="text-sm">Live‑edge refresh</span>
-                  <div className="flex items-center gap-2 w-64">
-                    <Slider value={[restartSec]} min={2} max={20} step={1} onValueChange={([v]) => setRestartSec(v)} />
-                    <span className="text-sm w-10 text-right">{restartSec}s</span>
+
+                <div className="grid grid-cols-1 md:grid-cols-2 gap-4 items-center">
+                  <div className="flex items-center gap-3">
+                    <LayoutGrid size={16} className="opacity-70"/>
+                    <DropdownMenu>
+                      <DropdownMenuTrigger asChild>
+                        <Button variant="outline" className="gap-2">{t("settings.layout", { label: layoutLabel(t, gridSize) })}</Button>
+                      </DropdownMenuTrigger>
+                      <DropdownMenuContent align="start">
+                        {GRID_LAYOUTS.map((n) => (
+                          <DropdownMenuItem key={n} onClick={() => setGridSize(n)}>{layoutLabel(t, n)}</DropdownMenuItem>
+                        ))}
+                      </DropdownMenuContent>
+                    </DropdownMenu>
+                  </div>
+                  <div className="flex items-center gap-3">
+                    <Switch checked={showMap} onCheckedChange={setShowMap} id="map" />
+                    <label htmlFor="map" className="text-sm flex items-center gap-1"><MapIcon size={16}/>{t("settings.map")}</label>
+                  </div>
+                  <div className="flex items-center gap-3">
+                    <Switch checked={showPlaylists} onCheckedChange={setShowPlaylists} id="playlists" />
+                    <label htmlFor="playlists" className="text-sm flex items-center gap-1"><ListVideo size={16}/>{t("settings.playlists")}{playlist ? t("settings.playing", { name: playlist.id === FAVORITES_ID ? t("playlists.favorites") : playlist.name }) : ""}</label>
+                  </div>
+                  <div className="flex items-center gap-3">
+                    <Switch checked={showSources} onCheckedChange={setShowSources} id="sources" />
+                    <label htmlFor="sources" className="text-sm flex items-center gap-1"><Database size={16}/>{t("settings.sources")}</label>
                   </div>
+                  <div className="flex items-center gap-3">
+                    <Switch checked={showSchedules} onCheckedChange={setShowSchedules} id="schedules" />
+                    <label htmlFor="schedules" className="text-sm flex items-center gap-1">
+                      <CalendarClock size={16}/>{t("settings.schedules")}{activeSchedule ? t("settings.playing", { name: activeSchedule.name || scheduleSources.find((o) => o.value === activeSchedule.source)?.label || "" }) : ""}
+                    </label>
+                  </div>
+                  {sync.supported && (
+                    <div className="flex items-center gap-3">
+                      <Button variant="outline" className="gap-2" onClick={sync.openScreen} title={t("screens.openTitle")}><MonitorUp size={16}/>{t("screens.open")}</Button>
+                      {sync.screens.length > 0 && (
+                        <>
+                          <span className="text-sm text-muted-foreground">{t("screens.connected", { n: sync.screens.length })}{sync.controlling ? t("screens.controlling") : ""}</span>
+                          {!sync.controlling && <Button variant="outline" onClick={sync.takeControl}>{t("screens.takeControl")}</Button>}
+                          <Button variant="outline" onClick={sync.closeScreens}>{t("screens.close")}</Button>
+                        </>
+                      )}
+                    </div>
+                  )}
+                  <div className="flex items-center gap-3">
+                    <Switch checked={skipDead} onCheckedChange={setting("skipDead")} id="skipdead" />
+                    <label htmlFor="skipdead" className="text-sm">{t("settings.skipDead")}</label>
+                    <Switch checked={events} onCheckedChange={setting("events")} id="events" />
+                    <label htmlFor="events" className="text-sm flex items-center gap-1" title={traffic.failed.length ? t("events.failed", { layers: traffic.failed.join(", ") }) : undefined}>
+                      <Construction size={16}/>{t("events.setting")}{eventsById?.size ? t("events.camerasAffected", { n: eventsById.size }) : ""}
+                    </label>
+                    {events && (
+                      <>
+                        <Switch checked={eventsFirst} onCheckedChange={setting("eventsFirst")} id="eventsfirst" />
+                        <label htmlFor="eventsfirst" className="text-sm">{t("events.first")}</label>
+                      </>
+                    )}
+                    <Switch checked={showHealth} onCheckedChange={setShowHealth} id="health" />
+                    <label htmlFor="health" className="text-sm flex items-center gap-1"><HeartPulse size={16}/>{t("settings.health")}{downCount ? t("settings.downCount", { n: downCount }) : ""}{frozenCount ? t("settings.frozenCount", { n: frozenCount }) : ""}</label>
+                  </div>
+                  <div className="flex items-center gap-3">
+                    <Snowflake size={16} className="opacity-70"/>
+                    <DropdownMenu>
+                      <DropdownMenuTrigger asChild>
+                        <Button variant="outline" className="gap-2">{t("settings.frozenAfter", { value: freezeMin ? t("settings.minutes", { n: freezeMin }) : t("common.offLower") })}</Button>
+                      </DropdownMenuTrigger>
+                      <DropdownMenuContent align="start">
+                        {[0, 5, 10, 20, 30].map((m) => (
+                          <DropdownMenuItem key={m} onClick={() => setting("freezeMin")(m)}>{m ? t("settings.minutes", { n: m }) : t("common.off")}</DropdownMenuItem>
+                        ))}
+                      </DropdownMenuContent>
+                    </DropdownMenu>
+                    {freezeMin > 0 && (
+                      <>
+                        <Switch checked={skipFrozen} onCheckedChange={setting("skipFrozen")} id="skipfrozen" />
+                        <label htmlFor="skipfrozen" className="text-sm">{t("settings.skipFrozen")}</label>
+                      </>
+                    )}
+                  </div>
+                  <div className="flex items-center gap-3">
+                    <Clock size={16} className="opacity-70"/>
+                    <DropdownMenu>
+                      <DropdownMenuTrigger asChild>
+                        <Button variant="outline" className="gap-2">{t("settings.staleAfter", { value: t("settings.minutes", { n: staleMin }) })}</Button>
+                      </DropdownMenuTrigger>
+                      <DropdownMenuContent align="start">
+                        {[2, 5, 10, 30].map((m) => (
+                          <DropdownMenuItem key={m} onClick={() => setting("staleMin")(m)}>{t("settings.minutes", { n: m })}</DropdownMenuItem>
+                        ))}
+                      </DropdownMenuContent>
+                    </DropdownMenu>
+                  </div>
+                  {gridSize > 1 && (
+                    <div className="flex items-center gap-2">
+                      <Timer size={16} className="opacity-70"/>
+                      <span className="text-sm">{t("settings.maxLoads")}</span>
+                      <div className="flex items-center gap-2 w-64">
+                        <Slider value={[maxConcurrent]} min={1} max={16} step={1} onValueChange={([v]) => setMaxConcurrent(v)} aria-label={t("settings.maxLoads")} />
+                        <span className="text-sm w-10 text-right">{maxConcurrent}</span>
+                      </div>
+                    </div>
+                  )}
                 </div>
-              )}
-            </div>
 
-            <div className="text-xs text-muted-foreground">
-              No iframes (site blocks framing). Use snapshots or enable Live with a proxy.
-            </div>
-          </CardContent>
-        </Card>
+                <div className="flex flex-wrap items-center gap-3">
+                  <RouteIcon size={16} className="opacity-70"/>
+                  <DropdownMenu>
+                    <DropdownMenuTrigger asChild>
+                      <Button variant="outline" className="gap-2">{route ? t("corridor.on", { route }) : t("corridor.off")}</Button>
+                    </DropdownMenuTrigger>
+                    <DropdownMenuContent align="start" className="max-h-80 overflow-auto">
+                      <DropdownMenuLabel>{t("corridor.pick")}</DropdownMenuLabel>
+                      <DropdownMenuSeparator />
+                      <DropdownMenuItem onClick={() => updateSettings({ route: "" })}>{t("common.off")}</DropdownMenuItem>
+                      {routes.map((r) => (
+                        <DropdownMenuItem key={r.route} onClick={() => updateSettings({ route: r.route, dir: "fwd" })}>{t("corridor.routeItem", { route: r.route, n: r.count })}</DropdownMenuItem>
+                      ))}
+                    </DropdownMenuContent>
+                  </DropdownMenu>
+                  {corridor && (
+                    <Button variant="outline" className="gap-2" onClick={flipDir}><ArrowLeftRight size={16}/>{t(`corridor.${corridor.labels[dir === "rev" ? "rev" : "fwd"]}`)}</Button>
+                  )}
+                  {corridor && <span className="text-xs text-muted-foreground">{t("corridor.note")}</span>}
+                </div>
+
+                <div className="flex items-center gap-3">
+                  <RefreshCw size={16} className="opacity-70"/>
+                  <DropdownMenu>
+                    <DropdownMenuTrigger asChild>
+                      <Button variant="outline" className="gap-2">{t("catalog.autoRefresh", { value: catalogMin ? t("catalog.everyMin", { n: catalogMin }) : t("common.offLower") })}</Button>
+                    </DropdownMenuTrigger>
+                    <DropdownMenuContent align="start">
+                      {[0, 5, 15, 60].map((m) => (
+                        <DropdownMenuItem key={m} onClick={() => setting("catalogMin")(m)}>{m ? t("catalog.everyMinItem", { n: m }) : t("common.off")}</DropdownMenuItem>
+                      ))}
+                    </DropdownMenuContent>
+                  </DropdownMenu>
+                </div>
+
+                <div className="flex items-center gap-3">
+                  <Sun size={16} className="opacity-70"/>
+                  <DropdownMenu>
+                    <DropdownMenuTrigger asChild>
+                      <Button variant="outline" className="gap-2" title={t("daylight.hint")}>{t("daylight.setting", { value: t(`daylight.mode.${dayMode}`) })}</Button>
+                    </DropdownMenuTrigger>
+                    <DropdownMenuContent align="start">
+                      {DAYLIGHT_MODES.map((m) => (
+                        <DropdownMenuItem key={m} onClick={() => setting("daylight")(m)}>{t(`daylight.mode.${m}`)}</DropdownMenuItem>
+                      ))}
+                    </DropdownMenuContent>
+                  </DropdownMenu>
+                  {darkCount > 0 && <span className="text-xs text-muted-foreground">{t("daylight.darkCount", { n: darkCount })}</span>}
+                </div>
+
+                <div className="flex items-center gap-3">
+                  <Film size={16} className="opacity-70"/>
+                  <DropdownMenu>
+                    <DropdownMenuTrigger asChild>
+                      <Button variant="outline" className="gap-2">{t("settings.transition", { value: t(`settings.fx.${fx}`) })}</Button>
+                    </DropdownMenuTrigger>
+                    <DropdownMenuContent align="start">
+                      {TRANSITION_NAMES.map((name) => (
+                        <DropdownMenuItem key={name} onClick={() => setting("transition")(name)}>{t(`settings.fx.${name}`)}</DropdownMenuItem>
+                      ))}
+                    </DropdownMenuContent>
+                  </DropdownMenu>
+                </div>
+
+                <div className="flex items-center gap-3">
+                  <History size={16} className="opacity-70"/>
+                  <DropdownMenu>
+                    <DropdownMenuTrigger asChild>
+                      <Button variant="outline" className="gap-2">{t("history.setting", { value: historyMax ? t("history.keepLast", { n: historyMax }) : t("common.offLower") })}</Button>
+                    </DropdownMenuTrigger>
+                    <DropdownMenuContent align="start">
+                      {HISTORY_SIZES.map((n) => (
+                        <DropdownMenuItem key={n} onClick={() => setting("historyMax")(n)}>{n ? t("history.keepLastItem", { n }) : t("common.off")}</DropdownMenuItem>
+                      ))}
+                    </DropdownMenuContent>
+                  </DropdownMenu>
+                </div>
+
+                <ProximityFilter
+                  near={near}
+                  radiusKm={radiusKm}
+                  onNearChange={(p) => updateSettings({ near: p ? `${p.lat},${p.lon}` : "" })}
+                  onRadiusChange={setting("radiusKm")}
+                  camera={camerasById.get(currentId)}
+                />
+
+                <div className="text-xs text-muted-foreground">
+                  {t("app.noIframes")}
+                </div>
+              </CardContent>
+            </Card>
+          </>
+        )}
+
+        {sync.display ? (
+          <Slideshow items={followItems} tz={tz} hour24={hour24} live={live} refreshMs={refreshMs} restartSec={restartSec} onCurrentChange={onCurrentChange} favorites={pl.favorites} onToggleFavorite={pl.toggleFavorite} skipDead={false} distances={distances} kiosk={kiosk} idle={idle} toolbar={toolbar} historyMax={historyMax} freezeMs={freezeMs} staleMs={staleMin * 60_000} transition={fx} eventsById={events ? eventsById : null} liveStats={liveStats} lightById={lightById} follow={{ playing: !!sync.follow?.playing, onCommand: sync.send }} />
+        ) : wall ? (
+          <CameraGrid items={rotation} size={gridSize} dwellSec={dwellSec} autoplay={autoplay} shuffle={shuffle && !corridor && !eventsFirstOn && !darkLast} tz={tz} hour24={hour24} live={live} refreshMs={refreshMs} restartSec={restartSec} maxConcurrent={maxConcurrent} jumpTo={jumpTo} skipDead={skipDead} freezeMs={freezeMs} skipFrozen={skipFrozen} staleMs={staleMin * 60_000} transition={fx} eventsById={events ? eventsById : null} liveStats={liveStats} lightById={lightById} skipDark={dayMode === "skip"} cameraRules={corridor ? null : rot.rules} distances={distances} kiosk={kiosk} idle={idle} toolbar={toolbar} />
+        ) : (
+          <Slideshow items={rotation} dwellSec={dwellSec} autoplay={autoplay} shuffle={shuffle && !corridor && !eventsFirstOn && !darkLast} tz={tz} hour24={hour24} live={live} refreshMs={refreshMs} restartSec={restartSec} jumpTo={jumpTo} onCurrentChange={onCurrentChange} favorites={pl.favorites} onToggleFavorite={pl.toggleFavorite} skipDead={skipDead} distances={distances} kiosk={kiosk} idle={idle} toolbar={toolbar} historyMax={historyMax} freezeMs={freezeMs} skipFrozen={skipFrozen} staleMs={staleMin * 60_000} transition={fx} eventsById={events ? eventsById : null} liveStats={liveStats} lightById={lightById} skipDark={dayMode === "skip"} cameraRules={corridor ? null : rot.rules} onRotation={sync.publish} command={sync.command} />
+        )}
+
+        {corridor && gridSize === 1 && !kiosk && (
+          <CorridorStrip corridor={corridor} route={route} dirLabel={t(`corridor.${corridor.labels[dir === "rev" ? "rev" : "fwd"]}`)} currentId={currentId} onSelect={focusCamera} />
+        )}
+
+        {historyMax > 0 && gridSize === 1 && !kiosk && (
+          <HistoryPanel camera={camerasById.get(currentId)} limit={historyMax} formatTime={(d) => formatInZone(d, tz, hour24, locale)} />
+        )}
+
+        {showMap && !kiosk && (
+          <CameraMap
+            cameras={mappable}
+            highlighted={playIds}
+            currentId={gridSize > 1 ? "" : currentId}
+            bbox={bbox}
+            onSelect={focusCamera}
+            onBoxSelect={setBbox}
+            onClearBox={() => setBbox(null)}
+          />
+        )}
 
-        <Slideshow items={filtered} dwellSec={dwellSec} autoplay={autoplay} shuffle={shuffle} tz={tz} hour24={hour24} live={live} refreshMs={refreshMs} restartSec={restartSec} />
+        {showHealth && !kiosk && <HealthPanel health={health} camerasById={camerasById} now={now} onSelect={focusCamera} />}
+
+        {showSources && !kiosk && <SourcePanel />}
+
+        {showSchedules && !kiosk && (
+          <SchedulePanel ctl={rot} sources={scheduleSources} tz={tz} camerasById={camerasById} currentId={currentId} enabled={schedules} onEnabledChange={setting("schedules")} defaultDwell={dwellSec} now={now} />
+        )}
+
+        {showPlaylists && !kiosk && (
+          <PlaylistPanel pl={pl} camerasById={camerasById} source={source} onSourceChange={chooseSource} editingId={editingId} onEditingChange={setEditingId} />
+        )}
 
         {/* Quick peek list */}
-        <div className="grid grid-cols-1 sm:grid-cols-2 lg:grid-cols-3 xl:grid-cols-4 gap-3">
-          {filtered.slice(0, 24).map((c) => (
-            <div key={c.id} className="p-3 rounded-xl border bg-white/70">
-              <div className="font-medium truncate" title={c.nameEn || c.nameFr}>{c.nameEn || c.nameFr}</div>
-              <div className="text-xs text-muted-foreground flex items-center gap-2 mt-1"><MapPin size={14}/>{c.region || "—"} · Route {c.route || "—"}</div>
-            </div>
-          ))}
-        </div>
+        {!kiosk && (
+          <div className="grid grid-cols-1 sm:grid-cols-2 lg:grid-cols-3 xl:grid-cols-4 gap-3">
+            {filtered.slice(0, 24).map((c) => (
+              <div key={c.id} className="p-3 rounded-xl border bg-white/70">
+                <div className="flex items-center gap-1">
+                  <div className="font-medium truncate flex-1" title={camName(c)}><Highlight text={camName(c)} terms={search.terms} /></div>
+                  <button onClick={() => pl.toggleFavorite(c.id)} className="p-1 shrink-0" title={t(pl.favorites.has(c.id) ? "slideshow.favRemove" : "slideshow.favAdd")}>
+                    <Star size={16} className={pl.favorites.has(c.id) ? "fill-amber-400 text-amber-500" : "opacity-40 hover:opacity-100"}/>
+                  </button>
+                  {showPlaylists && editing && editing.id !== FAVORITES_ID && (
+                    <button onClick={() => pl.addCamera(editing.id, c.id)} disabled={editing.ids.includes(c.id)} className="p-1 shrink-0 opacity-40 hover:opacity-100 disabled:opacity-20" title={t("playlists.addTo", { name: editing.name })}>
+                      <Plus size={16}/>
+                    </button>
+                  )}
+                </div>
+                <div className="text-xs text-muted-foreground flex items-center gap-2 mt-1">
+                  <MapPin size={14}/>{c.region || "—"} · {t("common.route", { route: c.route || "—" })}
+                  {distances?.has(c.id) && <span className="ml-auto whitespace-nowrap">{formatKm(distances.get(c.id))}</span>}
+                </div>
+              </div>
+            ))}
+          </div>
+        )}
       </main>
 
-      <footer className="max-w-7xl mx-auto px-4 sm:px-6 pb-8 pt-4 text-xs text-muted-foreground">
-        Data © Gouvernement du Québec – MTMD (Québec 511), CC BY 4.0. Unofficial viewer.
-      </footer>
+      {!kiosk && (
+        <footer className="max-w-7xl mx-auto px-4 sm:px-6 pb-8 pt-4 text-xs text-muted-foreground">
+          {t("app.footer")}
+        </footer>
+      )}
     </div>
+    </I18nProvider>
   );
 }
 
@@ -617,6 +1752,12 @@ E) Cloudflare Pages (_redirects)
 /Carte/*  https://www.quebec511.info/Carte/:splat  200
 /Images/* https://www.quebec511.info/Images/:splat 200
 
+F) Self-hosted Node server (server/index.js)
+--------------------------------------------
+VITE_Q511_BASE=/q511 npm run build && npm start
+Serves dist/ and proxies /q511, /Carte, /Images with a shared snapshot cache,
+request coalescing and rate limiting; m3u8 segment URLs are rewritten to it.
+
 Notes
 -----
 • No iframes: Québec 511 blocks framing with security headers.
@@ -0,0 +1,178 @@
+import React, { useMemo, useRef, useState } from "react";
+import { ZoomIn, ZoomOut, Maximize2, X } from "lucide-react";
+import { Button } from "@/components/ui/button";
+import { useI18n } from "@/lib/i18n";
+import { QUEBEC_OUTLINE, QUEBEC_PLACES } from "@/lib/quebec-outline";
+import { project, unproject, hasCoords, boundsOf, convexHull, clusterPoints, pathFromPoints } from "@/lib/geo";
+
+const HULL_COLORS = ["#0ea5e9", "#22c55e", "#f59e0b", "#a855f7", "#ef4444", "#14b8a6", "#ec4899", "#84cc16"];
+const MIN_VIEW_W = 0.08; // ~10 km: stop zooming into clusters past this
+
+/**
+ * Offline camera map (SVG). Plots every camera with coordinates, clusters
+ * dense areas, draws each region as the hull of its cameras.
+ *  - click a pin → `onSelect(camera)`; click a cluster → zoom in
+ *  - drag on the background → `onBoxSelect({ minLat, maxLat, minLon, maxLon })`
+ */
+export function CameraMap({ cameras, highlighted, currentId, bbox, onSelect, onBoxSelect, onClearBox }) {
+  const { t, camName } = useI18n();
+  const svgRef = useRef(null);
+  const [drag, setDrag] = useState(null); // { x0, y0, x1, y1 } in projected units
+
+  const points = useMemo(() => cameras.filter(hasCoords).map((c) => {
+    const [x, y] = project(Number(c.lon), Number(c.lat));
+    return { x, y, camera: c };
+  }), [cameras]);
+
+  const home = useMemo(() => boundsOf(points.map((p) => [p.x, p.y]), 0.08)
+    || boundsOf(QUEBEC_OUTLINE[0].map(([lon, lat]) => project(lon, lat))), [points]);
+  const [view, setView] = useState(null);
+  const v = view || home;
+
+  const outline = useMemo(() => QUEBEC_OUTLINE.map((ring) => pathFromPoints(ring.map(([lon, lat]) => project(lon, lat)))), []);
+
+  const hulls = useMemo(() => {
+    const byRegion = new Map();
+    for (const p of points) {
+      const r = p.camera.region || "";
+      if (!r) continue;
+      if (!byRegion.has(r)) byRegion.set(r, []);
+      byRegion.get(r).push([p.x, p.y]);
+    }
+    return Array.from(byRegion, ([region, pts], i) => {
+      const hull = convexHull(pts);
+      const cx = pts.reduce((s, p) => s + p[0], 0) / pts.length;
+      const cy = pts.reduce((s, p) => s + p[1], 0) / pts.length;
+      return { region, d: hull.length >= 3 ? pathFromPoints(hull) : "", cx, cy, color: HULL_COLORS[i % HULL_COLORS.length] };
+    });
+  }, [points]);
+
+  const clusters = useMemo(() => clusterPoints(points, v.w / 45), [points, v.w]);
+
+  const toMap = (e) => {
+    const svg = svgRef.current;
+    const pt = svg.createSVGPoint();
+    pt.x = e.clientX;
+    pt.y = e.clientY;
+    const p = pt.matrixTransform(svg.getScreenCTM().inverse());
+    return [p.x, p.y];
+  };
+
+  const zoom = (factor, cx = v.x + v.w / 2, cy = v.y + v.h / 2) => {
+    const w = Math.max(v.w * factor, MIN_VIEW_W);
+    const h = (v.h / v.w) * w;
+    setView({ x: cx - w / 2, y: cy - h / 2, w, h });
+  };
+
+  const onClusterClick = (cl) => {
+    if (cl.items.length === 1 || v.w <= MIN_VIEW_W * 1.01) return onSelect?.(cl.items[0].camera);
+    const b = boundsOf(cl.items.map((p) => [p.x, p.y]), 0.3);
+    // keep the current aspect ratio so the SVG doesn't letterbox oddly
+    const w = Math.max(b.w, (b.h * v.w) / v.h, MIN_VIEW_W);
+    zoom(w / v.w, b.x + b.w / 2, b.y + b.h / 2);
+  };
+
+  const onPointerDown = (e) => {
+    if (e.button !== 0) return;
+    const [x, y] = toMap(e);
+    e.currentTarget.setPointerCapture?.(e.pointerId);
+    setDrag({ x0: x, y0: y, x1: x, y1: y });
+  };
+  const onPointerMove = (e) => {
+    if (!drag) return;
+    const [x, y] = toMap(e);
+    setDrag((d) => (d ? { ...d, x1: x, y1: y } : d));
+  };
+  const onPointerUp = () => {
+    if (!drag) return;
+    const { x0, y0, x1, y1 } = drag;
+    setDrag(null);
+    if (Math.abs(x1 - x0) < v.w / 100 || Math.abs(y1 - y0) < v.h / 100) return; // a click, not a box
+    const [lonA, latA] = unproject(x0, y0);
+    const [lonB, latB] = unproject(x1, y1);
+    onBoxSelect?.({
+      minLat: Math.min(latA, latB), maxLat: Math.max(latA, latB),
+      minLon: Math.min(lonA, lonB), maxLon: Math.max(lonA, lonB),
+    });
+  };
+
+  const bboxRect = bbox && (() => {
+    const [xa, ya] = project(bbox.minLon, bbox.maxLat);
+    const [xb, yb] = project(bbox.maxLon, bbox.minLat);
+    return { x: xa, y: ya, width: xb - xa, height: yb - ya };
+  })();
+
+  const r = v.w / 180;
+  const font = v.w / 70;
+
+  return (
+    <div className="relative rounded-2xl overflow-hidden border border-slate-200 bg-sky-50">
+      <svg
+        ref={svgRef}
+        viewBox={`${v.x} ${v.y} ${v.w} ${v.h}`}
+        preserveAspectRatio="xMidYMid meet"
+        className="w-full h-[28rem] touch-none select-none cursor-crosshair"
+        onPointerDown={onPointerDown}
+        onPointerMove={onPointerMove}
+        onPointerUp={onPointerUp}
+        onPointerCancel={() => setDrag(null)}
+      >
+        {outline.map((d, i) => (
+          <path key={i} d={d} fill="#f8fafc" stroke="#94a3b8" strokeWidth={1} vectorEffect="non-scaling-stroke" />
+        ))}
+        {hulls.map((h) => h.d && (
+          <path key={h.region} d={h.d} fill={h.color} fillOpacity={0.08} stroke={h.color} strokeOpacity={0.6} strokeDasharray="4 3" strokeWidth={1} vectorEffect="non-scaling-stroke">
+            <title>{h.region}</title>
+          </path>
+        ))}
+        {QUEBEC_PLACES.map((p) => {
+          const [x, y] = project(p.lon, p.lat);
+          return <text key={p.name} x={x + r * 1.5} y={y - r * 1.5} fontSize={font} fill="#475569" pointerEvents="none">{p.name}</text>;
+        })}
+        {bboxRect && (
+          <rect {...bboxRect} fill="#0f172a" fillOpacity={0.05} stroke="#0f172a" strokeWidth={1.5} vectorEffect="non-scaling-stroke" pointerEvents="none" />
+        )}
+        {clusters.map((cl) => {
+          const single = cl.items.length === 1;
+          const anyOn = !highlighted || cl.items.some((p) => highlighted.has(p.camera.id));
+          const isCurrent = cl.items.some((p) => p.camera.id === currentId);
+          const radius = single ? r : r * (1.4 + Math.log10(cl.items.length) * 1.2);
+          const fill = isCurrent ? "#f59e0b" : anyOn ? "#0f172a" : "#94a3b8";
+          return (
+            <g
+              key={cl.key}
+              className="cursor-pointer"
+              onPointerDown={(e) => e.stopPropagation()}
+              onClick={(e) => { e.stopPropagation(); onClusterClick(cl); }}
+            >
+              <circle cx={cl.x} cy={cl.y} r={radius} fill={fill} fillOpacity={single ? 0.9 : 0.75} stroke="white" strokeWidth={1} vectorEffect="non-scaling-stroke" />
+              {!single && (
+                <text x={cl.x} y={cl.y} fontSize={font * 0.9} fill="white" textAnchor="middle" dominantBaseline="central" pointerEvents="none">{cl.items.length}</text>
+              )}
+              <title>{single ? camName(cl.items[0].camera) : t("map.cluster", { n: cl.items.length })}</title>
+            </g>
+          );
+        })}
+        {drag && (
+          <rect
+            x={Math.min(drag.x0, drag.x1)} y={Math.min(drag.y0, drag.y1)}
+            width={Math.abs(drag.x1 - drag.x0)} height={Math.abs(drag.y1 - drag.y0)}
+            fill="#0ea5e9" fillOpacity={0.1} stroke="#0ea5e9" strokeWidth={1} strokeDasharray="4 2" vectorEffect="non-scaling-stroke" pointerEvents="none"
+          />
+        )}
+      </svg>
+
+      <div className="absolute right-3 top-3 flex flex-col gap-2">
+        <Button variant="outline" size="icon" onClick={() => zoom(0.5)} title={t("map.zoomIn")}><ZoomIn size={16}/></Button>
+        <Button variant="outline" size="icon" onClick={() => zoom(2)} title={t("map.zoomOut")}><ZoomOut size={16}/></Button>
+        <Button variant="outline" size="icon" onClick={() => setView(null)} title={t("map.fit")}><Maximize2 size={16}/></Button>
+      </div>
+      <div className="absolute left-3 bottom-3 flex flex-wrap items-center gap-2 text-xs">
+        <span className="px-2 py-1 rounded-full bg-white/80 text-slate-700">{t("map.hint", { n: points.length })}</span>
+        {bbox && (
+          <button onClick={onClearBox} className="px-2 py-1 rounded-full bg-slate-900 text-white flex items-center gap-1"><X size={12}/>{t("map.clearArea")}</button>
+        )}
+      </div>
+    </div>
+  );
+}
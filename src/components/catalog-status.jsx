@@ -0,0 +1,65 @@
+import React, { useState } from "react";
+import { AlertTriangle, Database, X, ChevronDown, ChevronUp } from "lucide-react";
+import { useI18n } from "@/lib/i18n";
+
+const ORIGIN_LABEL = { cache: "catalog.cachedFrom", bundle: "catalog.bundledFrom", demo: "catalog.demoFrom" };
+
+/**
+ * Catalog freshness line plus the added/removed/changed diff of the last refresh,
+ * and `missingCam` (`{ id, camera }`): a linked camera that can't be shown.
+ */
+export function CatalogStatus({ loading, error, loadedAt, origin, count, diff, onDismissDiff, missingCam, onDismissMissing, formatTime }) {
+  const { t, camName: name } = useI18n();
+  const [open, setOpen] = useState(false);
+  const total = diff ? diff.added.length + diff.removed.length + diff.changed.length : 0;
+
+  return (
+    <div className="flex flex-col gap-2 text-xs">
+      <div className="flex flex-wrap items-center gap-2 text-muted-foreground">
+        <Database size={14} className="opacity-70"/>
+        <span>
+          {loading && !count ? t("catalog.loading") : t("catalog.count", { n: count })}
+          {loadedAt && ` · ${t(ORIGIN_LABEL[origin] || "catalog.loadedAt", { time: formatTime(loadedAt) })}`}
+          {loading && count ? ` · ${t("catalog.refreshing")}` : ""}
+        </span>
+        {error && <span className="flex items-center gap-1 text-amber-600"><AlertTriangle size={14}/>{t(`catalog.${error}`)}</span>}
+      </div>
+
+      {missingCam && (
+        <div className="flex items-center gap-2 rounded-xl border border-amber-200 bg-amber-50 px-3 py-2 text-amber-800">
+          <AlertTriangle size={14}/>
+          <span>{t(missingCam.camera ? "catalog.camHidden" : "catalog.camMissing", { name: missingCam.camera ? name(missingCam.camera) : missingCam.id })}</span>
+          <button onClick={onDismissMissing} className="ml-auto p-1 opacity-60 hover:opacity-100" title={t("catalog.dismiss")}><X size={14}/></button>
+        </div>
+      )}
+
+      {diff && (
+        <div className="rounded-xl border border-slate-200 bg-white px-3 py-2">
+          <div className="flex items-center gap-2">
+            <span className="font-medium">{t("catalog.refreshed", { time: formatTime(diff.at) })}</span>
+            {total ? (
+              <>
+                <span className="text-emerald-700">{t("catalog.added", { n: diff.added.length })}</span>
+                <span className="text-rose-700">{t("catalog.removed", { n: diff.removed.length })}</span>
+                <span className="text-amber-700">{t("catalog.changed", { n: diff.changed.length })}</span>
+                <button onClick={() => setOpen((o) => !o)} className="flex items-center gap-1 underline">
+                  {open ? <ChevronUp size={14}/> : <ChevronDown size={14}/>}{t("catalog.details")}
+                </button>
+              </>
+            ) : (
+              <span className="text-muted-foreground">{t("catalog.noChanges")}</span>
+            )}
+            <button onClick={onDismissDiff} className="ml-auto p-1 opacity-60 hover:opacity-100" title={t("catalog.dismiss")}><X size={14}/></button>
+          </div>
+          {open && total > 0 && (
+            <ul className="mt-2 max-h-48 overflow-auto space-y-0.5">
+              {diff.added.map((c) => <li key={`a-${c.id}`} className="text-emerald-700">+ {name(c)} <span className="opacity-60">({c.region || "—"})</span></li>)}
+              {diff.removed.map((c) => <li key={`r-${c.id}`} className="text-rose-700">− {name(c)} <span className="opacity-60">({c.region || "—"})</span></li>)}
+              {diff.changed.map(({ after, fields }) => <li key={`c-${after.id}`} className="text-amber-700">~ {name(after)} <span className="opacity-60">({fields.join(", ")})</span></li>)}
+            </ul>
+          )}
+        </div>
+      )}
+    </div>
+  );
+}
@@ -0,0 +1,51 @@
+import React from "react";
+import { Route as RouteIcon } from "lucide-react";
+import { useI18n } from "@/lib/i18n";
+
+/**
+ * Linear strip-map of a route corridor: one dot per camera at its distance
+ * along the road, the current camera highlighted. Click a dot to jump there.
+ */
+export function CorridorStrip({ corridor, route, dirLabel, currentId, onSelect }) {
+  const { t, camName } = useI18n();
+  const { items, lengthKm } = corridor;
+  if (!items.length) return null;
+  const pos = (km) => (lengthKm > 0 ? (km / lengthKm) * 100 : 50);
+  const currentIdx = items.findIndex((it) => it.camera.id === currentId);
+  const current = items[currentIdx];
+  const ticks = lengthKm > 0 ? Array.from({ length: 5 }, (_, i) => (lengthKm * i) / 4) : [];
+
+  return (
+    <div className="rounded-2xl border border-slate-200 bg-white p-4">
+      <div className="flex flex-wrap items-center gap-2 text-sm mb-3">
+        <RouteIcon size={16} className="opacity-70"/>
+        <span className="font-medium">{t("corridor.title", { route, dir: dirLabel })}</span>
+        <span className="text-muted-foreground">{t("corridor.summary", { n: items.length, km: Math.round(lengthKm) })}</span>
+        {current && (
+          <span className="ml-auto text-muted-foreground truncate">
+            {t("corridor.position", { i: currentIdx + 1, n: items.length, km: Math.round(current.km), name: camName(current.camera) })}
+          </span>
+        )}
+      </div>
+      <div className="relative h-10 mx-2">
+        <div className="absolute left-0 right-0 top-4 h-1.5 rounded-full bg-slate-200" />
+        {current && <div className="absolute left-0 top-4 h-1.5 rounded-full bg-amber-400" style={{ width: `${pos(current.km)}%` }} />}
+        {items.map(({ camera, km }) => {
+          const isCurrent = camera.id === currentId;
+          return (
+            <button
+              key={camera.id}
+              onClick={() => onSelect?.(camera)}
+              title={`km ${Math.round(km)} · ${camName(camera)}`}
+              className={`absolute -translate-x-1/2 rounded-full border-2 border-white ${isCurrent ? "top-2 h-5 w-5 bg-amber-500 z-10" : "top-3 h-3.5 w-3.5 bg-slate-700 hover:bg-slate-900"}`}
+              style={{ left: `${pos(km)}%` }}
+            />
+          );
+        })}
+        {ticks.map((km, i) => (
+          <span key={i} className="absolute top-7 -translate-x-1/2 text-[10px] text-slate-400" style={{ left: `${pos(km)}%` }}>{Math.round(km)} km</span>
+        ))}
+      </div>
+    </div>
+  );
+}
@@ -0,0 +1,36 @@
+import React, { useMemo } from "react";
+import { Sun, Moon, Lightbulb, CloudFog } from "lucide-react";
+import { hasCoords } from "@/lib/geo";
+import { nextLightChange } from "@/lib/daylight";
+import { useI18n } from "@/lib/i18n";
+
+const STATE_ICON = { day: Sun, dim: CloudFog, night: Moon, lit: Lightbulb };
+
+function formatTime(d, tz, hour24, locale) {
+  try {
+    return new Intl.DateTimeFormat(locale, { timeZone: tz, hour: "2-digit", minute: "2-digit", hour12: !hour24 }).format(d);
+  } catch {
+    return d.toLocaleTimeString();
+  }
+}
+
+/** Sun/moon overlay chip for a camera's light `state`; the tooltip says when it next changes. */
+export function DaylightBadge({ camera, state, tz, hour24, compact = false }) {
+  const { t, locale } = useI18n();
+  // recomputed when the state flips, which is also when the next change moves on
+  const change = useMemo(
+    () => (hasCoords(camera) ? nextLightChange(new Date(), Number(camera.lat), Number(camera.lon)) : null),
+    // eslint-disable-next-line react-hooks/exhaustive-deps
+    [camera.id, state]
+  );
+  const Icon = STATE_ICON[state] || Sun;
+  const title = [
+    t(`daylight.${state}Title`),
+    change && t(change.dark ? "daylight.darkAt" : "daylight.lightAt", { time: formatTime(change.at, tz, hour24, locale) }),
+  ].filter(Boolean).join(" · ");
+  return (
+    <span className={`px-2 py-1 rounded-full text-white flex items-center gap-1 ${state === "night" ? "bg-indigo-900/80" : "bg-black/60"}`} title={title}>
+      <Icon size={14}/>{!compact && t(`daylight.${state}`)}
+    </span>
+  );
+}
@@ -0,0 +1,63 @@
+import React, { useMemo } from "react";
+import { AlertTriangle, CheckCircle2, RotateCw, Snowflake } from "lucide-react";
+import { Card, CardContent } from "@/components/ui/card";
+import { probeNow } from "@/lib/health";
+import { useI18n } from "@/lib/i18n";
+
+/** Down and frozen cameras from the health registry, grouped by region. */
+export function HealthPanel({ health, camerasById, now, onSelect }) {
+  const { t, camName, ago, inTime } = useI18n();
+  const groups = useMemo(() => {
+    const byRegion = new Map();
+    for (const r of health.values()) {
+      if (!r.down && !r.frozen) continue;
+      const c = camerasById.get(r.id);
+      const region = c?.region || "—";
+      if (!byRegion.has(region)) byRegion.set(region, []);
+      byRegion.get(region).push({ record: r, camera: c });
+    }
+    return Array.from(byRegion).sort(([a], [b]) => a.localeCompare(b));
+  }, [health, camerasById]);
+
+  const down = groups.reduce((n, [, rows]) => n + rows.filter((row) => row.record.down).length, 0);
+  const frozen = groups.reduce((n, [, rows]) => n + rows.filter((row) => !row.record.down).length, 0);
+  const checked = health.size;
+
+  return (
+    <Card className="shadow-sm">
+      <CardContent className="p-4 flex flex-col gap-3">
+        <div className="flex items-center gap-2 text-sm">
+          {down || frozen ? <AlertTriangle size={16} className="text-amber-500"/> : <CheckCircle2 size={16} className="text-emerald-600"/>}
+          <span className="font-medium">{t("health.down", { n: down })}{frozen ? ` · ${t("health.frozen", { n: frozen })}` : ""}</span>
+          <span className="text-muted-foreground">{t("health.summary", { n: checked })}</span>
+        </div>
+        {groups.map(([region, rows]) => (
+          <div key={region}>
+            <div className="text-xs font-medium text-slate-500 mb-1">{region} ({rows.length})</div>
+            <div className="grid grid-cols-1 md:grid-cols-2 gap-1">
+              {rows.map(({ record: r, camera: c }) => (
+                <div key={r.id} className="flex items-center gap-2 px-2 py-1.5 rounded-xl border border-slate-200 text-sm">
+                  <button className="truncate flex-1 text-left hover:underline" onClick={() => c && onSelect?.(c)} title={c ? camName(c) : r.id}>
+                    {c ? camName(c) : r.id}
+                  </button>
+                  {r.down ? (
+                    <>
+                      <span className="text-xs text-muted-foreground whitespace-nowrap">
+                        {t("health.row", { n: r.consecutive, good: r.lastGood ? ago(r.lastGood, now) : t("health.never"), retry: inTime(r.nextProbeAt, now) })}
+                      </span>
+                      <button onClick={() => probeNow(r.id)} className="p-1 opacity-60 hover:opacity-100" title={t("health.probeNow")}><RotateCw size={14}/></button>
+                    </>
+                  ) : (
+                    <span className="text-xs text-sky-700 whitespace-nowrap flex items-center gap-1">
+                      <Snowflake size={12}/>{t("health.frozenRow", { since: ago(r.changedAt, now) })}
+                    </span>
+                  )}
+                </div>
+              ))}
+            </div>
+          </div>
+        ))}
+      </CardContent>
+    </Card>
+  );
+}
@@ -0,0 +1,159 @@
+import React, { useEffect, useMemo, useRef, useState } from "react";
+import { History, Play, Pause, StepBack, StepForward, FastForward, Trash2, Film, ImageDown, Flag } from "lucide-react";
+import { Button } from "@/components/ui/button";
+import { Card, CardContent } from "@/components/ui/card";
+import { Slider } from "@/components/ui/slider";
+import { useHistory, getFrameBlob, clearHistory } from "@/lib/history";
+import { exportGif, exportWebm, canExportWebm } from "@/lib/timelapse";
+import { downloadBlob } from "@/lib/files";
+import { useI18n } from "@/lib/i18n";
+
+// object URL of one stored frame; the previous picture stays up until the next one is read
+function useFrameUrl(key) {
+  const [url, setUrl] = useState(null);
+  const current = useRef(null);
+  useEffect(() => {
+    if (!key) return;
+    let cancelled = false;
+    getFrameBlob(key).then((blob) => {
+      if (cancelled || !blob) return;
+      if (current.current) URL.revokeObjectURL(current.current);
+      current.current = URL.createObjectURL(blob);
+      setUrl(current.current);
+    }).catch(() => {});
+    return () => { cancelled = true; };
+  }, [key]);
+  useEffect(() => () => { if (current.current) URL.revokeObjectURL(current.current); }, []);
+  return key ? url : null;
+}
+
+/**
+ * Snapshot history of one camera: scrub back through stored frames, play them
+ * as a timelapse, mark a range and export it as GIF or WebM.
+ * Positions are capture times, so trimming old frames doesn't shift them.
+ */
+export function HistoryPanel({ camera, limit, formatTime }) {
+  const { t, camName } = useI18n();
+  const { frames, blocked } = useHistory(camera?.id);
+  const [posT, setPosT] = useState(null); // capture time shown; null = follow the newest frame
+  const [range, setRange] = useState(null); // [fromT, toT]; null = everything
+  const [playing, setPlaying] = useState(false);
+  const [fps, setFps] = useState(4);
+  const [busy, setBusy] = useState(null); // { kind: "gif" | "webm", progress }
+  const [message, setMessage] = useState("");
+
+  useEffect(() => {
+    setPosT(null);
+    setRange(null);
+    setPlaying(false);
+    setMessage("");
+  }, [camera?.id]);
+
+  const last = frames.length - 1;
+  const found = posT == null ? last : frames.findIndex((f) => f.t >= posT);
+  const idx = found < 0 ? last : found;
+  const frame = frames[idx];
+  const url = useFrameUrl(frame?.key);
+
+  const selection = useMemo(
+    () => (range ? frames.filter((f) => f.t >= range[0] && f.t <= range[1]) : frames),
+    [frames, range]
+  );
+  const goTo = (i) => setPosT(frames[Math.max(0, Math.min(last, i))]?.t ?? null);
+
+  // timelapse: loop through the selected range
+  useEffect(() => {
+    if (!playing || selection.length < 2) return;
+    const timer = setInterval(() => {
+      setPosT((p) => {
+        const i = selection.findIndex((f) => f.t > (p ?? Infinity));
+        return (i < 0 ? selection[0] : selection[i]).t;
+      });
+    }, 1000 / fps);
+    return () => clearInterval(timer);
+  }, [playing, selection, fps]);
+
+  const markStart = () => frame && setRange([frame.t, range && range[1] >= frame.t ? range[1] : frames[last].t]);
+  const markEnd = () => frame && setRange([range && range[0] <= frame.t ? range[0] : frames[0].t, frame.t]);
+
+  const onExport = async (kind) => {
+    setPlaying(false);
+    setMessage("");
+    setBusy({ kind, progress: 0 });
+    try {
+      const opts = {
+        fps,
+        label: (f) => `${camName(camera)} · ${formatTime(new Date(f.t))}`,
+        onProgress: (progress) => setBusy({ kind, progress }),
+      };
+      const blob = kind === "gif" ? await exportGif(selection, opts) : await exportWebm(selection, opts);
+      downloadBlob(blob, `q511-${camera.id}-${new Date(selection[0].t).toISOString().slice(0, 16).replace(/[:T]/g, "")}.${kind}`);
+    } catch {
+      setMessage(t("history.exportFailed"));
+    } finally {
+      setBusy(null);
+    }
+  };
+
+  if (!camera) return null;
+  const inRange = (f) => !range || (f.t >= range[0] && f.t <= range[1]);
+
+  return (
+    <Card className="shadow-sm">
+      <CardContent className="p-4 flex flex-col gap-3">
+        <div className="flex flex-wrap items-center gap-2 text-sm">
+          <History size={16} className="opacity-70"/>
+          <span className="font-medium truncate">{t("history.title", { name: camName(camera) })}</span>
+          <span className="text-muted-foreground">{t("history.count", { n: frames.length, max: limit })}</span>
+          <Button variant="outline" className="gap-2 ml-auto" onClick={() => clearHistory(camera.id)} disabled={!frames.length || !!busy}><Trash2 size={16}/>{t("history.clear")}</Button>
+        </div>
+
+        {!frames.length ? (
+          <div className="text-sm text-muted-foreground">{t(blocked ? "history.blocked" : "history.empty")}</div>
+        ) : (
+          <>
+            <div className="relative w-full aspect-video bg-black rounded-xl overflow-hidden">
+              {url && <img src={url} alt={camName(camera)} className="w-full h-full object-contain"/>}
+              <span className="absolute left-3 bottom-3 px-2 py-1 rounded-full bg-black/60 text-white text-xs">
+                {formatTime(new Date(frame.t))} · {idx + 1}/{frames.length}{posT == null ? ` · ${t("history.latest")}` : ""}
+              </span>
+            </div>
+
+            <Slider value={[idx]} min={0} max={Math.max(last, 0)} step={1} onValueChange={([v]) => { setPlaying(false); goTo(v); }} aria-label={t("history.position")} aria-valuetext={`${formatTime(new Date(frame.t))} · ${idx + 1}/${frames.length}`} />
+            <div className="flex h-1.5 -mt-2 rounded-full overflow-hidden bg-slate-100" aria-hidden>
+              {frames.map((f) => <div key={f.key} className={`flex-1 ${inRange(f) && range ? "bg-amber-400" : ""}`}/>)}
+            </div>
+
+            <div className="flex flex-wrap items-center gap-2">
+              <Button variant="outline" size="icon" onClick={() => { setPlaying(false); goTo(idx - 1); }} disabled={idx <= 0} title={t("history.prev")}><StepBack size={16}/></Button>
+              <Button variant="default" size="icon" onClick={() => setPlaying((p) => !p)} disabled={selection.length < 2} title={t("history.timelapse")}>{playing ? <Pause size={16}/> : <Play size={16}/>}</Button>
+              <Button variant="outline" size="icon" onClick={() => { setPlaying(false); goTo(idx + 1); }} disabled={idx >= last} title={t("history.next")}><StepForward size={16}/></Button>
+              <Button variant="outline" size="icon" onClick={() => { setPlaying(false); setPosT(null); }} disabled={posT == null} title={t("history.followLatest")}><FastForward size={16}/></Button>
+              <div className="flex items-center gap-2 w-40">
+                <Slider value={[fps]} min={1} max={12} step={1} onValueChange={([v]) => setFps(v)} aria-label={t("history.speed")} aria-valuetext={`${fps} fps`} />
+                <span className="text-sm w-14 text-right whitespace-nowrap">{fps} fps</span>
+              </div>
+              <Button variant="outline" className="gap-2" onClick={markStart}><Flag size={16}/>{t("history.markStart")}</Button>
+              <Button variant="outline" className="gap-2" onClick={markEnd}><Flag size={16}/>{t("history.markEnd")}</Button>
+              {range && <Button variant="outline" onClick={() => setRange(null)}>{t("history.allFrames")}</Button>}
+            </div>
+
+            <div className="flex flex-wrap items-center gap-2 text-sm">
+              <span className="text-muted-foreground">
+                {selection.length
+                  ? t("history.range", { n: selection.length, from: formatTime(new Date(selection[0].t)), to: formatTime(new Date(selection[selection.length - 1].t)) })
+                  : t("history.rangeEmpty")}
+              </span>
+              <div className="ml-auto flex items-center gap-2">
+                <Button variant="outline" className="gap-2" onClick={() => onExport("gif")} disabled={!selection.length || !!busy}><ImageDown size={16}/>GIF</Button>
+                <Button variant="outline" className="gap-2" onClick={() => onExport("webm")} disabled={!selection.length || !!busy || !canExportWebm()} title={canExportWebm() ? undefined : t("history.noWebm")}><Film size={16}/>WebM</Button>
+              </div>
+            </div>
+            {busy && <div className="text-xs text-muted-foreground">{t("history.exporting", { kind: busy.kind.toUpperCase(), pct: Math.round(busy.progress * 100) })}</div>}
+            {message && <div className="text-xs text-amber-600">{message}</div>}
+          </>
+        )}
+      </CardContent>
+    </Card>
+  );
+}
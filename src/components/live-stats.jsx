@@ -0,0 +1,27 @@
+import React from "react";
+import { Activity } from "lucide-react";
+import { useI18n } from "@/lib/i18n";
+
+const seconds = (v) => (v == null ? "—" : `${v.toFixed(1)} s`);
+const bitrate = (bps) => (!bps ? "—" : bps >= 1e6 ? `${(bps / 1e6).toFixed(1)} Mb/s` : `${Math.round(bps / 1e3)} kb/s`);
+
+/** Small readout of a live player's `stats` (see useLivePlayer), top left of the pane. */
+export function LiveStats({ stats }) {
+  const { t } = useI18n();
+  const rows = [
+    ["latency", seconds(stats.latency), t("live.latencyTitle")],
+    ["buffer", seconds(stats.buffer)],
+    ["bitrate", bitrate(stats.bitrate)],
+    ["stalls", String(stats.stalls)],
+  ];
+  return (
+    <div className="absolute left-3 top-3 rounded-xl bg-black/60 text-white text-xs px-2 py-1.5 font-mono">
+      <div className="flex items-center gap-1 mb-0.5 opacity-70"><Activity size={12}/>HLS</div>
+      {rows.map(([key, value, title]) => (
+        <div key={key} className="flex justify-between gap-3" title={title}>
+          <span className="opacity-70">{t(`live.${key}`)}</span><span>{value}</span>
+        </div>
+      ))}
+    </div>
+  );
+}
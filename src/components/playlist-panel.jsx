@@ -0,0 +1,154 @@
+import React, { useRef, useState } from "react";
+import { Star, ListPlus, Trash2, Download, Upload, GripVertical, X, ArrowUp, ArrowDown, Play, Pencil } from "lucide-react";
+import { Button } from "@/components/ui/button";
+import { Input } from "@/components/ui/input";
+import { Card, CardContent } from "@/components/ui/card";
+import { FAVORITES_ID, parsePlaylists, serializePlaylists } from "@/lib/playlists";
+import { downloadText, readFileText } from "@/lib/files";
+import { useI18n } from "@/lib/i18n";
+
+export const SOURCE_FILTER = "filter";
+
+/**
+ * Playlist manager: choose what feeds the slideshow (filter results or a
+ * playlist), create/rename/delete playlists, reorder by drag-and-drop and
+ * import/export them as JSON. `pl` is the `usePlaylists()` result.
+ */
+export function PlaylistPanel({ pl, camerasById, source, onSourceChange, editingId, onEditingChange }) {
+  const { t, camName } = useI18n();
+  const [newName, setNewName] = useState("");
+  const [renaming, setRenaming] = useState(false);
+  const [dragFrom, setDragFrom] = useState(null);
+  const [dragOver, setDragOver] = useState(null);
+  const [message, setMessage] = useState("");
+  const fileRef = useRef(null);
+
+  const editing = pl.playlists.find((l) => l.id === editingId) || pl.playlists[0];
+
+  const onCreate = () => {
+    const id = pl.create(newName || t("playlists.defaultName", { n: pl.playlists.length }));
+    setNewName("");
+    onEditingChange(id);
+  };
+
+  const onDelete = () => {
+    if (!editing || editing.id === FAVORITES_ID) return;
+    if (source === editing.id) onSourceChange(SOURCE_FILTER);
+    pl.remove(editing.id);
+    onEditingChange(FAVORITES_ID);
+  };
+
+  const onImport = async (e) => {
+    const file = e.target.files?.[0];
+    e.target.value = "";
+    if (!file) return;
+    try {
+      const lists = parsePlaylists(await readFileText(file));
+      pl.importLists(lists);
+      setMessage(t("playlists.imported", { n: lists.length }));
+    } catch (err) {
+      setMessage(t("playlists.importFailed", { msg: err.code ? t(`playlists.${err.code}`) : err.message }));
+    }
+  };
+
+  const onDrop = (to) => {
+    if (dragFrom != null) pl.move(editing.id, dragFrom, to);
+    setDragFrom(null);
+    setDragOver(null);
+  };
+
+  const label = (l) => (l.id === FAVORITES_ID ? `★ ${t("playlists.favorites")}` : l.name);
+
+  return (
+    <Card className="shadow-sm">
+      <CardContent className="p-4 flex flex-col gap-4">
+        <div className="flex flex-wrap items-center gap-2">
+          <span className="text-sm font-medium mr-1">{t("playlists.playFrom")}</span>
+          <Button variant={source === SOURCE_FILTER ? "default" : "outline"} onClick={() => onSourceChange(SOURCE_FILTER)}>{t("playlists.filterResults")}</Button>
+          {pl.playlists.map((l) => (
+            <Button key={l.id} variant={source === l.id ? "default" : "outline"} className="gap-2" onClick={() => onSourceChange(l.id)} disabled={!l.ids.length}>
+              {label(l)} <span className="opacity-60">{l.ids.length}</span>
+            </Button>
+          ))}
+        </div>
+
+        <div className="grid grid-cols-1 md:grid-cols-[16rem_1fr] gap-4">
+          <div className="flex flex-col gap-2">
+            {pl.playlists.map((l) => (
+              <button
+                key={l.id}
+                onClick={() => { onEditingChange(l.id); setRenaming(false); }}
+                className={`text-left px-3 py-2 rounded-xl text-sm border ${editing?.id === l.id ? "border-slate-900 bg-slate-50" : "border-slate-200 hover:bg-slate-50"}`}
+              >
+                {l.id === FAVORITES_ID && <Star size={14} className="inline mr-1 -mt-0.5"/>}{l.id === FAVORITES_ID ? t("playlists.favorites") : l.name}
+                <span className="float-right text-xs text-muted-foreground">{l.ids.length}</span>
+              </button>
+            ))}
+            <div className="flex items-center gap-2">
+              <Input value={newName} onChange={(e) => setNewName(e.target.value)} onKeyDown={(e) => e.key === "Enter" && onCreate()} placeholder={t("playlists.newName")} />
+              <Button variant="outline" size="icon" onClick={onCreate} title={t("playlists.create")}><ListPlus size={16}/></Button>
+            </div>
+            <div className="flex items-center gap-2">
+              <Button variant="outline" className="gap-2 flex-1" onClick={() => downloadText(serializePlaylists(pl.playlists), "q511-playlists.json")}><Download size={16}/>{t("playlists.export")}</Button>
+              <Button variant="outline" className="gap-2 flex-1" onClick={() => fileRef.current?.click()}><Upload size={16}/>{t("playlists.import")}</Button>
+              <input ref={fileRef} type="file" accept="application/json,.json" className="hidden" onChange={onImport} />
+            </div>
+            {message && <div className="text-xs text-muted-foreground">{message}</div>}
+          </div>
+
+          {editing && (
+            <div className="flex flex-col gap-2 min-w-0">
+              <div className="flex items-center gap-2">
+                {renaming ? (
+                  <Input
+                    autoFocus
+                    defaultValue={editing.name}
+                    onBlur={(e) => { pl.rename(editing.id, e.target.value); setRenaming(false); }}
+                    onKeyDown={(e) => e.key === "Enter" && e.currentTarget.blur()}
+                  />
+                ) : (
+                  <div className="font-medium truncate">{label(editing)}</div>
+                )}
+                <div className="ml-auto flex items-center gap-2">
+                  <Button variant="outline" size="icon" onClick={() => onSourceChange(editing.id)} disabled={!editing.ids.length} title={t("playlists.play")}><Play size={16}/></Button>
+                  {editing.id !== FAVORITES_ID && (
+                    <>
+                      <Button variant="outline" size="icon" onClick={() => setRenaming(true)} title={t("playlists.rename")}><Pencil size={16}/></Button>
+                      <Button variant="outline" size="icon" onClick={onDelete} title={t("playlists.delete")}><Trash2 size={16}/></Button>
+                    </>
+                  )}
+                </div>
+              </div>
+              {!editing.ids.length && (
+                <div className="text-sm text-muted-foreground">{t(editing.id === FAVORITES_ID ? "playlists.emptyFav" : "playlists.empty")}</div>
+              )}
+              <ol className="flex flex-col gap-1 max-h-72 overflow-auto">
+                {editing.ids.map((id, i) => {
+                  const c = camerasById.get(id);
+                  return (
+                    <li
+                      key={id}
+                      draggable
+                      onDragStart={(e) => { setDragFrom(i); e.dataTransfer.effectAllowed = "move"; }}
+                      onDragOver={(e) => { e.preventDefault(); setDragOver(i); }}
+                      onDragEnd={() => { setDragFrom(null); setDragOver(null); }}
+                      onDrop={(e) => { e.preventDefault(); onDrop(i); }}
+                      className={`flex items-center gap-2 px-2 py-1.5 rounded-xl border bg-white text-sm ${dragOver === i && dragFrom !== i ? "border-slate-900" : "border-slate-200"} ${dragFrom === i ? "opacity-50" : ""}`}
+                    >
+                      <GripVertical size={14} className="opacity-50 cursor-grab shrink-0"/>
+                      <span className="text-xs text-muted-foreground w-6 text-right">{i + 1}</span>
+                      <span className="truncate flex-1" title={c ? camName(c) : id}>{c ? camName(c) : <span className="text-muted-foreground">{t("playlists.unknown", { id })}</span>}</span>
+                      <button onClick={() => pl.move(editing.id, i, i - 1)} disabled={i === 0} className="p-1 opacity-60 hover:opacity-100 disabled:opacity-20" title={t("playlists.moveUp")}><ArrowUp size={14}/></button>
+                      <button onClick={() => pl.move(editing.id, i, i + 1)} disabled={i === editing.ids.length - 1} className="p-1 opacity-60 hover:opacity-100 disabled:opacity-20" title={t("playlists.moveDown")}><ArrowDown size={14}/></button>
+                      <button onClick={() => pl.removeCamera(editing.id, id)} className="p-1 opacity-60 hover:opacity-100" title={t("playlists.remove")}><X size={14}/></button>
+                    </li>
+                  );
+                })}
+              </ol>
+            </div>
+          )}
+        </div>
+      </CardContent>
+    </Card>
+  );
+}
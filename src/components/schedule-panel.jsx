@@ -0,0 +1,180 @@
+import React, { useMemo } from "react";
+import { CalendarClock, Plus, Trash2, ArrowUp, ArrowDown, Timer, Scale, X } from "lucide-react";
+import { Button } from "@/components/ui/button";
+import { Input } from "@/components/ui/input";
+import { Card, CardContent } from "@/components/ui/card";
+import { Switch } from "@/components/ui/switch";
+import { MAX_WEIGHT, WEEKDAYS, formatHm, weekPlan, minutesUntilChange, zonedClock } from "@/lib/schedules";
+import { useI18n } from "@/lib/i18n";
+
+const COLORS = ["bg-sky-500", "bg-amber-500", "bg-emerald-500", "bg-fuchsia-500", "bg-rose-500", "bg-indigo-500"];
+const FIELD = "h-9 rounded-xl border border-slate-300 bg-white px-2 text-sm outline-none focus:ring-2 focus:ring-slate-200";
+
+function useWeekdayNames(locale) {
+  return useMemo(() => {
+    const f = new Intl.DateTimeFormat(locale, { weekday: "short" });
+    return Array.from({ length: 7 }, (_, d) => f.format(new Date(2024, 0, 7 + d))); // 7 January 2024 was a Sunday
+  }, [locale]);
+}
+
+// one day of the preview: coloured windows over a 24 h bar, plus a marker for now on today's row
+function DayBar({ segments, colorOf, titleOf, nowMin }) {
+  return (
+    <div className="relative h-5 flex-1 rounded-md bg-slate-100 overflow-hidden">
+      {segments.filter((s) => s.schedule).map((s) => (
+        <div
+          key={s.start}
+          className={`absolute inset-y-0 ${colorOf(s.schedule)}`}
+          style={{ left: `${(s.start / 1440) * 100}%`, width: `${((s.end - s.start) / 1440) * 100}%` }}
+          title={titleOf(s)}
+        />
+      ))}
+      {nowMin != null && <div className="absolute inset-y-0 w-0.5 bg-slate-900" style={{ left: `${(nowMin / 1440) * 100}%` }}/>}
+    </div>
+  );
+}
+
+/**
+ * Rotation rules editor: time-of-day schedules (first match wins) with a
+ * week preview in the configured timezone, and per-camera dwell and weight.
+ * `ctl` is the `useRotationRules()` result; `sources` lists what a schedule
+ * can play as `{ value, label, count }`.
+ */
+export function SchedulePanel({ ctl, sources, tz, camerasById, currentId, enabled, onEnabledChange, defaultDwell, now }) {
+  const { t, locale, camName } = useI18n();
+  const { rules } = ctl;
+  const days = useWeekdayNames(locale);
+  const minute = Math.floor(now.getTime() / 60_000); // the preview moves once a minute, not on every tick
+  const plan = useMemo(() => weekPlan(rules.schedules, tz, new Date(minute * 60_000)), [rules.schedules, tz, minute]);
+  const clock = zonedClock(new Date(minute * 60_000), tz);
+  const current = plan[0].segments.find((s) => s.start <= clock.minutes && clock.minutes < s.end)?.schedule || null;
+  const until = useMemo(() => minutesUntilChange(rules.schedules, tz, new Date(minute * 60_000)), [rules.schedules, tz, minute]);
+
+  const sourceLabel = (value) => sources.find((s) => s.value === value)?.label || t("schedules.missingSource");
+  const sourceCount = (value) => sources.find((s) => s.value === value)?.count ?? 0;
+  const nameOf = (s) => s.name || sourceLabel(s.source);
+  const colorOf = (s) => COLORS[rules.schedules.indexOf(s) % COLORS.length];
+  const titleOf = (seg) => `${nameOf(seg.schedule)} · ${formatHm(seg.start)}–${formatHm(seg.end)} · ${t("catalog.count", { n: sourceCount(seg.schedule.source) })}`;
+  const toggleDay = (s, d) => ctl.updateSchedule(s.id, { days: s.days?.includes(d) ? s.days.filter((x) => x !== d) : [...(s.days || []), d] });
+  const ruled = Object.entries(rules.cameras);
+  const changeAt = until == null ? null : (() => {
+    const at = clock.minutes + until;
+    const time = formatHm(at % 1440);
+    return at < 1440 ? time : `${days[(clock.day + Math.floor(at / 1440)) % 7]} ${time}`;
+  })();
+
+  return (
+    <Card className="shadow-sm">
+      <CardContent className="p-4 flex flex-col gap-4">
+        <div className="flex flex-wrap items-center gap-2">
+          <CalendarClock size={16} className="opacity-70"/>
+          <span className="text-sm font-medium">{t("schedules.title")}</span>
+          <span className="text-xs text-muted-foreground">{t("schedules.hint", { tz })}</span>
+          <div className="ml-auto flex items-center gap-2">
+            <Switch checked={enabled} onCheckedChange={onEnabledChange} id="schedules-on" />
+            <label htmlFor="schedules-on" className="text-sm">{t("schedules.enabled")}</label>
+          </div>
+        </div>
+
+        <div className="flex flex-col gap-2">
+          {rules.schedules.map((s, i) => (
+            <div key={s.id} className={`flex flex-wrap items-center gap-2 rounded-xl border border-slate-200 p-2 ${s.enabled === false ? "opacity-50" : ""}`}>
+              <span className={`w-3 h-3 rounded-full shrink-0 ${colorOf(s)}`}/>
+              <input type="checkbox" checked={s.enabled !== false} onChange={(e) => ctl.updateSchedule(s.id, { enabled: e.target.checked })} title={t("schedules.active")} />
+              <div className="w-40"><Input value={s.name} placeholder={sourceLabel(s.source)} onChange={(e) => ctl.updateSchedule(s.id, { name: e.target.value })} /></div>
+              <div className="flex items-center gap-0.5" title={t("schedules.daysHint")}>
+                {WEEKDAYS.map((d) => (
+                  <button
+                    key={d}
+                    onClick={() => toggleDay(s, d)}
+                    aria-pressed={!!s.days?.includes(d)}
+                    className={`px-1.5 py-1 rounded-md text-xs ${s.days?.includes(d) ? "bg-slate-900 text-white" : "bg-slate-100 text-slate-600 hover:bg-slate-200"}`}
+                  >
+                    {days[d]}
+                  </button>
+                ))}
+              </div>
+              <input type="time" value={s.start} onChange={(e) => ctl.updateSchedule(s.id, { start: e.target.value })} className={FIELD} aria-label={t("schedules.start")} />
+              <span className="text-sm">–</span>
+              <input type="time" value={s.end} onChange={(e) => ctl.updateSchedule(s.id, { end: e.target.value })} className={FIELD} aria-label={t("schedules.end")} />
+              <select value={s.source} onChange={(e) => ctl.updateSchedule(s.id, { source: e.target.value })} className={`${FIELD} min-w-0 max-w-[16rem]`}>
+                {!sources.some((o) => o.value === s.source) && <option value={s.source}>{t("schedules.missingSource")}</option>}
+                {sources.map((o) => <option key={o.value} value={o.value}>{o.label} ({o.count})</option>)}
+              </select>
+              <div className="ml-auto flex items-center gap-1">
+                <button onClick={() => ctl.moveSchedule(i, i - 1)} disabled={i === 0} className="p-1 opacity-60 hover:opacity-100 disabled:opacity-20" title={t("schedules.moveUp")}><ArrowUp size={14}/></button>
+                <button onClick={() => ctl.moveSchedule(i, i + 1)} disabled={i === rules.schedules.length - 1} className="p-1 opacity-60 hover:opacity-100 disabled:opacity-20" title={t("schedules.moveDown")}><ArrowDown size={14}/></button>
+                <button onClick={() => ctl.removeSchedule(s.id)} className="p-1 opacity-60 hover:opacity-100" title={t("schedules.remove")}><Trash2 size={14}/></button>
+              </div>
+            </div>
+          ))}
+          {!rules.schedules.length && <div className="text-sm text-muted-foreground">{t("schedules.empty")}</div>}
+          <div>
+            <Button variant="outline" className="gap-2" onClick={() => ctl.addSchedule({ source: sources[0]?.value || "all" })}><Plus size={16}/>{t("schedules.add")}</Button>
+          </div>
+        </div>
+
+        {rules.schedules.length > 0 && (
+          <div className="flex flex-col gap-1">
+            <div className="text-sm">
+              {!enabled ? t("schedules.disabled") : current ? t("schedules.nowPlaying", { name: nameOf(current) }) : t("schedules.nowRegular")}
+              {enabled && changeAt != null && <span className="text-muted-foreground">{t("schedules.until", { time: changeAt })}</span>}
+            </div>
+            {plan.map(({ day, segments }, k) => (
+              <div key={k} className="flex items-center gap-2">
+                <span className="w-10 text-xs text-muted-foreground">{k === 0 ? t("schedules.today") : days[day]}</span>
+                <DayBar segments={segments} colorOf={colorOf} titleOf={titleOf} nowMin={k === 0 ? clock.minutes : null} />
+              </div>
+            ))}
+            <div className="flex items-center gap-2">
+              <span className="w-10"/>
+              <div className="flex-1 flex justify-between text-[10px] text-muted-foreground">
+                {[0, 6, 12, 18, 24].map((h) => <span key={h}>{String(h).padStart(2, "0")}:00</span>)}
+              </div>
+            </div>
+          </div>
+        )}
+
+        <div className="flex flex-col gap-2">
+          <div className="flex flex-wrap items-center gap-2">
+            <Scale size={16} className="opacity-70"/>
+            <span className="text-sm font-medium">{t("schedules.cameraRules")}</span>
+            <span className="text-xs text-muted-foreground">{t("schedules.cameraRulesHint")}</span>
+            {currentId && camerasById.has(currentId) && !rules.cameras[currentId] && (
+              <Button variant="outline" className="gap-2 ml-auto" onClick={() => ctl.setCamera(currentId, { weight: 2 })}><Plus size={16}/>{t("schedules.addCurrent")}</Button>
+            )}
+          </div>
+          {ruled.map(([id, r]) => {
+            const c = camerasById.get(id);
+            return (
+              <div key={id} className="flex flex-wrap items-center gap-2 px-3 py-2 rounded-xl border border-slate-200 text-sm">
+                <span className="truncate flex-1 min-w-[10rem]" title={c ? camName(c) : id}>{c ? camName(c) : <span className="text-muted-foreground">{t("playlists.unknown", { id })}</span>}</span>
+                <label className="flex items-center gap-1" title={t("schedules.dwellHint")}>
+                  <Timer size={14} className="opacity-70"/>
+                  <input
+                    type="number"
+                    min={3}
+                    max={300}
+                    value={r.dwell || ""}
+                    placeholder={String(defaultDwell)}
+                    onChange={(e) => ctl.setCamera(id, { dwell: e.target.value ? Math.max(3, Math.min(300, Number(e.target.value))) : undefined })}
+                    className={`${FIELD} w-20`}
+                  />
+                  <span className="text-xs">s</span>
+                </label>
+                <label className="flex items-center gap-1" title={t("schedules.weightHint")}>
+                  <Scale size={14} className="opacity-70"/>
+                  <select value={r.weight || 1} onChange={(e) => ctl.setCamera(id, { weight: Number(e.target.value) })} className={FIELD}>
+                    {Array.from({ length: MAX_WEIGHT }, (_, k) => k + 1).map((w) => <option key={w} value={w}>×{w}</option>)}
+                  </select>
+                </label>
+                <button onClick={() => ctl.clearCamera(id)} className="p-1 opacity-60 hover:opacity-100" title={t("schedules.clearCamera")}><X size={14}/></button>
+              </div>
+            );
+          })}
+          {!ruled.length && <div className="text-sm text-muted-foreground">{t("schedules.noCameraRules")}</div>}
+        </div>
+      </CardContent>
+    </Card>
+  );
+}
@@ -0,0 +1,17 @@
+import React from "react";
+import { highlightRanges } from "@/lib/search";
+
+/** `text` with the words matched by the search `terms` marked. */
+export function Highlight({ text, terms }) {
+  const ranges = highlightRanges(text, terms);
+  if (!ranges.length) return text;
+  const parts = [];
+  let at = 0;
+  for (const [start, end] of ranges) {
+    if (start > at) parts.push(text.slice(at, start));
+    parts.push(<mark key={start} className="bg-amber-200/80 text-inherit rounded-sm">{text.slice(start, end)}</mark>);
+    at = end;
+  }
+  parts.push(text.slice(at));
+  return <>{parts}</>;
+}
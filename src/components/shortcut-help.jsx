@@ -0,0 +1,44 @@
+import React from "react";
+import { Keyboard, X } from "lucide-react";
+import { useI18n } from "@/lib/i18n";
+
+// keep in sync with the `useHotkeys` bindings in App, Slideshow and CameraGrid
+const SHORTCUTS = [
+  { keys: ["→", "N"], label: "kiosk.keyNext" },
+  { keys: ["←", "P"], label: "kiosk.keyPrev" },
+  { keys: ["Space"], label: "kiosk.keyPlay" },
+  { keys: ["L"], label: "kiosk.keyLive" },
+  { keys: ["1–9"], label: "kiosk.keyFavorite" },
+  { keys: ["K"], label: "kiosk.keyKiosk" },
+  { keys: ["?"], label: "kiosk.keyHelp" },
+  { keys: ["Esc"], label: "kiosk.keyEscape" },
+];
+
+/** Modal list of keyboard shortcuts; click outside or press Esc/? to close. */
+export function ShortcutHelp({ onClose }) {
+  const { t } = useI18n();
+  return (
+    <div className="fixed inset-0 z-[60] grid place-items-center bg-black/60 p-4" onClick={onClose}>
+      <div role="dialog" aria-modal="true" aria-labelledby="shortcut-help-title" className="w-full max-w-md rounded-2xl bg-white p-5 shadow-xl" onClick={(e) => e.stopPropagation()}>
+        <div className="flex items-center gap-2 mb-4">
+          <Keyboard size={18} className="opacity-70"/>
+          <h2 id="shortcut-help-title" className="font-semibold">{t("kiosk.helpTitle")}</h2>
+          <button onClick={onClose} className="ml-auto p-1 opacity-60 hover:opacity-100" title={t("catalog.dismiss")}><X size={16}/></button>
+        </div>
+        <dl className="grid grid-cols-[auto_1fr] gap-x-4 gap-y-2 text-sm">
+          {SHORTCUTS.map((s) => (
+            <React.Fragment key={s.label}>
+              <dt className="flex items-center gap-1">
+                {s.keys.map((k) => (
+                  <kbd key={k} className="min-w-[1.75rem] rounded-md border border-slate-300 bg-slate-50 px-1.5 py-0.5 text-center text-xs font-mono">{k}</kbd>
+                ))}
+              </dt>
+              <dd>{t(s.label)}</dd>
+            </React.Fragment>
+          ))}
+        </dl>
+        <p className="mt-4 text-xs text-muted-foreground">{t("kiosk.helpNote")}</p>
+      </div>
+    </div>
+  );
+}
@@ -0,0 +1,132 @@
+import React, { useMemo, useRef, useState } from "react";
+import { Database, Upload, Pencil, Trash2, Check, X } from "lucide-react";
+import { Button } from "@/components/ui/button";
+import { Input } from "@/components/ui/input";
+import { Card, CardContent } from "@/components/ui/card";
+import { FILE_FIELDS, parseCameraFile, guessMapping, mapRows, addSource, updateSource, removeSource, useCameraSources } from "@/lib/providers/file";
+import { readFileText } from "@/lib/files";
+import { useI18n } from "@/lib/i18n";
+
+const PREVIEW_ROWS = 3;
+
+// pick a column for each camera field and check the result on the first rows
+function MappingEditor({ draft, onChange, onSave, onCancel }) {
+  const { t } = useI18n();
+  const cameras = useMemo(() => mapRows({ ...draft, id: "preview" }), [draft]);
+  const missing = FILE_FIELDS.filter((f) => f.required && !draft.mapping[f.key]);
+  const setColumn = (key, col) => onChange({ ...draft, mapping: { ...draft.mapping, [key]: col || undefined } });
+
+  return (
+    <div className="flex flex-col gap-3 rounded-xl border border-slate-200 p-3">
+      <div className="flex flex-wrap items-center gap-2">
+        <span className="text-sm">{t("sources.name")}</span>
+        <div className="w-64"><Input value={draft.name} onChange={(e) => onChange({ ...draft, name: e.target.value })} /></div>
+        <span className="text-xs text-muted-foreground">{t(`sources.kind.${draft.kind}`)} · {t("sources.rows", { n: draft.rows.length })}</span>
+      </div>
+      <div className="grid grid-cols-1 sm:grid-cols-2 lg:grid-cols-3 gap-2">
+        {FILE_FIELDS.map((f) => (
+          <label key={f.key} className="flex items-center gap-2 text-sm">
+            <span className="w-28 shrink-0">{t(`sources.field.${f.key}`)}{f.required && " *"}</span>
+            <select
+              value={draft.mapping[f.key] || ""}
+              onChange={(e) => setColumn(f.key, e.target.value)}
+              className="h-9 w-full min-w-0 rounded-xl border border-slate-300 bg-white px-2 text-sm outline-none focus:ring-2 focus:ring-slate-200"
+            >
+              <option value="">{t("sources.noColumn")}</option>
+              {draft.columns.map((c) => <option key={c} value={c}>{c}</option>)}
+            </select>
+          </label>
+        ))}
+      </div>
+
+      <div className="text-xs text-muted-foreground">
+        {missing.length
+          ? t("sources.missing", { fields: missing.map((f) => t(`sources.field.${f.key}`)).join(", ") })
+          : t("sources.valid", { n: cameras.length, total: draft.rows.length })}
+      </div>
+      {!missing.length && cameras.length > 0 && (
+        <ul className="flex flex-col gap-1 text-xs">
+          {cameras.slice(0, PREVIEW_ROWS).map((c) => (
+            <li key={c.id} className="flex items-center gap-2 min-w-0">
+              <span className="font-medium truncate">{c.nameEn}</span>
+              <span className="text-muted-foreground truncate">{c.snapUrl}</span>
+              {c.lat != null && c.lon != null && <span className="text-muted-foreground shrink-0">{c.lat.toFixed(4)}, {c.lon.toFixed(4)}</span>}
+            </li>
+          ))}
+        </ul>
+      )}
+
+      <div className="flex items-center gap-2">
+        <Button className="gap-2" onClick={onSave} disabled={!!missing.length || !cameras.length}><Check size={16}/>{t("sources.save")}</Button>
+        <Button variant="outline" className="gap-2" onClick={onCancel}><X size={16}/>{t("sources.cancel")}</Button>
+      </div>
+    </div>
+  );
+}
+
+/**
+ * Imported camera lists: load a GeoJSON or CSV file, map its columns to
+ * camera fields, and the cameras join the catalog (their region defaults to
+ * the source name, so the region filter can play one source on its own).
+ */
+export function SourcePanel() {
+  const { t } = useI18n();
+  const sources = useCameraSources();
+  const [draft, setDraft] = useState(null); // { id?, name, kind, columns, rows, mapping }
+  const [message, setMessage] = useState("");
+  const fileRef = useRef(null);
+
+  const onFile = async (e) => {
+    const file = e.target.files?.[0];
+    e.target.value = "";
+    if (!file) return;
+    setMessage("");
+    try {
+      const parsed = parseCameraFile(await readFileText(file));
+      setDraft({ ...parsed, name: file.name.replace(/\.[^.]+$/, ""), mapping: guessMapping(parsed.columns) });
+    } catch (err) {
+      setMessage(t("sources.importFailed", { msg: err.code ? t(`sources.${err.code}`) : err.message }));
+    }
+  };
+
+  const onSave = async () => {
+    const { id, ...fields } = draft;
+    if (id) await updateSource(id, { name: fields.name, mapping: fields.mapping });
+    else await addSource(fields);
+    setMessage(t("sources.saved", { name: fields.name, n: mapRows({ ...draft, id: "count" }).length }));
+    setDraft(null);
+  };
+
+  return (
+    <Card className="shadow-sm">
+      <CardContent className="p-4 flex flex-col gap-3">
+        <div className="flex flex-wrap items-center gap-2">
+          <Database size={16} className="opacity-70"/>
+          <span className="text-sm font-medium">{t("sources.title")}</span>
+          <span className="text-xs text-muted-foreground">{t("sources.hint")}</span>
+          <Button variant="outline" className="gap-2 ml-auto" onClick={() => fileRef.current?.click()} disabled={!!draft}><Upload size={16}/>{t("sources.import")}</Button>
+          <input ref={fileRef} type="file" accept=".csv,.json,.geojson,text/csv,application/json,application/geo+json" className="hidden" onChange={onFile} />
+        </div>
+
+        {sources.length > 0 && (
+          <ul className="flex flex-col gap-1">
+            {sources.map((s) => (
+              <li key={s.id} className="flex items-center gap-2 px-3 py-2 rounded-xl border border-slate-200 text-sm">
+                <span className="font-medium truncate">{s.name}</span>
+                <span className="text-xs text-muted-foreground">{t(`sources.kind.${s.kind}`)} · {t("catalog.count", { n: mapRows(s).length })}</span>
+                <div className="ml-auto flex items-center gap-1">
+                  <button onClick={() => setDraft({ ...s })} disabled={!!draft} className="p-1 opacity-60 hover:opacity-100 disabled:opacity-20" title={t("sources.editMapping")}><Pencil size={14}/></button>
+                  <button onClick={() => removeSource(s.id)} className="p-1 opacity-60 hover:opacity-100" title={t("sources.remove")}><Trash2 size={14}/></button>
+                </div>
+              </li>
+            ))}
+          </ul>
+        )}
+        {!sources.length && !draft && <div className="text-sm text-muted-foreground">{t("sources.empty")}</div>}
+
+        {draft && <MappingEditor draft={draft} onChange={setDraft} onSave={onSave} onCancel={() => setDraft(null)} />}
+        {message && <div className="text-xs text-muted-foreground">{message}</div>}
+      </CardContent>
+    </Card>
+  );
+}
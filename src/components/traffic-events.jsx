@@ -0,0 +1,53 @@
+import React from "react";
+import { TriangleAlert, Construction, Ban, X } from "lucide-react";
+import { formatKm } from "@/lib/geo";
+import { useI18n } from "@/lib/i18n";
+
+const KIND_ICON = { incident: TriangleAlert, roadwork: Construction, closure: Ban };
+const KIND_TONE = { incident: "bg-orange-600/90", roadwork: "bg-amber-500/90", closure: "bg-red-600/90" };
+const KIND_ORDER = ["closure", "incident", "roadwork"]; // the chip takes the colour of the most serious kind
+
+/** Overlay chip on a pane: number of active events near the camera; click opens the drawer. */
+export function EventChip({ matches, onClick }) {
+  const { t } = useI18n();
+  const kind = KIND_ORDER.find((k) => matches.some((m) => m.event.kind === k)) || "incident";
+  const Icon = KIND_ICON[kind];
+  return (
+    <button onClick={onClick} className={`px-2 py-1 rounded-full text-white flex items-center gap-1 hover:brightness-110 ${KIND_TONE[kind]}`} title={t("events.open")}>
+      <Icon size={14}/>{t("events.chip", { n: matches.length })}
+    </button>
+  );
+}
+
+/** Details of the events near the current camera, nearest first, over the right side of the pane. */
+export function EventDrawer({ matches, onClose }) {
+  const { t, lang, ago, inTime } = useI18n();
+  const now = Date.now();
+  return (
+    <div className="absolute inset-y-0 right-0 z-10 w-full sm:w-80 bg-white/95 text-slate-900 overflow-auto p-3 text-sm shadow-xl" role="dialog" aria-label={t("events.title")}>
+      <div className="flex items-center gap-2 mb-2">
+        <span className="font-semibold">{t("events.title")}</span>
+        <button onClick={onClose} className="ml-auto p-1 opacity-60 hover:opacity-100" title={t("catalog.dismiss")}><X size={16}/></button>
+      </div>
+      <ul className="flex flex-col gap-2">
+        {matches.map(({ event: e, km }) => {
+          const Icon = KIND_ICON[e.kind] || TriangleAlert;
+          return (
+            <li key={e.id} className="flex gap-2 rounded-xl border border-slate-200 p-2">
+              <Icon size={16} className="shrink-0 mt-0.5 opacity-70"/>
+              <div className="min-w-0">
+                <div className="font-medium">{(lang === "fr" ? e.titleFr : e.titleEn) || t(`events.kind.${e.kind}`)}</div>
+                {(e.placeFr || e.placeEn) && <div className="text-xs">{lang === "fr" ? e.placeFr : e.placeEn}</div>}
+                <div className="text-xs text-muted-foreground">
+                  {t(`events.kind.${e.kind}`)}{e.route ? ` · ${t("media.route", { route: e.route })}` : ""} · {formatKm(km)}
+                  {e.start != null && ` · ${t("events.since", { time: ago(e.start, now) })}`}
+                  {e.end != null && ` · ${t("events.until", { time: inTime(e.end, now) })}`}
+                </div>
+              </div>
+            </li>
+          );
+        })}
+      </ul>
+    </div>
+  );
+}
@@ -1,12 +1,108 @@
 
-import React, { useState, useRef, useEffect } from 'react'
-export function DropdownMenu({ children }) { return <div className="relative inline-block">{children}</div> }
-export function DropdownMenuTrigger({ asChild=false, children }) { return React.cloneElement(children, { 'data-menu-trigger': true }) }
+import React, { createContext, useCallback, useContext, useEffect, useId, useRef, useState } from 'react'
+
+// Menu button pattern (WAI-ARIA APG): the trigger toggles a role="menu" list of
+// role="menuitem" buttons; arrows, Home/End and first letters move the focus,
+// Escape and Tab close it, and so does a click anywhere else.
+
+const MenuContext = createContext(null)
+
+const itemsOf = (menu) => Array.from(menu?.querySelectorAll('[role="menuitem"]:not([disabled])') || [])
+
+export function DropdownMenu({ children }) {
+  const [open, setOpen] = useState(false)
+  const [focusOnOpen, setFocusOnOpen] = useState(null) // 'first' | 'last' | null (opened with the mouse)
+  const rootRef = useRef(null)
+  const triggerRef = useRef(null)
+  const id = useId()
+
+  const close = useCallback((refocus = false) => {
+    setOpen(false)
+    if (refocus) triggerRef.current?.focus()
+  }, [])
+
+  // a press outside the menu closes it
+  useEffect(() => {
+    if (!open) return
+    const onDown = (e) => { if (!rootRef.current?.contains(e.target)) close() }
+    document.addEventListener('pointerdown', onDown)
+    return () => document.removeEventListener('pointerdown', onDown)
+  }, [open, close])
+
+  const ctx = { open, setOpen, close, focusOnOpen, setFocusOnOpen, triggerRef, triggerId: `${id}-trigger`, menuId: `${id}-menu` }
+  return <MenuContext.Provider value={ctx}><div ref={rootRef} className="relative inline-block">{children}</div></MenuContext.Provider>
+}
+
+export function DropdownMenuTrigger({ asChild=false, children }) {
+  const { open, setOpen, setFocusOnOpen, triggerRef, triggerId, menuId } = useContext(MenuContext)
+  const openWith = (focus) => { setFocusOnOpen(focus); setOpen(true) }
+  const onClick = (e) => {
+    children.props.onClick?.(e)
+    if (e.defaultPrevented) return
+    setFocusOnOpen(e.detail === 0 ? 'first' : null) // detail 0: Enter / Space on the button
+    setOpen((o) => !o)
+  }
+  const onKeyDown = (e) => {
+    children.props.onKeyDown?.(e)
+    if (e.key === 'ArrowDown') { e.preventDefault(); openWith('first') }
+    else if (e.key === 'ArrowUp') { e.preventDefault(); openWith('last') }
+  }
+  const props = { ref: triggerRef, id: triggerId, onClick, onKeyDown, 'aria-haspopup': 'menu', 'aria-expanded': open, 'aria-controls': open ? menuId : undefined }
+  return asChild ? React.cloneElement(children, props) : <button type="button" {...props}>{children}</button>
+}
+
 export function DropdownMenuContent({ align='start', className='', children }) {
-  return <div className={`absolute z-50 mt-2 min-w-[12rem] rounded-xl border bg-white shadow ${className}`}>{children}</div>
+  const { open, close, focusOnOpen, triggerId, menuId } = useContext(MenuContext)
+  const menuRef = useRef(null)
+  const typed = useRef({ text: '', at: 0 })
+
+  useEffect(() => {
+    if (!open) return
+    const items = itemsOf(menuRef.current)
+    const target = focusOnOpen === 'last' ? items[items.length - 1] : focusOnOpen === 'first' ? items[0] : null
+    ;(target || menuRef.current)?.focus()
+  }, [open, focusOnOpen])
+
+  if (!open) return null
+
+  const onKeyDown = (e) => {
+    const items = itemsOf(menuRef.current)
+    const i = items.indexOf(document.activeElement)
+    const focus = (k) => items[(k + items.length) % items.length]?.focus()
+    if (e.key === 'ArrowDown') focus(i + 1)
+    else if (e.key === 'ArrowUp') focus(i < 0 ? -1 : i - 1)
+    else if (e.key === 'Home') focus(0)
+    else if (e.key === 'End') focus(-1)
+    else if (e.key === 'Escape') close(true)
+    else if (e.key === 'Tab') { close(); return }
+    else if (e.key === ' ' || e.key === 'Enter') { e.stopPropagation(); return } // the item's own click, not play / pause
+    else if (e.key.length === 1 && /\S/.test(e.key) && !e.ctrlKey && !e.altKey && !e.metaKey) {
+      // type-ahead: jump to the next item starting with the letters typed in the last half second
+      const now = Date.now()
+      typed.current = { text: (now - typed.current.at < 500 ? typed.current.text : '') + e.key.toLowerCase(), at: now }
+      const order = [...items.slice(i + 1), ...items.slice(0, i + 1)]
+      const match = order.find((el) => el.textContent.trim().toLowerCase().startsWith(typed.current.text))
+      match?.focus()
+    }
+    else return
+    e.preventDefault()
+    e.stopPropagation() // keep the app's hotkeys out of it
+  }
+
+  return (
+    <div ref={menuRef} id={menuId} role="menu" aria-labelledby={triggerId} tabIndex={-1} onKeyDown={onKeyDown}
+      className={`absolute z-50 mt-2 min-w-[12rem] rounded-xl border bg-white shadow outline-none ${align === 'end' ? 'right-0' : 'left-0'} ${className}`}>
+      {children}
+    </div>
+  )
 }
-export function DropdownMenuLabel({ children }) { return <div className="px-3 py-2 text-xs text-slate-500">{children}</div> }
-export function DropdownMenuSeparator() { return <div className="my-1 border-t" /> }
-export function DropdownMenuItem({ onClick, children }) {
-  return <button onClick={onClick} className="w-full text-left px-3 py-2 text-sm hover:bg-slate-50">{children}</button>
+export function DropdownMenuLabel({ children }) { return <div role="presentation" className="px-3 py-2 text-xs text-slate-500">{children}</div> }
+export function DropdownMenuSeparator() { return <div role="separator" className="my-1 border-t" /> }
+export function DropdownMenuItem({ onClick, disabled=false, children }) {
+  const { close } = useContext(MenuContext)
+  const choose = (e) => { onClick?.(e); close(true) }
+  return (
+    <button type="button" role="menuitem" tabIndex={-1} disabled={disabled} onClick={choose}
+      className="w-full text-left px-3 py-2 text-sm hover:bg-slate-50 focus:bg-slate-100 outline-none disabled:opacity-40">{children}</button>
+  )
 }
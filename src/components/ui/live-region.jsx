@@ -0,0 +1,16 @@
+
+import React, { useEffect, useState } from 'react'
+// A polite role="status" region, mounted once; announce(text) has screen readers read text out
+const listeners = new Set()
+export function announce(text) { listeners.forEach((l) => l(text)) }
+export function LiveRegion() {
+  const [message, setMessage] = useState('')
+  useEffect(() => {
+    let frame
+    // emptied first, so the same text said twice is read twice
+    const l = (text) => { setMessage(''); cancelAnimationFrame(frame); frame = requestAnimationFrame(() => setMessage(text)) }
+    listeners.add(l)
+    return () => { listeners.delete(l); cancelAnimationFrame(frame) }
+  }, [])
+  return <div role="status" aria-live="polite" aria-atomic="true" className="sr-only">{message}</div>
+}
@@ -1,11 +1,14 @@
 
 import React from 'react'
-export function Slider({ value=[0], min=0, max=100, step=1, onValueChange=()=>{}, disabled=false }) {
+// native range input (role="slider", arrow keys, Home/End, Page Up/Down); pass aria-label and,
+// when the number alone says little ("10" → "10 s"), aria-valuetext
+export function Slider({ value=[0], min=0, max=100, step=1, onValueChange=()=>{}, disabled=false, ...props }) {
   const v = Array.isArray(value) ? value[0] : value
   return (
     <input type="range" min={min} max={max} step={step} value={v}
       disabled={disabled}
       onChange={(e)=>onValueChange([Number(e.target.value)])}
-      className="w-full h-2 rounded-lg bg-slate-200 accent-slate-900"/>
+      {...props}
+      className="w-full h-2 rounded-lg bg-slate-200 accent-slate-900 outline-none focus-visible:ring-2 focus-visible:ring-slate-400"/>
   )
 }
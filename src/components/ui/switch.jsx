@@ -1,11 +1,13 @@
 
 import React from 'react'
-export function Switch({ checked, onCheckedChange, id }) {
+// role="switch" button: named by a <label htmlFor={id}> or aria-label, toggled by click, Space or Enter
+export function Switch({ checked, onCheckedChange, id, disabled=false, className='', ...props }) {
+  const on = !!checked
   return (
-    <label htmlFor={id} className="relative inline-flex cursor-pointer items-center">
-      <input id={id} type="checkbox" checked={!!checked} onChange={e=>onCheckedChange?.(e.target.checked)} className="sr-only peer"/>
-      <div className="h-6 w-11 rounded-full bg-slate-300 peer-checked:bg-slate-900 transition-all"></div>
-      <div className="absolute left-0.5 top-0.5 h-5 w-5 rounded-full bg-white shadow transition-all peer-checked:translate-x-5"></div>
-    </label>
+    <button type="button" role="switch" id={id} aria-checked={on} disabled={disabled} onClick={() => onCheckedChange?.(!on)} {...props}
+      className={`relative inline-flex h-6 w-11 shrink-0 cursor-pointer items-center rounded-full outline-none focus-visible:ring-2 focus-visible:ring-slate-400 focus-visible:ring-offset-1 disabled:cursor-not-allowed disabled:opacity-50 ${className}`}>
+      <span className={`h-6 w-11 rounded-full transition-all ${on ? 'bg-slate-900' : 'bg-slate-300'}`}></span>
+      <span className={`absolute left-0.5 top-0.5 h-5 w-5 rounded-full bg-white shadow transition-all ${on ? 'translate-x-5' : ''}`}></span>
+    </button>
   )
 }
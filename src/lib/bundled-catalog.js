@@ -0,0 +1,23 @@
+import bundled from "virtual:bundled-catalog";
+
+/**
+ * Camera catalog bundled at build time (plugins/bundled-catalog.js): a
+ * fallback for when the live WFS can't be read. Null in dev, or when the
+ * build couldn't reach the WFS.
+ */
+
+const FORMAT = 1; // keep in sync with CATALOG_FORMAT in the plugin
+
+/** `{ generatedAt: Date, count }` of the bundled catalog, or null. */
+export const bundledCatalog = bundled && bundled.format === FORMAT
+  ? { generatedAt: new Date(bundled.generatedAt), count: bundled.count }
+  : null;
+
+/** Resolves the bundled cameras, or null when there are none. */
+export async function loadBundledCatalog() {
+  if (!bundledCatalog) return null;
+  const res = await fetch(bundled.url);
+  if (!res.ok) throw new Error(`Bundled catalog fetch failed: ${res.status}`);
+  const data = await res.json();
+  return data?.format === FORMAT && Array.isArray(data.items) ? data.items : null;
+}
@@ -0,0 +1,105 @@
+/**
+ * When was a snapshot actually taken? The browser only knows when it loaded
+ * the image, so we read, in order of trust:
+ *  1. the `Last-Modified` response header (when the server got the frame)
+ *  2. the EXIF `DateTimeOriginal` / `DateTime` written by the camera
+ * The `Date` header, when exposed, gives the server clock, so ages can be
+ * measured against it instead of a possibly wrong local clock (`skewMs`).
+ */
+
+export const CAMERA_TZ = "America/Toronto"; // EXIF times carry no zone; Québec cameras run on Eastern time
+
+const MIN_PLAUSIBLE = Date.UTC(2005, 0, 1); // reset camera clocks report 1970 or 2000
+
+function parseHttpDate(value) {
+  const t = value ? Date.parse(value) : NaN;
+  return Number.isFinite(t) && t > MIN_PLAUSIBLE ? t : null;
+}
+
+// offset of `tz` from UTC at instant `t`, in ms
+function zoneOffset(t, tz) {
+  const parts = {};
+  for (const p of new Intl.DateTimeFormat("en-US", {
+    timeZone: tz, hourCycle: "h23", year: "numeric", month: "2-digit", day: "2-digit", hour: "2-digit", minute: "2-digit", second: "2-digit",
+  }).formatToParts(new Date(t))) parts[p.type] = Number(p.value);
+  return Date.UTC(parts.year, parts.month - 1, parts.day, parts.hour, parts.minute, parts.second) - Math.floor(t / 1000) * 1000;
+}
+
+function wallTimeToUtc(fields, offset, tz) {
+  const [y, mo, d, h, mi, s] = fields;
+  const wall = Date.UTC(y, mo - 1, d, h, mi, s);
+  const m = offset && /^([+-])(\d{2}):(\d{2})$/.exec(offset.trim());
+  if (m) return wall - (m[1] === "-" ? -1 : 1) * (Number(m[2]) * 60 + Number(m[3])) * 60_000;
+  let t = wall - zoneOffset(wall, tz);
+  const again = zoneOffset(t, tz); // second pass settles DST transitions
+  if (wall - again !== t) t = wall - again;
+  return t;
+}
+
+/**
+ * Minimal JPEG/EXIF reader: finds the APP1 "Exif" block and returns the
+ * original (else the modification) date string plus its UTC offset tag.
+ */
+export function readExifDate(bytes) {
+  try {
+    if (bytes[0] !== 0xff || bytes[1] !== 0xd8) return null;
+    let o = 2;
+    let tiff = -1;
+    while (o + 4 < bytes.length && bytes[o] === 0xff) {
+      const marker = bytes[o + 1];
+      const len = (bytes[o + 2] << 8) | bytes[o + 3];
+      if (marker === 0xda) break; // image data starts, no metadata past here
+      if (marker === 0xe1 && String.fromCharCode(...bytes.subarray(o + 4, o + 10)) === "Exif\0\0") { tiff = o + 10; break; }
+      o += 2 + len;
+    }
+    if (tiff < 0) return null;
+
+    const little = bytes[tiff] === 0x49;
+    const u16 = (p) => (little ? bytes[p] | (bytes[p + 1] << 8) : (bytes[p] << 8) | bytes[p + 1]);
+    const u32 = (p) => (little
+      ? (bytes[p] | (bytes[p + 1] << 8) | (bytes[p + 2] << 16) | (bytes[p + 3] << 24)) >>> 0
+      : ((bytes[p] << 24) | (bytes[p + 1] << 16) | (bytes[p + 2] << 8) | bytes[p + 3]) >>> 0);
+    const ascii = (entry) => {
+      const count = u32(entry + 4);
+      const at = count > 4 ? tiff + u32(entry + 8) : entry + 8;
+      return String.fromCharCode(...bytes.subarray(at, at + count)).replace(/\0.*$/, "");
+    };
+    const readIfd = (start) => {
+      const tags = new Map();
+      const n = u16(start);
+      for (let i = 0; i < n; i++) {
+        const entry = start + 2 + i * 12;
+        tags.set(u16(entry), entry);
+      }
+      return tags;
+    };
+
+    const ifd0 = readIfd(tiff + u32(tiff + 4));
+    const exif = ifd0.has(0x8769) ? readIfd(tiff + u32(ifd0.get(0x8769) + 8)) : new Map();
+    const text = exif.has(0x9003) ? ascii(exif.get(0x9003)) : ifd0.has(0x0132) ? ascii(ifd0.get(0x0132)) : "";
+    const offsetTag = exif.has(0x9003) ? 0x9011 : 0x9010;
+    const offset = exif.has(offsetTag) ? ascii(exif.get(offsetTag)) : null;
+    const m = /^(\d{4}):(\d{2}):(\d{2}) (\d{2}):(\d{2}):(\d{2})/.exec(text);
+    return m ? { fields: m.slice(1).map(Number), offset } : null;
+  } catch {
+    return null; // truncated or odd EXIF: no date
+  }
+}
+
+/**
+ * `{ date, source: "header" | "exif", skewMs }` for a fetched snapshot, or
+ * null when neither the headers nor the file say when it was taken.
+ */
+export function readCaptureTime({ headers, bytes, fetchedAt = Date.now(), tz = CAMERA_TZ }) {
+  const serverNow = parseHttpDate(headers?.get("Date"));
+  const skewMs = serverNow ? serverNow - fetchedAt : 0;
+  const modified = parseHttpDate(headers?.get("Last-Modified"));
+  if (modified) return { date: new Date(modified), source: "header", skewMs };
+  const exif = bytes && readExifDate(bytes);
+  if (exif) {
+    const t = wallTimeToUtc(exif.fields, exif.offset, tz);
+    // a camera clock a day ahead or stuck in the past is not worth showing
+    if (Number.isFinite(t) && t > MIN_PLAUSIBLE && t < fetchedAt + skewMs + 86_400_000) return { date: new Date(t), source: "exif", skewMs };
+  }
+  return null;
+}
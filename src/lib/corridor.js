@@ -0,0 +1,99 @@
+import { hasCoords, haversineKm } from "@/lib/geo";
+
+/**
+ * Route corridors: cameras sharing a `route` (NumeroRoute), put in road order.
+ * There is no road geometry in the feed, so the order is a shortest open path
+ * through the camera positions: greedy nearest-neighbour from one end of the
+ * route's long axis, then 2-opt to untangle crossings.
+ */
+
+function routeKey(route) {
+  return String(route || "").trim();
+}
+
+/** `[{ route, count }]` for routes with at least two located cameras, in numeric order. */
+export function listRoutes(cameras) {
+  const counts = new Map();
+  for (const c of cameras) {
+    const r = routeKey(c.route);
+    if (!r || !hasCoords(c)) continue;
+    counts.set(r, (counts.get(r) || 0) + 1);
+  }
+  return Array.from(counts, ([route, count]) => ({ route, count }))
+    .filter((r) => r.count >= 2)
+    .sort((a, b) => (parseInt(a.route, 10) || 0) - (parseInt(b.route, 10) || 0) || a.route.localeCompare(b.route));
+}
+
+function orderPoints(cams) {
+  const n = cams.length;
+  if (n < 3) return cams.slice();
+  const dist = (a, b) => haversineKm(a, b);
+
+  // start from the extreme camera along the longer of the lat/lon spans
+  const lats = cams.map((c) => Number(c.lat));
+  const lons = cams.map((c) => Number(c.lon));
+  const useLon = (Math.max(...lons) - Math.min(...lons)) * Math.cos((47 * Math.PI) / 180) > Math.max(...lats) - Math.min(...lats);
+  let start = 0;
+  for (let i = 1; i < n; i++) if ((useLon ? lons[i] < lons[start] : lats[i] < lats[start])) start = i;
+
+  const left = new Set(cams.map((_, i) => i));
+  left.delete(start);
+  const path = [cams[start]];
+  while (left.size) {
+    const last = path[path.length - 1];
+    let best = -1;
+    let bestD = Infinity;
+    for (const i of left) {
+      const dd = dist(last, cams[i]);
+      if (dd < bestD) { bestD = dd; best = i; }
+    }
+    left.delete(best);
+    path.push(cams[best]);
+  }
+
+  // 2-opt on an open path (bounded passes; corridors are at most a few hundred cameras)
+  for (let pass = 0, improved = true; improved && pass < 20; pass++) {
+    improved = false;
+    for (let i = 0; i < n - 2; i++) {
+      for (let k = i + 2; k < n; k++) {
+        const a = path[i], b = path[i + 1], c = path[k], e = path[k + 1];
+        const before = dist(a, b) + (e ? dist(c, e) : 0);
+        const after = dist(a, c) + (e ? dist(b, e) : 0);
+        if (after + 1e-9 < before) {
+          path.splice(i + 1, k - i, ...path.slice(i + 1, k + 1).reverse());
+          improved = true;
+        }
+      }
+    }
+  }
+  return path;
+}
+
+// compass code of the overall heading ("east" | "west" | "north" | "south")
+function bearing(from, to) {
+  const dLat = Number(to.lat) - Number(from.lat);
+  const dLon = (Number(to.lon) - Number(from.lon)) * Math.cos((Number(from.lat) * Math.PI) / 180);
+  if (Math.abs(dLon) >= Math.abs(dLat)) return dLon >= 0 ? "east" : "west";
+  return dLat >= 0 ? "north" : "south";
+}
+
+/**
+ * Cameras on `route` in driving order for `dir` ("fwd" | "rev").
+ * Returns `{ items: [{ camera, km }], lengthKm, labels: { fwd, rev } }` where labels are compass codes.
+ */
+export function buildCorridor(cameras, route, dir = "fwd") {
+  const key = routeKey(route);
+  const on = cameras.filter((c) => routeKey(c.route) === key && hasCoords(c));
+  const ordered = orderPoints(on);
+  if (dir === "rev") ordered.reverse();
+  let km = 0;
+  const items = ordered.map((camera, i) => {
+    if (i) km += haversineKm(ordered[i - 1], camera);
+    return { camera, km };
+  });
+  const first = ordered[0];
+  const last = ordered[ordered.length - 1];
+  const fwd = first && last ? bearing(dir === "rev" ? last : first, dir === "rev" ? first : last) : "east";
+  const opposite = { east: "west", west: "east", north: "south", south: "north" };
+  return { items, lengthKm: km, labels: { fwd, rev: opposite[fwd] } };
+}
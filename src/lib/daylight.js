@@ -0,0 +1,123 @@
+import { useSyncExternalStore } from "react";
+import { hasCoords } from "@/lib/geo";
+
+/**
+ * Is it dark at a camera? Mostly a question for the sun: its altitude is
+ * computed from the camera's coordinates and the clock (low-precision solar
+ * ephemeris, well within a minute of the almanac; no network). The pictures
+ * cross-check it: panes feed the mean brightness of the snapshots they read,
+ * so a highway lit by street lights still counts as watchable at night, and a
+ * noon picture made dark by snow or fog is flagged `dim` rather than skipped.
+ *
+ * States: "day", "dim" (sun up, dark picture), "night", "lit" (sun down,
+ * bright picture), or null when there is nothing to go on (no coordinates and
+ * no reading yet).
+ */
+
+export const DARK_ALTITUDE = -6; // end of civil twilight: below this, unlit cameras show nothing useful
+const DARK_LUMA = 0.1; // mean brightness (0–1) under which a picture counts as dark
+const LIT_LUMA = 0.2; // … and over which a night picture counts as lit
+const READING_MAX_AGE_MS = 15 * 60_000;
+
+const RAD = Math.PI / 180;
+const J2000_MS = Date.UTC(2000, 0, 1, 12);
+
+/** Altitude of the sun above the horizon, in degrees, at `date` seen from `lat`/`lon`. */
+export function sunAltitude(date, lat, lon) {
+  const d = (date.getTime() - J2000_MS) / 86_400_000;
+  const g = (357.529 + 0.98560028 * d) * RAD; // mean anomaly
+  const q = 280.459 + 0.98564736 * d; // mean longitude
+  const L = (q + 1.915 * Math.sin(g) + 0.02 * Math.sin(2 * g)) * RAD; // ecliptic longitude
+  const e = (23.439 - 0.00000036 * d) * RAD; // obliquity of the ecliptic
+  const ra = Math.atan2(Math.cos(e) * Math.sin(L), Math.cos(L));
+  const dec = Math.asin(Math.sin(e) * Math.sin(L));
+  const gmst = 280.46061837 + 360.98564736629 * d; // degrees
+  const h = (gmst + lon) * RAD - ra; // hour angle
+  const phi = lat * RAD;
+  return Math.asin(Math.sin(phi) * Math.sin(dec) + Math.cos(phi) * Math.cos(dec) * Math.cos(h)) / RAD;
+}
+
+const STEP_MS = 10 * 60_000;
+
+/**
+ * Next time the sun crosses `DARK_ALTITUDE` at `lat`/`lon` within a day:
+ * `{ dark, at }` (`dark`: whether it gets dark then), or null under polar day
+ * or night. Found by stepping, then bisecting to the minute.
+ */
+export function nextLightChange(now, lat, lon) {
+  const above = (ms) => sunAltitude(new Date(ms), lat, lon) > DARK_ALTITUDE;
+  const start = now.getTime();
+  const wasUp = above(start);
+  for (let t = start + STEP_MS; t <= start + 86_400_000; t += STEP_MS) {
+    if (above(t) === wasUp) continue;
+    let lo = t - STEP_MS;
+    let hi = t;
+    while (hi - lo > 60_000) {
+      const mid = (lo + hi) / 2;
+      if (above(mid) === wasUp) lo = mid;
+      else hi = mid;
+    }
+    return { dark: wasUp, at: new Date(hi) };
+  }
+  return null;
+}
+
+// ---- brightness readings ----
+
+let canvas = null;
+
+/** Mean brightness (0 = black, 1 = white) of an image blob, on a small thumbnail. */
+export async function measureBrightness(blob) {
+  const bitmap = await createImageBitmap(blob);
+  if (!canvas) {
+    canvas = document.createElement("canvas");
+    canvas.width = 32;
+    canvas.height = 18;
+  }
+  const ctx = canvas.getContext("2d", { willReadFrequently: true });
+  ctx.drawImage(bitmap, 0, 0, canvas.width, canvas.height);
+  bitmap.close?.();
+  const { data } = ctx.getImageData(0, 0, canvas.width, canvas.height);
+  let sum = 0;
+  for (let i = 0; i < data.length; i += 4) sum += 0.299 * data[i] + 0.587 * data[i + 1] + 0.114 * data[i + 2];
+  return sum / (data.length / 4) / 255;
+}
+
+let readings = new Map(); // camera id → { luma, at }
+const listeners = new Set();
+
+const band = (luma) => (luma < DARK_LUMA ? 0 : luma < LIT_LUMA ? 1 : 2);
+
+export function recordBrightness(id, luma) {
+  if (!id || !Number.isFinite(luma)) return;
+  const old = readings.get(id);
+  readings.set(id, { luma, at: Date.now() });
+  // only a change of band can change a state; skip the re-render otherwise
+  if (!old || band(old.luma) !== band(luma)) {
+    readings = new Map(readings);
+    listeners.forEach((l) => l());
+  }
+}
+
+/** True when the camera has no recent brightness reading. */
+export const needsReading = (id, now = Date.now()) => !(now - (readings.get(id)?.at ?? 0) < READING_MAX_AGE_MS);
+
+function subscribe(l) {
+  listeners.add(l);
+  return () => listeners.delete(l);
+}
+
+/** Brightness readings; pass to `lightState`. */
+export function useBrightness() {
+  return useSyncExternalStore(subscribe, () => readings);
+}
+
+/** Light at a camera (see the states above), from the sun and the latest picture. */
+export function lightState(camera, brightness, now = Date.now()) {
+  const r = brightness?.get(camera.id);
+  const luma = r && now - r.at < READING_MAX_AGE_MS ? r.luma : null;
+  if (!hasCoords(camera)) return luma == null ? null : luma < DARK_LUMA ? "night" : "day";
+  const sunUp = sunAltitude(new Date(now), Number(camera.lat), Number(camera.lon)) > DARK_ALTITUDE;
+  if (sunUp) return luma != null && luma < DARK_LUMA ? "dim" : "day";
+  return luma != null && luma >= LIT_LUMA ? "lit" : "night";
+}
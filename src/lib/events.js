@@ -0,0 +1,200 @@
+import { useEffect, useSyncExternalStore } from "react";
+import { fetchWfsFeatures } from "@/lib/providers/quebec511";
+
+/**
+ * Traffic events (incidents, roadwork, closures) from the other layers of the
+ * MTMD WFS server that serves the camera catalog, matched to cameras by
+ * distance, or by route number within a wider radius.
+ *
+ * Parsing and matching are plain functions over GeoJSON, so they run the same
+ * against saved WFS responses (see `VITE_WFS_FIXTURES` in quebec511.js).
+ * Attribute names vary between layers; each field is read from the first of
+ * several candidate properties, compared case-insensitively.
+ */
+
+// typenames as listed by the server's GetCapabilities
+export const EVENT_LAYERS = [
+  { typename: "ms:evenements", kind: "incident" },
+  { typename: "ms:chantiers", kind: "roadwork" },
+  { typename: "ms:fermetures", kind: "closure" },
+];
+
+const FIELDS = {
+  id: ["IdEvenement", "IdeEvenement", "IdChantier", "NoEvenement", "id", "gid", "OBJECTID"],
+  titleFr: ["TitreFr", "TypeEvenementFr", "NatureFr", "DescriptionFr", "Description", "Titre", "Nature"],
+  titleEn: ["TitreEn", "TypeEvenementEn", "NatureEn", "DescriptionEn"],
+  placeFr: ["DescriptionLocalisationFr", "LocalisationFr", "Localisation", "Lieu"],
+  placeEn: ["DescriptionLocalisationEn", "LocalisationEn"],
+  route: ["NumeroRoute", "NoRoute", "Route"],
+  start: ["DateDebut", "DateDebutEvenement", "DebutEvenement", "DateHeureDebut"],
+  end: ["DateFin", "DateFinEvenement", "FinEvenement", "DateHeureFin"],
+  closed: ["Fermeture", "EstFermeture", "FermetureComplete"],
+};
+
+export const EVENT_RADIUS_KM = 3; // any event this close to a camera
+export const EVENT_ROUTE_KM = 15; // events further away, but on the camera's route
+const REFRESH_MS = 5 * 60_000;
+
+function picker(props) {
+  const lower = new Map(Object.entries(props || {}).map(([k, v]) => [k.toLowerCase(), v]));
+  return (field) => {
+    for (const k of FIELDS[field]) {
+      const v = lower.get(k.toLowerCase());
+      if (v != null && String(v).trim() !== "") return typeof v === "string" ? v.trim() : v;
+    }
+    return "";
+  };
+}
+
+// "2024-05-01 07:00", "2024/05/01T07:00:00" … read as local time unless an offset is given
+function parseTime(v) {
+  if (!v) return null;
+  const t = typeof v === "number" ? v : Date.parse(String(v).trim().replace(/\//g, "-").replace(" ", "T"));
+  return Number.isFinite(t) ? t : null;
+}
+
+const truthy = (v) => v === true || /^(1|o|oui|y|yes|true|t|complete|complète)$/i.test(String(v));
+
+// every vertex of any geometry type, as [lon, lat]; lines and rings keep their order
+function paths(geometry) {
+  if (!geometry) return [];
+  const { type, coordinates: c } = geometry;
+  switch (type) {
+    case "Point": return [[c]];
+    case "MultiPoint": return c.map((p) => [p]);
+    case "LineString": return [c];
+    case "MultiLineString":
+    case "Polygon": return c;
+    case "MultiPolygon": return c.flat();
+    case "GeometryCollection": return geometry.geometries.flatMap(paths);
+    default: return [];
+  }
+}
+
+const KM_PER_DEG = 111.32;
+
+// distance from a point to a path on a local flat projection: plenty for a few tens of km
+function pathDistanceKm(path, lat, lon) {
+  const kx = KM_PER_DEG * Math.cos((lat * Math.PI) / 180);
+  const xy = ([x, y]) => [(x - lon) * kx, (y - lat) * KM_PER_DEG];
+  let best = Infinity;
+  let prev = null;
+  for (const pt of path) {
+    const [x, y] = xy(pt);
+    if (!prev) best = Math.min(best, Math.hypot(x, y));
+    else {
+      const [px, py] = prev;
+      const dx = x - px;
+      const dy = y - py;
+      const len = dx * dx + dy * dy;
+      const u = len ? Math.max(0, Math.min(1, -(px * dx + py * dy) / len)) : 0;
+      best = Math.min(best, Math.hypot(px + u * dx, py + u * dy));
+    }
+    prev = [x, y];
+  }
+  return best;
+}
+
+/** Normalized events of one layer's GeoJSON features. */
+export function parseEvents(features, { typename, kind }) {
+  return (features || []).map((f, i) => {
+    const get = picker(f?.properties);
+    const shape = paths(f?.geometry).filter((p) => p.length);
+    let box = null;
+    for (const [x, y] of shape.flat()) {
+      box = box ? [Math.min(box[0], x), Math.min(box[1], y), Math.max(box[2], x), Math.max(box[3], y)] : [x, y, x, y];
+    }
+    return {
+      id: `${typename}:${get("id") || i}`,
+      kind: kind === "incident" && truthy(get("closed")) ? "closure" : kind,
+      titleFr: String(get("titleFr") || get("titleEn")),
+      titleEn: String(get("titleEn") || get("titleFr")),
+      placeFr: String(get("placeFr") || get("placeEn")),
+      placeEn: String(get("placeEn") || get("placeFr")),
+      route: String(get("route")),
+      start: parseTime(get("start")),
+      end: parseTime(get("end")),
+      shape,
+      box, // [minLon, minLat, maxLon, maxLat], to skip far events cheaply
+    };
+  }).filter((e) => e.shape.length);
+}
+
+export const isActive = (e, now = Date.now()) => (e.start == null || e.start <= now) && (e.end == null || e.end > now);
+
+/** Kilometres from a `{ lat, lon }` point to the event's geometry. */
+export function eventDistanceKm(e, p) {
+  return Math.min(...e.shape.map((path) => pathDistanceKm(path, Number(p.lat), Number(p.lon))));
+}
+
+/**
+ * Active events relevant to a camera, nearest first: `[{ event, km }]`.
+ * Without coordinates a camera gets nothing, since its route alone spans the province.
+ */
+export function eventsNear(events, camera, { now = Date.now(), radiusKm = EVENT_RADIUS_KM, routeKm = EVENT_ROUTE_KM } = {}) {
+  const lat = Number(camera?.lat);
+  const lon = Number(camera?.lon);
+  if (!events?.length || !Number.isFinite(lat) || !Number.isFinite(lon)) return [];
+  const reach = Math.max(radiusKm, routeKm);
+  const dLat = reach / KM_PER_DEG;
+  const dLon = reach / (KM_PER_DEG * Math.cos((lat * Math.PI) / 180));
+  const out = [];
+  for (const e of events) {
+    if (!e.box || lon < e.box[0] - dLon || lon > e.box[2] + dLon || lat < e.box[1] - dLat || lat > e.box[3] + dLat) continue;
+    if (!isActive(e, now)) continue;
+    const km = eventDistanceKm(e, { lat, lon });
+    const sameRoute = !!camera.route && e.route === camera.route;
+    if (km <= radiusKm || (sameRoute && km <= routeKm)) out.push({ event: e, km });
+  }
+  return out.sort((a, b) => a.km - b.km);
+}
+
+// ---- session store of the loaded layers ----
+
+let state = { events: [], loadedAt: null, failed: [] }; // failed: typenames that didn't load
+let loading = null;
+const listeners = new Set();
+
+function emit() {
+  listeners.forEach((l) => l());
+}
+
+/** Fetches every event layer; a layer that fails keeps its previous events. */
+export function loadEvents() {
+  if (!loading) {
+    loading = Promise.allSettled(EVENT_LAYERS.map((layer) => fetchWfsFeatures(layer.typename).then((f) => parseEvents(f, layer))))
+      .then((results) => {
+        const events = [];
+        const failed = [];
+        results.forEach((r, i) => {
+          const { typename } = EVENT_LAYERS[i];
+          if (r.status === "fulfilled") events.push(...r.value);
+          else {
+            failed.push(typename);
+            events.push(...state.events.filter((e) => e.id.startsWith(`${typename}:`)));
+          }
+        });
+        state = { events, loadedAt: new Date(), failed };
+        emit();
+      })
+      .finally(() => { loading = null; });
+  }
+  return loading;
+}
+
+function subscribe(l) {
+  listeners.add(l);
+  return () => listeners.delete(l);
+}
+
+/** `{ events, loadedAt, failed }`; with `enabled`, loads now and every few minutes. */
+export function useTrafficEvents(enabled = false) {
+  const snapshot = useSyncExternalStore(subscribe, () => state);
+  useEffect(() => {
+    if (!enabled) return;
+    loadEvents();
+    const t = setInterval(loadEvents, REFRESH_MS);
+    return () => clearInterval(t);
+  }, [enabled]);
+  return snapshot;
+}
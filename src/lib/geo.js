@@ -0,0 +1,112 @@
+/**
+ * Small geo helpers shared by the map views. Everything works in plain
+ * degrees (EPSG:4326, same as the WFS feed) with an equirectangular projection
+ * scaled for Québec's latitude — good enough for a province-sized SVG.
+ */
+
+const REF_LAT = 48; // projection reference latitude (middle of the populated south)
+const K = Math.cos((REF_LAT * Math.PI) / 180);
+
+export function project(lon, lat) {
+  return [lon * K, -lat];
+}
+
+export function unproject(x, y) {
+  return [x / K, -y];
+}
+
+export function hasCoords(c) {
+  return c != null && c.lat !== "" && c.lon !== "" && Number.isFinite(Number(c.lat)) && Number.isFinite(Number(c.lon));
+}
+
+export function inBox(c, box) {
+  if (!box || !hasCoords(c)) return false;
+  const lat = Number(c.lat);
+  const lon = Number(c.lon);
+  return lat >= box.minLat && lat <= box.maxLat && lon >= box.minLon && lon <= box.maxLon;
+}
+
+/** Projected bounds `{ x, y, w, h }` of `[x, y]` points, padded by `pad` (fraction of size). */
+export function boundsOf(points, pad = 0.05) {
+  if (!points.length) return null;
+  let minX = Infinity, minY = Infinity, maxX = -Infinity, maxY = -Infinity;
+  for (const [x, y] of points) {
+    if (x < minX) minX = x;
+    if (x > maxX) maxX = x;
+    if (y < minY) minY = y;
+    if (y > maxY) maxY = y;
+  }
+  const w = maxX - minX;
+  const h = maxY - minY;
+  const px = Math.max(w * pad, 0.05);
+  const py = Math.max(h * pad, 0.05);
+  return { x: minX - px, y: minY - py, w: w + 2 * px, h: h + 2 * py };
+}
+
+/** Convex hull (monotone chain) of `[x, y]` points, counter-clockwise. */
+export function convexHull(points) {
+  const pts = [...points].sort((a, b) => a[0] - b[0] || a[1] - b[1]);
+  if (pts.length < 3) return pts;
+  const cross = (o, a, b) => (a[0] - o[0]) * (b[1] - o[1]) - (a[1] - o[1]) * (b[0] - o[0]);
+  const lower = [];
+  for (const p of pts) {
+    while (lower.length >= 2 && cross(lower[lower.length - 2], lower[lower.length - 1], p) <= 0) lower.pop();
+    lower.push(p);
+  }
+  const upper = [];
+  for (let i = pts.length - 1; i >= 0; i--) {
+    const p = pts[i];
+    while (upper.length >= 2 && cross(upper[upper.length - 2], upper[upper.length - 1], p) <= 0) upper.pop();
+    upper.push(p);
+  }
+  upper.pop();
+  lower.pop();
+  return lower.concat(upper);
+}
+
+/**
+ * Grid clustering in projected space. `items` are `{ x, y, ... }`; every
+ * `cell`-sized square becomes one cluster centred on its members' mean.
+ */
+export function clusterPoints(items, cell) {
+  const cells = new Map();
+  for (const it of items) {
+    const key = `${Math.floor(it.x / cell)}:${Math.floor(it.y / cell)}`;
+    let c = cells.get(key);
+    if (!c) cells.set(key, (c = { key, x: 0, y: 0, items: [] }));
+    c.items.push(it);
+    c.x += it.x;
+    c.y += it.y;
+  }
+  return Array.from(cells.values(), (c) => ({ ...c, x: c.x / c.items.length, y: c.y / c.items.length }));
+}
+
+export function pathFromPoints(points, close = true) {
+  if (!points.length) return "";
+  return `M${points.map(([x, y]) => `${x.toFixed(3)},${y.toFixed(3)}`).join("L")}${close ? "Z" : ""}`;
+}
+
+const EARTH_KM = 6371;
+const rad = (d) => (d * Math.PI) / 180;
+
+/** Great-circle distance in km between two `{ lat, lon }` points. */
+export function haversineKm(a, b) {
+  const dLat = rad(Number(b.lat) - Number(a.lat));
+  const dLon = rad(Number(b.lon) - Number(a.lon));
+  const h = Math.sin(dLat / 2) ** 2 + Math.cos(rad(Number(a.lat))) * Math.cos(rad(Number(b.lat))) * Math.sin(dLon / 2) ** 2;
+  return 2 * EARTH_KM * Math.asin(Math.min(1, Math.sqrt(h)));
+}
+
+/** Parses "45.5, -73.57" (or "45.5 -73.57") into `{ lat, lon }`, or null. */
+export function parseLatLon(text) {
+  const m = String(text || "").trim().match(/^(-?\d+(?:\.\d+)?)\s*[,;\s]\s*(-?\d+(?:\.\d+)?)$/);
+  if (!m) return null;
+  const lat = Number(m[1]);
+  const lon = Number(m[2]);
+  if (Math.abs(lat) > 90 || Math.abs(lon) > 180) return null;
+  return { lat, lon };
+}
+
+export function formatKm(km) {
+  return km < 10 ? `${km.toFixed(1)} km` : `${Math.round(km)} km`;
+}
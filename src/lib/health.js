@@ -0,0 +1,124 @@
+import { useSyncExternalStore } from "react";
+import { hammingDistance } from "@/lib/phash";
+
+/**
+ * Session-wide camera health registry. Panes report loads and failures here;
+ * the slideshow reads it to skip dead feeds, and a background prober retries
+ * dead cameras with exponential backoff.
+ *
+ * Cameras that answer but keep serving the same picture are tracked too:
+ * panes feed perceptual hashes and a camera with no new picture for a while
+ * is flagged `frozen`.
+ *
+ * Record: { id, successes, failures, consecutive, lastGood, lastError, down, nextProbeAt,
+ *           frozen, changedAt, seen, recheckAt }
+ */
+
+const DEAD_AFTER = 1; // consecutive full failures (every variant failed) before a camera counts as down
+const BASE_BACKOFF_MS = 30_000;
+const MAX_BACKOFF_MS = 15 * 60_000;
+const SAME_PICTURE_BITS = 4; // hashes this close (of 64 bits) are the same picture
+const SEEN_MAX = 16; // recent distinct pictures remembered, so a short replay loop counts as frozen too
+const FROZEN_RECHECK_MS = 2 * 60_000;
+
+let records = new Map();
+const listeners = new Set();
+
+function emit() {
+  records = new Map(records); // new identity so subscribers re-render
+  listeners.forEach((l) => l());
+}
+
+function base(id) {
+  return records.get(id) || { id, successes: 0, failures: 0, consecutive: 0, lastGood: null, lastError: null, down: false, nextProbeAt: 0, frozen: false, changedAt: 0, seen: [], recheckAt: 0 };
+}
+
+export function recordSuccess(id) {
+  if (!id) return;
+  const r = base(id);
+  const changed = !records.has(id) || r.down || r.consecutive > 0;
+  records.set(id, { ...r, successes: r.successes + 1, consecutive: 0, lastGood: Date.now(), down: false, nextProbeAt: 0 });
+  // routine refreshes of a healthy camera only bump counters; skip the re-render
+  if (changed) emit();
+}
+
+export function recordFailure(id) {
+  if (!id) return;
+  const r = base(id);
+  const consecutive = r.consecutive + 1;
+  const down = consecutive >= DEAD_AFTER;
+  const backoff = Math.min(BASE_BACKOFF_MS * 2 ** (consecutive - DEAD_AFTER), MAX_BACKOFF_MS);
+  const now = Date.now();
+  records.set(id, { ...r, failures: r.failures + 1, consecutive, lastError: now, down, nextProbeAt: down ? now + backoff : 0 });
+  emit();
+}
+
+/**
+ * Feeds the perceptual hash of a freshly loaded snapshot. The camera is frozen
+ * once nothing unlike its recent pictures arrived for `frozenAfterMs`.
+ */
+export function recordHash(id, hash, frozenAfterMs) {
+  if (!id || !hash || !(frozenAfterMs > 0)) return;
+  const r = base(id);
+  const now = Date.now();
+  const novel = !r.seen.some((h) => hammingDistance(h, hash) <= SAME_PICTURE_BITS);
+  const changedAt = novel || !r.changedAt ? now : r.changedAt;
+  const frozen = now - changedAt >= frozenAfterMs;
+  records.set(id, {
+    ...r,
+    seen: novel ? [...r.seen, hash].slice(-SEEN_MAX) : r.seen,
+    changedAt,
+    frozen,
+    recheckAt: frozen ? now + FROZEN_RECHECK_MS : 0,
+  });
+  if (frozen !== r.frozen) emit();
+}
+
+/** Makes a down camera due for its next probe right away. */
+export function probeNow(id) {
+  const r = records.get(id);
+  if (!r?.down) return;
+  records.set(id, { ...r, nextProbeAt: 0 });
+  emit();
+}
+
+export function isDown(health, id) {
+  return !!health.get(id)?.down;
+}
+
+export function isFrozen(health, id) {
+  return !!health.get(id)?.frozen;
+}
+
+/** Ids of down cameras whose backoff has elapsed. */
+export function dueForProbe(now = Date.now()) {
+  const out = [];
+  for (const r of records.values()) if (r.down && r.nextProbeAt <= now) out.push(r.id);
+  return out;
+}
+
+/**
+ * Pushes a frozen camera's next look back by the full interval as the look
+ * starts, so a fetch that fails or yields no hash doesn't leave it due on every tick.
+ */
+export function startRecheck(id) {
+  const r = records.get(id);
+  if (r) records.set(id, { ...r, recheckAt: Date.now() + FROZEN_RECHECK_MS });
+}
+
+/** Ids of frozen cameras due for another look (a skipped camera is never loaded by a pane). */
+export function dueForRecheck(now = Date.now()) {
+  const out = [];
+  for (const r of records.values()) if (r.frozen && !r.down && r.recheckAt <= now) out.push(r.id);
+  return out;
+}
+
+function subscribe(l) {
+  listeners.add(l);
+  return () => listeners.delete(l);
+}
+
+/** Current health map (id → record); re-renders on every report. */
+export function useHealth() {
+  return useSyncExternalStore(subscribe, () => records);
+}
@@ -0,0 +1,100 @@
+import { useEffect, useSyncExternalStore } from "react";
+import { idbDelete, idbGet, idbSet } from "@/lib/idb";
+import { snapshotsReadable } from "@/lib/snapshot";
+
+/**
+ * Rolling per-camera snapshot history, kept in IndexedDB across reloads.
+ *  - "history" store: camera id → [{ key, t, hash, size }], oldest first
+ *  - "frames" store: frame key (`<id>:<t>`, `:<n>` added for another frame
+ *    of the same millisecond) → image Blob
+ * Writes for one camera are queued so overlapping captures can't drop index
+ * entries. A frame identical to the previous one (upstream not updated yet)
+ * is skipped, so the limit counts distinct pictures.
+ */
+
+export const HISTORY_SIZES = [0, 30, 60, 120, 240];
+
+const cache = new Map(); // id → frames metadata
+const loads = new Map(); // id → pending first read
+const queues = new Map();
+const listeners = new Set();
+let version = 0;
+
+function emit() {
+  version++;
+  listeners.forEach((l) => l());
+}
+
+function load(id) {
+  if (!loads.has(id)) {
+    loads.set(id, idbGet("history", id).catch(() => null).then((list) => {
+      if (!cache.has(id)) cache.set(id, Array.isArray(list) ? list : []);
+      return cache.get(id);
+    }));
+  }
+  return loads.get(id);
+}
+
+function enqueue(id, job) {
+  const run = (queues.get(id) || Promise.resolve()).then(job);
+  queues.set(id, run.catch(() => {}));
+  return run;
+}
+
+// FNV-1a: a cheap fingerprint to spot a repeated frame
+function hashBytes(bytes) {
+  let h = 0x811c9dc5;
+  for (let i = 0; i < bytes.length; i++) {
+    h ^= bytes[i];
+    h = Math.imul(h, 0x01000193);
+  }
+  return (h >>> 0).toString(16);
+}
+
+/** Appends a frame and trims the camera's history to `limit` frames. Resolves the new entry, or null for a repeat. */
+export function recordFrame(id, blob, limit, t = Date.now()) {
+  return enqueue(id, async () => {
+    await load(id);
+    const frames = cache.get(id);
+    const hash = hashBytes(new Uint8Array(await blob.arrayBuffer()));
+    if (frames.length && frames[frames.length - 1].hash === hash) return null;
+    let key = `${id}:${t}`;
+    for (let n = 1; frames.some((f) => f.key === key); n++) key = `${id}:${t}:${n}`; // e.g. a preload and a refresh together
+    const frame = { key, t, hash, size: blob.size };
+    await idbSet("frames", frame.key, blob);
+    const next = [...frames, frame];
+    const dropped = next.splice(0, Math.max(0, next.length - limit));
+    await idbSet("history", id, next);
+    await Promise.all(dropped.map((f) => idbDelete("frames", f.key)));
+    cache.set(id, next);
+    emit();
+    return frame;
+  });
+}
+
+export const getFrameBlob = (key) => idbGet("frames", key);
+
+export function clearHistory(id) {
+  return enqueue(id, async () => {
+    await load(id);
+    const frames = cache.get(id);
+    cache.set(id, []);
+    emit();
+    await idbSet("history", id, []);
+    await Promise.all(frames.map((f) => idbDelete("frames", f.key)));
+  });
+}
+
+function subscribe(l) {
+  listeners.add(l);
+  return () => listeners.delete(l);
+}
+
+/** `{ frames, blocked }` for one camera (`blocked`: snapshots can't be read, see snapshot.js); loads the stored history on first use. */
+export function useHistory(id) {
+  useSyncExternalStore(subscribe, () => version);
+  useEffect(() => {
+    if (id && !cache.has(id)) load(id).then(emit);
+  }, [id]);
+  return { frames: (id && cache.get(id)) || [], blocked: !snapshotsReadable() };
+}
@@ -0,0 +1,713 @@
+import { createContext, useContext } from "react";
+
+/**
+ * FR/EN message catalogs and a tiny translator.
+ *  - `t("key", { n: 3 })` interpolates `{n}`; when `n === 1` a `key_one` entry wins if present
+ *  - `camName(c)` picks the camera name field in the UI language first
+ *  - `ago(date, now)` / `inTime(date, now)` are locale-aware relative times
+ * Missing French entries fall back to English, then to the key itself.
+ */
+
+const en = {
+  "app.title": "Québec 511 • Slideshow",
+  "app.tagline": "Snapshots by default · Live optional · No iframes",
+  "app.demo": "Demo",
+  "app.demoTitle": "Offline demo: sample cameras with pictures drawn in the browser, saved traffic events",
+  "app.footer": "Data © Gouvernement du Québec – MTMD (Québec 511), CC BY 4.0. Unofficial viewer.",
+  "app.noIframes": "No iframes (site blocks framing). Use snapshots or enable Live with a proxy.",
+  "app.language": "Language",
+
+  "search.placeholder": "Search road, place, bridge…",
+  "search.label": "Search cameras",
+  "search.hint": "Accents and typos don't matter, nor does word order. Narrow down with route:20, region:Laval, border: (border crossings), bridge:, id:",
+  "catalog.refresh": "Refresh data",
+  "catalog.loading": "Loading camera catalog…",
+  "catalog.count": "{n} cameras",
+  "catalog.count_one": "1 camera",
+  "catalog.cachedFrom": "cached copy from {time}",
+  "catalog.bundledFrom": "copy bundled with the app, built {time}",
+  "catalog.demoFrom": "sample catalog (demo), loaded {time}",
+  "catalog.loadedAt": "loaded {time}",
+  "catalog.refreshing": "refreshing…",
+  "catalog.refreshed": "Catalog refreshed {time}:",
+  "catalog.added": "+{n} added",
+  "catalog.removed": "−{n} removed",
+  "catalog.changed": "{n} changed",
+  "catalog.details": "details",
+  "catalog.noChanges": "no changes",
+  "catalog.dismiss": "Dismiss",
+  "catalog.camMissing": "The linked camera {name} isn't in the catalog.",
+  "catalog.camHidden": "The linked camera {name} isn't in the schedule playing now.",
+  "catalog.loadFailed": "Failed to load cameras (maybe CORS). Use the dev proxy, or build with network access to bundle the catalog.",
+  "catalog.refreshFailed": "Catalog refresh failed (maybe CORS). Showing the last good copy.",
+  "catalog.autoRefresh": "Catalog auto-refresh: {value}",
+  "catalog.everyMin": "every {n} min",
+  "catalog.everyMinItem": "Every {n} min",
+
+  "common.off": "Off",
+  "common.offLower": "off",
+  "common.route": "Route {route}",
+
+  "region.all": "All regions",
+  "region.filterBy": "Filter by region",
+
+  "near.label": "Near",
+  "near.placeholder": "lat, lon",
+  "near.badInput": "Enter “lat, lon”, e.g. 45.50, -73.57",
+  "near.noGeo": "Geolocation isn't available in this browser.",
+  "near.locating": "Locating…",
+  "near.geoFailed": "Location unavailable: {msg}",
+  "near.useLocation": "Use my location",
+  "near.currentCamera": "Current camera",
+  "near.currentCameraTitle": "Centre on the current camera",
+  "near.clear": "Clear proximity filter",
+  "near.radius": "Radius",
+
+  "media.live": "LIVE",
+  "media.snapshot": "SNAPSHOT",
+  "media.unavailable": "UNAVAILABLE",
+  "media.blocked": "Source blocked or unavailable",
+  "media.openOriginalTab": "Open original in new tab",
+  "media.openOriginal": "Open original",
+  "media.route": "Rte {route}",
+  "media.header": "(captured)",
+  "media.headerTitle": "Capture time from the server (Last-Modified)",
+  "media.exif": "(camera clock)",
+  "media.exifTitle": "Capture time written in the image by the camera (EXIF)",
+  "media.local": "(loaded)",
+  "media.localTitle": "Capture time unknown: this is when the browser loaded the image. Use the proxy to read the real time.",
+  "media.staleTitle": "Old picture: the camera hasn't sent a new one recently",
+  "media.frozen": "FROZEN",
+  "media.frozenTitle": "No new picture for a while: the camera keeps serving the same or a looping image",
+
+  "live.status.loading": "connecting…",
+  "live.status.stalled": "buffering",
+  "live.status.recovering": "recovering",
+  "live.status.retrying": "retry {n}/{max}",
+  "live.backToLive": "Back to live",
+  "live.fallbackTitle": "The live stream failed several times, so snapshots are shown. Live is tried again every few minutes.",
+  "live.latency": "Latency",
+  "live.latencyTitle": "Distance to the live edge of the stream",
+  "live.buffer": "Buffer",
+  "live.bitrate": "Bitrate",
+  "live.stalls": "Stalls",
+
+  "daylight.setting": "Cameras in the dark: {value}",
+  "daylight.hint": "Darkness comes from sunrise and sunset at each camera, cross-checked with the brightness of its pictures when they can be read (proxy)",
+  "daylight.mode.off": "no change",
+  "daylight.mode.badge": "show a badge",
+  "daylight.mode.last": "play them last",
+  "daylight.mode.skip": "skip them",
+  "daylight.darkCount": "{n} cameras in the dark",
+  "daylight.darkCount_one": "1 camera in the dark",
+  "daylight.day": "Day",
+  "daylight.dim": "Dim",
+  "daylight.night": "Night",
+  "daylight.lit": "Lit",
+  "daylight.dayTitle": "The sun is up at this camera",
+  "daylight.dimTitle": "The sun is up but the picture is dark (snow, fog, dirty lens?)",
+  "daylight.nightTitle": "Dark at this camera",
+  "daylight.litTitle": "The sun is down but the picture is bright: lit by street lights",
+  "daylight.darkAt": "dark from {time}",
+  "daylight.lightAt": "light from {time}",
+  "schedules.title": "Schedules",
+  "schedules.hint": "Times are in {tz}; the first matching schedule wins",
+  "schedules.enabled": "Follow schedules",
+  "schedules.active": "Active",
+  "schedules.daysHint": "Weekdays it starts on (none: every day)",
+  "schedules.start": "Start",
+  "schedules.end": "End",
+  "schedules.missingSource": "Missing source",
+  "schedules.allCameras": "All cameras",
+  "schedules.moveUp": "Move up (takes precedence)",
+  "schedules.moveDown": "Move down",
+  "schedules.remove": "Remove schedule",
+  "schedules.empty": "No schedules: the regular source always plays",
+  "schedules.add": "Add schedule",
+  "schedules.disabled": "Schedules are off: the regular source plays",
+  "schedules.nowPlaying": "Now playing “{name}”",
+  "schedules.nowRegular": "Now playing the regular source",
+  "schedules.until": " until {time}",
+  "schedules.today": "Today",
+  "schedules.cameraRules": "Per-camera rules",
+  "schedules.cameraRulesHint": "Dwell longer on some cameras, or show them more often",
+  "schedules.addCurrent": "Add current camera",
+  "schedules.dwellHint": "Seconds on this camera (empty: the slideshow dwell)",
+  "schedules.weightHint": "Times per rotation cycle",
+  "schedules.clearCamera": "Remove rule",
+  "schedules.noCameraRules": "No per-camera rules",
+  "screens.open": "Open a screen",
+  "screens.openTitle": "Opens a window showing the next camera of the rotation, to drag onto another monitor; this window drives it",
+  "screens.connected": "{n} screens",
+  "screens.connected_one": "1 screen",
+  "screens.controlling": " · driven from here",
+  "screens.takeControl": "Drive from here",
+  "screens.close": "Close screens",
+  "screens.badge": "Screen {n}",
+  "screens.waiting": " · waiting for the controller",
+
+  "slideshow.none": "No cameras match.",
+  "slideshow.shuffleInFilter": "Shuffle in filter",
+  "slideshow.favAdd": "Add to favourites",
+  "slideshow.favRemove": "Remove from favourites",
+  "slideshow.prev": "Previous camera",
+  "slideshow.next": "Next camera",
+  "slideshow.play": "Play",
+  "slideshow.pause": "Pause",
+  "slideshow.announce": "Now showing {name}",
+
+  "settings.autoplay": "Autoplay",
+  "settings.dwell": "Time per camera",
+  "settings.shuffle": "Shuffle order",
+  "settings.live": "Live video (needs CORS)",
+  "settings.timezone": "Timezone: {tz}",
+  "settings.snapshotRefresh": "Snapshot refresh",
+  "settings.liveEdgeRefresh": "Max lag behind live",
+  "settings.liveEdgeTitle": "When the video falls further behind the live edge than this, it jumps back",
+  "settings.liveStats": "Stream stats",
+  "settings.layout": "Layout: {label}",
+  "settings.map": "Camera map",
+  "settings.playlists": "Playlists",
+  "settings.playing": " · playing “{name}”",
+  "settings.skipDead": "Skip dead cameras",
+  "settings.health": "Health",
+  "settings.downCount": " · {n} down",
+  "settings.frozenCount": " · {n} frozen",
+  "settings.frozenAfter": "Frozen after: {value}",
+  "settings.minutes": "{n} min",
+  "settings.skipFrozen": "Skip frozen cameras",
+  "settings.staleAfter": "Old picture warning after: {value}",
+  "settings.sources": "Camera sources",
+  "settings.schedules": "Schedules",
+  "settings.transition": "Camera change: {value}",
+  "settings.fx.none": "cut",
+  "settings.fx.fade": "crossfade",
+  "settings.fx.slide": "slide",
+  "settings.maxLoads": "Max loads at once",
+
+  "layout.single": "Single",
+  "layout.wall": "{n}×{n} wall",
+
+  "grid.pin": "Pin tile",
+  "grid.unpin": "Unpin tile",
+  "grid.empty": "Empty slot",
+  "grid.page": "Page {page} / {pages} · {n} cameras",
+  "grid.unpinAll": "Unpin all ({n})",
+  "grid.prevPage": "Previous page",
+  "grid.nextPage": "Next page",
+
+  "corridor.off": "Corridor: off",
+  "corridor.on": "Corridor: Route {route}",
+  "corridor.pick": "Follow a route in road order",
+  "corridor.routeItem": "Route {route} ({n})",
+  "corridor.note": "Filters, playlists and shuffle are ignored while following a corridor.",
+  "corridor.east": "Eastbound",
+  "corridor.west": "Westbound",
+  "corridor.north": "Northbound",
+  "corridor.south": "Southbound",
+  "corridor.title": "Route {route} · {dir}",
+  "corridor.summary": "{n} cameras · {km} km",
+  "corridor.position": "{i}/{n} · km {km} · {name}",
+
+  "map.zoomIn": "Zoom in",
+  "map.zoomOut": "Zoom out",
+  "map.fit": "Fit all cameras",
+  "map.hint": "{n} cameras · drag to select an area",
+  "map.clearArea": "Clear area",
+  "map.cluster": "{n} cameras",
+
+  "playlists.playFrom": "Play from",
+  "playlists.filterResults": "Filter results",
+  "playlists.favorites": "Favourites",
+  "playlists.newName": "New playlist name",
+  "playlists.defaultName": "Playlist {n}",
+  "playlists.create": "Create playlist",
+  "playlists.export": "Export",
+  "playlists.import": "Import",
+  "playlists.imported": "Imported {n} playlists.",
+  "playlists.imported_one": "Imported 1 playlist.",
+  "playlists.importFailed": "Import failed: {msg}",
+  "playlists.errNotJson": "Not a JSON file.",
+  "playlists.errNoLists": "No playlists found in file.",
+  "playlists.errNoValid": "No valid playlists found in file.",
+  "playlists.play": "Play this playlist",
+  "playlists.rename": "Rename",
+  "playlists.delete": "Delete playlist",
+  "playlists.emptyFav": "Empty. Star cameras below to add them.",
+  "playlists.empty": "Empty. Use the + button on cameras below to add them.",
+  "playlists.moveUp": "Move up",
+  "playlists.moveDown": "Move down",
+  "playlists.remove": "Remove",
+  "playlists.unknown": "Unknown camera {id}",
+  "playlists.addTo": "Add to “{name}”",
+
+  "health.down": "{n} down",
+  "health.summary": "of {n} cameras seen this session · dead cameras are re-probed with backoff",
+  "health.row": "{n}× · good {good} · retry {retry}",
+  "health.never": "never",
+  "health.probeNow": "Probe now",
+  "sources.title": "Camera sources",
+  "sources.hint": "GeoJSON or CSV lists of your own cameras, shown alongside Québec 511",
+  "sources.import": "Import file",
+  "sources.empty": "No imported cameras yet.",
+  "sources.editMapping": "Edit column mapping",
+  "sources.remove": "Remove source",
+  "sources.name": "Source name",
+  "sources.rows": "{n} rows",
+  "sources.rows_one": "1 row",
+  "sources.kind.geojson": "GeoJSON",
+  "sources.kind.json": "JSON",
+  "sources.kind.csv": "CSV",
+  "sources.field.name": "Name",
+  "sources.field.snapshot": "Snapshot URL",
+  "sources.field.id": "Id",
+  "sources.field.stream": "HLS stream URL",
+  "sources.field.page": "Web page",
+  "sources.field.lat": "Latitude",
+  "sources.field.lon": "Longitude",
+  "sources.field.route": "Route",
+  "sources.field.region": "Region",
+  "sources.noColumn": "—",
+  "sources.missing": "Pick a column for: {fields}",
+  "sources.valid": "{n} of {total} rows have a name and an http(s) snapshot URL",
+  "sources.save": "Save",
+  "sources.cancel": "Cancel",
+  "sources.saved": "{name}: {n} cameras",
+  "sources.importFailed": "Import failed: {msg}",
+  "sources.errBadJson": "Not a valid JSON file.",
+  "sources.errNoFeatures": "No features or rows found in file.",
+  "sources.errEmpty": "The file has no rows.",
+  "events.setting": "Traffic events",
+  "events.camerasAffected": " · {n} cameras",
+  "events.camerasAffected_one": " · 1 camera",
+  "events.first": "Cameras near events first",
+  "events.failed": "Could not load: {layers}",
+  "events.chip": "{n} events nearby",
+  "events.chip_one": "1 event nearby",
+  "events.open": "Show traffic events near this camera",
+  "events.title": "Traffic events nearby",
+  "events.since": "since {time}",
+  "events.until": "until {time}",
+  "events.kind.incident": "Incident",
+  "events.kind.roadwork": "Roadwork",
+  "events.kind.closure": "Closure",
+  "health.frozen": "{n} frozen",
+  "health.frozenRow": "last new picture {since}",
+
+  "kiosk.enter": "Kiosk",
+  "kiosk.enterTitle": "Kiosk mode: fullscreen player, controls hide when idle (K)",
+  "kiosk.exit": "Exit kiosk",
+  "kiosk.shortcuts": "Keyboard shortcuts (?)",
+  "kiosk.helpTitle": "Keyboard shortcuts",
+  "kiosk.keyNext": "Next camera (next page on a wall)",
+  "kiosk.keyPrev": "Previous camera (previous page on a wall)",
+  "kiosk.keyPlay": "Play / pause",
+  "kiosk.keyLive": "Toggle live video",
+  "kiosk.keyFavorite": "Jump to favourite 1 to 9",
+  "kiosk.keyKiosk": "Enter / leave kiosk mode",
+  "kiosk.keyHelp": "Show / hide this help",
+  "kiosk.keyEscape": "Close this help, or leave kiosk mode",
+  "kiosk.helpNote": "Shortcuts are ignored while typing in a field. In kiosk mode the controls fade out after a few seconds without activity and the screen is kept awake where the browser supports it.",
+
+  "history.setting": "Snapshot history: {value}",
+  "history.keepLast": "last {n} frames",
+  "history.keepLastItem": "Keep the last {n} frames",
+  "history.title": "Snapshot history · {name}",
+  "history.count": "{n} of {max} frames",
+  "history.clear": "Clear",
+  "history.empty": "No frames yet. Distinct snapshots of the current camera are stored as they load.",
+  "history.blocked": "This camera's snapshots can't be stored: the browser won't let the page read them without the proxy (CORS).",
+  "history.latest": "newest",
+  "history.prev": "Previous frame",
+  "history.next": "Next frame",
+  "history.timelapse": "Play the range as a timelapse",
+  "history.followLatest": "Follow the newest frame",
+  "history.markStart": "Start here",
+  "history.position": "Snapshot",
+  "history.speed": "Timelapse speed",
+  "history.markEnd": "End here",
+  "history.allFrames": "All frames",
+  "history.range": "{n} frames · {from} → {to}",
+  "history.range_one": "1 frame · {from}",
+  "history.rangeEmpty": "No frames in the range.",
+  "history.noWebm": "This browser can't record WebM.",
+  "history.exporting": "Exporting {kind}… {pct}%",
+  "history.exportFailed": "Export failed.",
+};
+
+const fr = {
+  "app.title": "Québec 511 • Diaporama",
+  "app.tagline": "Images fixes par défaut · Direct en option · Sans iframe",
+  "app.demo": "Démo",
+  "app.demoTitle": "Démo hors ligne : caméras d’exemple aux images dessinées dans le navigateur, événements enregistrés",
+  "app.footer": "Données © Gouvernement du Québec – MTMD (Québec 511), CC BY 4.0. Visionneuse non officielle.",
+  "app.noIframes": "Aucune iframe (le site bloque l’intégration). Utilisez les images fixes ou activez le direct avec un proxy.",
+  "app.language": "Langue",
+
+  "search.placeholder": "Chercher une route, un lieu, un pont…",
+  "search.label": "Chercher des caméras",
+  "search.hint": "Accents, fautes de frappe et ordre des mots sans importance. Précisez avec route:20, région:Laval, frontière: (postes frontaliers), pont:, id:",
+  "catalog.refresh": "Actualiser les données",
+  "catalog.loading": "Chargement du catalogue de caméras…",
+  "catalog.count": "{n} caméras",
+  "catalog.count_one": "1 caméra",
+  "catalog.cachedFrom": "copie en cache du {time}",
+  "catalog.bundledFrom": "copie intégrée à l’application, générée le {time}",
+  "catalog.demoFrom": "catalogue d’exemple (démo), chargé {time}",
+  "catalog.loadedAt": "chargé le {time}",
+  "catalog.refreshing": "actualisation…",
+  "catalog.refreshed": "Catalogue actualisé le {time} :",
+  "catalog.added": "+{n} ajoutées",
+  "catalog.removed": "−{n} retirées",
+  "catalog.changed": "{n} modifiées",
+  "catalog.details": "détails",
+  "catalog.noChanges": "aucun changement",
+  "catalog.dismiss": "Fermer",
+  "catalog.camMissing": "La caméra du lien, {name}, n’est pas au catalogue.",
+  "catalog.camHidden": "La caméra du lien, {name}, n’est pas dans l’horaire en cours.",
+  "catalog.loadFailed": "Échec du chargement des caméras (CORS ?). Utilisez le proxy de développement, ou compilez avec accès réseau pour intégrer le catalogue.",
+  "catalog.refreshFailed": "Échec de l’actualisation du catalogue (CORS ?). Affichage de la dernière copie valide.",
+  "catalog.autoRefresh": "Actualisation auto du catalogue : {value}",
+  "catalog.everyMin": "toutes les {n} min",
+  "catalog.everyMinItem": "Toutes les {n} min",
+
+  "common.off": "Désactivé",
+  "common.offLower": "désactivée",
+  "common.route": "Route {route}",
+
+  "region.all": "Toutes les régions",
+  "region.filterBy": "Filtrer par région",
+
+  "near.label": "Près de",
+  "near.placeholder": "lat, lon",
+  "near.badInput": "Entrez « lat, lon », p. ex. 45.50, -73.57",
+  "near.noGeo": "La géolocalisation n’est pas disponible dans ce navigateur.",
+  "near.locating": "Localisation…",
+  "near.geoFailed": "Position indisponible : {msg}",
+  "near.useLocation": "Utiliser ma position",
+  "near.currentCamera": "Caméra courante",
+  "near.currentCameraTitle": "Centrer sur la caméra courante",
+  "near.clear": "Retirer le filtre de proximité",
+  "near.radius": "Rayon",
+
+  "media.live": "DIRECT",
+  "media.snapshot": "IMAGE",
+  "media.unavailable": "INDISPONIBLE",
+  "media.blocked": "Source bloquée ou indisponible",
+  "media.openOriginalTab": "Ouvrir l’original dans un nouvel onglet",
+  "media.openOriginal": "Ouvrir l’original",
+  "media.route": "Rte {route}",
+  "media.header": "(prise)",
+  "media.headerTitle": "Heure de prise de vue fournie par le serveur (Last-Modified)",
+  "media.exif": "(horloge caméra)",
+  "media.exifTitle": "Heure de prise de vue inscrite dans l’image par la caméra (EXIF)",
+  "media.local": "(chargée)",
+  "media.localTitle": "Heure de prise de vue inconnue : c’est l’heure de chargement par le navigateur. Utilisez le proxy pour lire l’heure réelle.",
+  "media.staleTitle": "Image ancienne : la caméra n’en a pas envoyé de nouvelle récemment",
+  "media.frozen": "FIGÉE",
+  "media.frozenTitle": "Aucune nouvelle image depuis un moment : la caméra renvoie toujours la même image ou une boucle",
+
+  "live.status.loading": "connexion…",
+  "live.status.stalled": "mise en mémoire",
+  "live.status.recovering": "reprise",
+  "live.status.retrying": "essai {n}/{max}",
+  "live.backToLive": "Revenir au direct",
+  "live.fallbackTitle": "Le direct a échoué plusieurs fois, des images sont donc affichées. Le direct est réessayé toutes les quelques minutes.",
+  "live.latency": "Latence",
+  "live.latencyTitle": "Écart avec le bord du direct",
+  "live.buffer": "Tampon",
+  "live.bitrate": "Débit",
+  "live.stalls": "Blocages",
+
+  "daylight.setting": "Caméras dans le noir : {value}",
+  "daylight.hint": "La nuit est calculée d’après le lever et le coucher du soleil à chaque caméra, et recoupée avec la luminosité de ses images quand elles sont lisibles (proxy)",
+  "daylight.mode.off": "aucun changement",
+  "daylight.mode.badge": "afficher un badge",
+  "daylight.mode.last": "les passer en dernier",
+  "daylight.mode.skip": "les sauter",
+  "daylight.darkCount": "{n} caméras dans le noir",
+  "daylight.darkCount_one": "1 caméra dans le noir",
+  "daylight.day": "Jour",
+  "daylight.dim": "Sombre",
+  "daylight.night": "Nuit",
+  "daylight.lit": "Éclairée",
+  "daylight.dayTitle": "Le soleil est levé à cette caméra",
+  "daylight.dimTitle": "Le soleil est levé mais l’image est sombre (neige, brouillard, lentille sale?)",
+  "daylight.nightTitle": "Il fait nuit à cette caméra",
+  "daylight.litTitle": "Le soleil est couché mais l’image est claire : éclairage de rue",
+  "daylight.darkAt": "nuit à partir de {time}",
+  "daylight.lightAt": "jour à partir de {time}",
+  "schedules.title": "Horaires",
+  "schedules.hint": "Heures en {tz} ; le premier horaire qui correspond l’emporte",
+  "schedules.enabled": "Suivre les horaires",
+  "schedules.active": "Actif",
+  "schedules.daysHint": "Jours où il commence (aucun : tous les jours)",
+  "schedules.start": "Début",
+  "schedules.end": "Fin",
+  "schedules.missingSource": "Source manquante",
+  "schedules.allCameras": "Toutes les caméras",
+  "schedules.moveUp": "Monter (prioritaire)",
+  "schedules.moveDown": "Descendre",
+  "schedules.remove": "Supprimer l’horaire",
+  "schedules.empty": "Aucun horaire : la source habituelle joue toujours",
+  "schedules.add": "Ajouter un horaire",
+  "schedules.disabled": "Horaires désactivés : la source habituelle joue",
+  "schedules.nowPlaying": "Lecture de « {name} »",
+  "schedules.nowRegular": "Lecture de la source habituelle",
+  "schedules.until": " jusqu’à {time}",
+  "schedules.today": "Auj.",
+  "schedules.cameraRules": "Règles par caméra",
+  "schedules.cameraRulesHint": "Rester plus longtemps sur certaines caméras, ou les montrer plus souvent",
+  "schedules.addCurrent": "Ajouter la caméra affichée",
+  "schedules.dwellHint": "Secondes sur cette caméra (vide : la durée du diaporama)",
+  "schedules.weightHint": "Passages par cycle de rotation",
+  "schedules.clearCamera": "Supprimer la règle",
+  "schedules.noCameraRules": "Aucune règle par caméra",
+  "screens.open": "Ouvrir un écran",
+  "screens.openTitle": "Ouvre une fenêtre qui montre la caméra suivante de la rotation, à glisser sur un autre moniteur ; cette fenêtre la pilote",
+  "screens.connected": "{n} écrans",
+  "screens.connected_one": "1 écran",
+  "screens.controlling": " · pilotés d’ici",
+  "screens.takeControl": "Piloter d’ici",
+  "screens.close": "Fermer les écrans",
+  "screens.badge": "Écran {n}",
+  "screens.waiting": " · en attente du pilote",
+
+  "slideshow.none": "Aucune caméra ne correspond.",
+  "slideshow.shuffleInFilter": "Ordre aléatoire dans le filtre",
+  "slideshow.favAdd": "Ajouter aux favoris",
+  "slideshow.favRemove": "Retirer des favoris",
+  "slideshow.prev": "Caméra précédente",
+  "slideshow.next": "Caméra suivante",
+  "slideshow.play": "Lecture",
+  "slideshow.pause": "Pause",
+  "slideshow.announce": "Caméra affichée : {name}",
+
+  "settings.autoplay": "Lecture automatique",
+  "settings.dwell": "Durée par caméra",
+  "settings.shuffle": "Ordre aléatoire",
+  "settings.live": "Vidéo en direct (CORS requis)",
+  "settings.timezone": "Fuseau horaire : {tz}",
+  "settings.snapshotRefresh": "Rafraîchissement des images",
+  "settings.liveEdgeRefresh": "Retard max. sur le direct",
+  "settings.liveEdgeTitle": "Quand la vidéo prend plus de retard que ceci sur le direct, elle s’y recale",
+  "settings.liveStats": "Statistiques du flux",
+  "settings.layout": "Disposition : {label}",
+  "settings.map": "Carte des caméras",
+  "settings.playlists": "Listes de lecture",
+  "settings.playing": " · lecture de « {name} »",
+  "settings.skipDead": "Sauter les caméras en panne",
+  "settings.health": "État",
+  "settings.downCount": " · {n} en panne",
+  "settings.frozenCount": " · {n} figées",
+  "settings.frozenCount_one": " · 1 figée",
+  "settings.frozenAfter": "Figée après : {value}",
+  "settings.minutes": "{n} min",
+  "settings.skipFrozen": "Sauter les caméras figées",
+  "settings.staleAfter": "Alerte image ancienne après : {value}",
+  "settings.sources": "Sources de caméras",
+  "settings.schedules": "Horaires",
+  "settings.transition": "Changement de caméra : {value}",
+  "settings.fx.none": "coupe",
+  "settings.fx.fade": "fondu enchaîné",
+  "settings.fx.slide": "glissement",
+  "settings.maxLoads": "Chargements simultanés max.",
+
+  "layout.single": "Unique",
+  "layout.wall": "Mur {n}×{n}",
+
+  "grid.pin": "Épingler la tuile",
+  "grid.unpin": "Désépingler la tuile",
+  "grid.empty": "Case vide",
+  "grid.page": "Page {page} / {pages} · {n} caméras",
+  "grid.unpinAll": "Tout désépingler ({n})",
+  "grid.prevPage": "Page précédente",
+  "grid.nextPage": "Page suivante",
+
+  "corridor.off": "Corridor : désactivé",
+  "corridor.on": "Corridor : route {route}",
+  "corridor.pick": "Suivre une route dans l’ordre",
+  "corridor.routeItem": "Route {route} ({n})",
+  "corridor.note": "Les filtres, listes de lecture et l’ordre aléatoire sont ignorés en mode corridor.",
+  "corridor.east": "Direction est",
+  "corridor.west": "Direction ouest",
+  "corridor.north": "Direction nord",
+  "corridor.south": "Direction sud",
+  "corridor.title": "Route {route} · {dir}",
+  "corridor.summary": "{n} caméras · {km} km",
+  "corridor.position": "{i}/{n} · km {km} · {name}",
+
+  "map.zoomIn": "Zoom avant",
+  "map.zoomOut": "Zoom arrière",
+  "map.fit": "Voir toutes les caméras",
+  "map.hint": "{n} caméras · glissez pour sélectionner une zone",
+  "map.clearArea": "Retirer la zone",
+  "map.cluster": "{n} caméras",
+
+  "playlists.playFrom": "Lire depuis",
+  "playlists.filterResults": "Résultats du filtre",
+  "playlists.favorites": "Favoris",
+  "playlists.newName": "Nom de la nouvelle liste",
+  "playlists.defaultName": "Liste {n}",
+  "playlists.create": "Créer la liste",
+  "playlists.export": "Exporter",
+  "playlists.import": "Importer",
+  "playlists.imported": "{n} listes importées.",
+  "playlists.imported_one": "1 liste importée.",
+  "playlists.importFailed": "Échec de l’importation : {msg}",
+  "playlists.errNotJson": "Ce n’est pas un fichier JSON.",
+  "playlists.errNoLists": "Aucune liste trouvée dans le fichier.",
+  "playlists.errNoValid": "Aucune liste valide dans le fichier.",
+  "playlists.play": "Lire cette liste",
+  "playlists.rename": "Renommer",
+  "playlists.delete": "Supprimer la liste",
+  "playlists.emptyFav": "Vide. Ajoutez des caméras avec l’étoile ci-dessous.",
+  "playlists.empty": "Vide. Ajoutez des caméras avec le bouton + ci-dessous.",
+  "playlists.moveUp": "Monter",
+  "playlists.moveDown": "Descendre",
+  "playlists.remove": "Retirer",
+  "playlists.unknown": "Caméra inconnue {id}",
+  "playlists.addTo": "Ajouter à « {name} »",
+
+  "health.down": "{n} en panne",
+  "health.summary": "sur {n} caméras vues pendant la session · les caméras en panne sont re-sondées avec délai croissant",
+  "health.row": "{n}× · OK {good} · essai {retry}",
+  "health.never": "jamais",
+  "health.probeNow": "Sonder maintenant",
+  "sources.title": "Sources de caméras",
+  "sources.hint": "Listes GeoJSON ou CSV de vos propres caméras, affichées avec Québec 511",
+  "sources.import": "Importer un fichier",
+  "sources.empty": "Aucune caméra importée.",
+  "sources.editMapping": "Modifier la correspondance des colonnes",
+  "sources.remove": "Retirer la source",
+  "sources.name": "Nom de la source",
+  "sources.rows": "{n} lignes",
+  "sources.rows_one": "1 ligne",
+  "sources.kind.geojson": "GeoJSON",
+  "sources.kind.json": "JSON",
+  "sources.kind.csv": "CSV",
+  "sources.field.name": "Nom",
+  "sources.field.snapshot": "URL de l’image",
+  "sources.field.id": "Identifiant",
+  "sources.field.stream": "URL du flux HLS",
+  "sources.field.page": "Page web",
+  "sources.field.lat": "Latitude",
+  "sources.field.lon": "Longitude",
+  "sources.field.route": "Route",
+  "sources.field.region": "Région",
+  "sources.noColumn": "—",
+  "sources.missing": "Choisissez une colonne pour : {fields}",
+  "sources.valid": "{n} lignes sur {total} ont un nom et une URL d’image http(s)",
+  "sources.save": "Enregistrer",
+  "sources.cancel": "Annuler",
+  "sources.saved": "{name} : {n} caméras",
+  "sources.importFailed": "Échec de l’importation : {msg}",
+  "sources.errBadJson": "Fichier JSON invalide.",
+  "sources.errNoFeatures": "Aucune entité ni ligne dans le fichier.",
+  "sources.errEmpty": "Le fichier ne contient aucune ligne.",
+  "events.setting": "Événements routiers",
+  "events.camerasAffected": " · {n} caméras",
+  "events.camerasAffected_one": " · 1 caméra",
+  "events.first": "Caméras près des événements d’abord",
+  "events.failed": "Chargement impossible : {layers}",
+  "events.chip": "{n} événements à proximité",
+  "events.chip_one": "1 événement à proximité",
+  "events.open": "Voir les événements routiers près de cette caméra",
+  "events.title": "Événements routiers à proximité",
+  "events.since": "depuis {time}",
+  "events.until": "jusqu’à {time}",
+  "events.kind.incident": "Incident",
+  "events.kind.roadwork": "Travaux",
+  "events.kind.closure": "Fermeture",
+  "health.frozen": "{n} figées",
+  "health.frozen_one": "1 figée",
+  "health.frozenRow": "dernière nouvelle image {since}",
+
+  "kiosk.enter": "Kiosque",
+  "kiosk.enterTitle": "Mode kiosque : lecteur plein écran, commandes masquées en l’absence d’activité (K)",
+  "kiosk.exit": "Quitter le kiosque",
+  "kiosk.shortcuts": "Raccourcis clavier (?)",
+  "kiosk.helpTitle": "Raccourcis clavier",
+  "kiosk.keyNext": "Caméra suivante (page suivante en mosaïque)",
+  "kiosk.keyPrev": "Caméra précédente (page précédente en mosaïque)",
+  "kiosk.keyPlay": "Lecture / pause",
+  "kiosk.keyLive": "Activer / désactiver le direct",
+  "kiosk.keyFavorite": "Aller au favori 1 à 9",
+  "kiosk.keyKiosk": "Entrer dans le mode kiosque / en sortir",
+  "kiosk.keyHelp": "Afficher / masquer cette aide",
+  "kiosk.keyEscape": "Fermer cette aide ou quitter le mode kiosque",
+  "kiosk.helpNote": "Les raccourcis sont ignorés pendant la saisie dans un champ. En mode kiosque, les commandes s’estompent après quelques secondes sans activité et l’écran reste allumé si le navigateur le permet.",
+
+  "history.setting": "Historique des images : {value}",
+  "history.keepLast": "{n} dernières images",
+  "history.keepLastItem": "Garder les {n} dernières images",
+  "history.title": "Historique des images · {name}",
+  "history.count": "{n} images sur {max}",
+  "history.clear": "Effacer",
+  "history.empty": "Aucune image pour l’instant. Les images distinctes de la caméra courante sont conservées à mesure qu’elles se chargent.",
+  "history.blocked": "Impossible de conserver les images de cette caméra : le navigateur ne laisse pas la page les lire sans le proxy (CORS).",
+  "history.latest": "la plus récente",
+  "history.prev": "Image précédente",
+  "history.next": "Image suivante",
+  "history.timelapse": "Lire l’intervalle en accéléré",
+  "history.followLatest": "Suivre l’image la plus récente",
+  "history.markStart": "Début ici",
+  "history.position": "Image",
+  "history.speed": "Vitesse du timelapse",
+  "history.markEnd": "Fin ici",
+  "history.allFrames": "Toutes les images",
+  "history.range": "{n} images · {from} → {to}",
+  "history.range_one": "1 image · {from}",
+  "history.rangeEmpty": "Aucune image dans l’intervalle.",
+  "history.noWebm": "Ce navigateur ne peut pas enregistrer en WebM.",
+  "history.exporting": "Exportation {kind}… {pct} %",
+  "history.exportFailed": "Échec de l’exportation.",
+};
+
+const MESSAGES = { en, fr };
+
+export const LANGS = [
+  { value: "fr", label: "Français" },
+  { value: "en", label: "English" },
+];
+
+export function detectLang() {
+  const nav = typeof navigator !== "undefined" ? navigator.language || "" : "";
+  return nav.toLowerCase().startsWith("fr") ? "fr" : "en";
+}
+
+function relative(rtf, seconds) {
+  const a = Math.abs(seconds);
+  if (a < 60) return rtf.format(Math.round(seconds), "second");
+  if (a < 3600) return rtf.format(Math.trunc(seconds / 60), "minute");
+  if (a < 86400) return rtf.format(Math.trunc(seconds / 3600), "hour");
+  return rtf.format(Math.trunc(seconds / 86400), "day");
+}
+
+export function createTranslator(lang) {
+  const table = MESSAGES[lang] || en;
+  const locale = lang === "fr" ? "fr-CA" : "en-CA";
+  const rtf = new Intl.RelativeTimeFormat(locale, { style: "short", numeric: "always" });
+
+  const t = (key, vars) => {
+    let s = (vars?.n === 1 && (table[`${key}_one`] ?? en[`${key}_one`])) || table[key] || en[key] || key;
+    if (vars) s = s.replace(/\{(\w+)\}/g, (m, k) => (vars[k] != null ? String(vars[k]) : m));
+    return s;
+  };
+
+  return {
+    lang,
+    locale,
+    t,
+    camName: (c) => (c ? (lang === "fr" ? c.nameFr || c.nameEn : c.nameEn || c.nameFr) || c.id : ""),
+    ago: (date, now = Date.now()) => relative(rtf, -Math.max(0, (now - date) / 1000)),
+    inTime: (date, now = Date.now()) => relative(rtf, Math.max(0, (date - now) / 1000)),
+  };
+}
+
+const I18nContext = createContext(createTranslator("en"));
+export const I18nProvider = I18nContext.Provider;
+
+export function useI18n() {
+  return useContext(I18nContext);
+}
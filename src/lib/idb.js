@@ -0,0 +1,43 @@
+/**
+ * Minimal promise wrapper around one IndexedDB database. Every store is a
+ * plain key/value store (out-of-line keys); add new stores to `STORES` and
+ * bump `DB_VERSION`.
+ */
+
+const DB_NAME = "q511";
+const DB_VERSION = 2;
+const STORES = ["catalog", "history", "frames"];
+
+let dbPromise = null;
+
+function openDb() {
+  if (!dbPromise) {
+    dbPromise = new Promise((resolve, reject) => {
+      if (typeof indexedDB === "undefined") return reject(new Error("IndexedDB unavailable"));
+      const req = indexedDB.open(DB_NAME, DB_VERSION);
+      req.onupgradeneeded = () => {
+        for (const name of STORES) if (!req.result.objectStoreNames.contains(name)) req.result.createObjectStore(name);
+      };
+      req.onsuccess = () => resolve(req.result);
+      req.onerror = () => reject(req.error);
+    }).catch((e) => {
+      dbPromise = null; // allow a retry later
+      throw e;
+    });
+  }
+  return dbPromise;
+}
+
+function run(store, mode, fn) {
+  return openDb().then((db) => new Promise((resolve, reject) => {
+    const tx = db.transaction(store, mode);
+    const req = fn(tx.objectStore(store));
+    tx.oncomplete = () => resolve(req?.result);
+    tx.onerror = () => reject(tx.error);
+    tx.onabort = () => reject(tx.error);
+  }));
+}
+
+export const idbGet = (store, key) => run(store, "readonly", (s) => s.get(key));
+export const idbSet = (store, key, value) => run(store, "readwrite", (s) => s.put(value, key));
+export const idbDelete = (store, key) => run(store, "readwrite", (s) => s.delete(key));
@@ -0,0 +1,106 @@
+import { useEffect, useRef, useState } from "react";
+
+/**
+ * Hooks for unattended wall displays: keyboard shortcuts, inactivity
+ * detection, the Screen Wake Lock and the Fullscreen API. Every API is
+ * feature-checked; unsupported browsers just get a no-op.
+ */
+
+const isTyping = (el) => !!el && (el.isContentEditable || /^(INPUT|TEXTAREA|SELECT)$/.test(el.tagName));
+// Space and Enter on a focused control are its own (press a button, flip a switch), not a shortcut
+const isControlKey = (e) => (e.key === " " || e.key === "Enter") && !!e.target?.closest?.("button, [role=switch], [role=menuitem], a[href]");
+
+/**
+ * Global keydown bindings keyed by `event.key` (single characters lower-cased,
+ * so "l" also catches "L"). Ignored while typing in a field, with Ctrl/Alt/Meta,
+ * and for Space / Enter on a focused button, switch, menu item or link.
+ */
+export function useHotkeys(bindings, enabled = true) {
+  const ref = useRef(bindings);
+  ref.current = bindings;
+  useEffect(() => {
+    if (!enabled) return;
+    const onKey = (e) => {
+      if (e.defaultPrevented || e.ctrlKey || e.altKey || e.metaKey || isTyping(e.target) || isControlKey(e)) return;
+      const fn = ref.current[e.key.length === 1 ? e.key.toLowerCase() : e.key];
+      if (!fn) return;
+      e.preventDefault();
+      fn(e);
+    };
+    window.addEventListener("keydown", onKey);
+    return () => window.removeEventListener("keydown", onKey);
+  }, [enabled]);
+}
+
+/** True once there was no pointer, touch or key activity for `ms`. Always false when disabled. */
+export function useIdle(ms = 3000, enabled = true) {
+  const [idle, setIdle] = useState(false);
+  useEffect(() => {
+    if (!enabled) { setIdle(false); return; }
+    let timer;
+    const wake = () => {
+      setIdle(false);
+      clearTimeout(timer);
+      timer = setTimeout(() => setIdle(true), ms);
+    };
+    const events = ["pointermove", "pointerdown", "keydown", "touchstart", "wheel"];
+    events.forEach((ev) => window.addEventListener(ev, wake, { passive: true }));
+    wake();
+    return () => {
+      clearTimeout(timer);
+      events.forEach((ev) => window.removeEventListener(ev, wake));
+    };
+  }, [ms, enabled]);
+  return idle;
+}
+
+/**
+ * Keeps the screen on while enabled. The browser drops the lock whenever the
+ * tab is hidden, so it is re-requested when the page becomes visible again.
+ */
+export function useWakeLock(enabled) {
+  useEffect(() => {
+    if (!enabled || !navigator.wakeLock?.request) return;
+    let sentinel = null;
+    let cancelled = false;
+    const acquire = async () => {
+      if (document.visibilityState !== "visible" || (sentinel && !sentinel.released)) return;
+      try {
+        const s = await navigator.wakeLock.request("screen");
+        if (cancelled) s.release().catch(() => {});
+        else sentinel = s;
+      } catch {} // denied (battery saver, permissions policy): nothing else to do
+    };
+    acquire();
+    document.addEventListener("visibilitychange", acquire);
+    return () => {
+      cancelled = true;
+      document.removeEventListener("visibilitychange", acquire);
+      sentinel?.release().catch(() => {});
+    };
+  }, [enabled]);
+}
+
+export const isFullscreen = () => !!document.fullscreenElement;
+
+/** Requests fullscreen for the whole page; rejected (e.g. no user gesture) → stays windowed. */
+export function enterFullscreen() {
+  if (isFullscreen() || !document.documentElement.requestFullscreen) return;
+  document.documentElement.requestFullscreen().catch(() => {});
+}
+
+export function exitFullscreen() {
+  if (isFullscreen()) document.exitFullscreen().catch(() => {});
+}
+
+/** Calls `onExit` when the user leaves fullscreen through the browser (Esc, F11). */
+export function useFullscreenExit(onExit, enabled = true) {
+  const ref = useRef(onExit);
+  ref.current = onExit;
+  useEffect(() => {
+    if (!enabled) return;
+    const onChange = () => { if (!isFullscreen()) ref.current?.(); };
+    document.addEventListener("fullscreenchange", onChange);
+    return () => document.removeEventListener("fullscreenchange", onChange);
+  }, [enabled]);
+}
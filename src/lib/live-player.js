@@ -0,0 +1,196 @@
+import { useEffect, useRef, useState } from "react";
+
+/**
+ * Live HLS playback as an explicit state machine around hls.js:
+ *
+ *   loading ──▶ playing ⇄ stalled
+ *      ▲           │ fatal error, or stalled for STALL_MS
+ *      │           ▼
+ *      │      recovering (media error: recoverMediaError, then swapAudioCodec)
+ *      │           │ still failing, or a network / other fatal error
+ *      │           ▼
+ *      └──── retrying (new player after a backoff delay)
+ *                  │ LIVE_MAX_FAILURES in a row
+ *                  ▼
+ *              fallback (the pane shows snapshots, and offers a way back)
+ *
+ * Non-fatal errors are left to hls.js, which retries them itself. Playing
+ * steadily for a while forgives earlier failures. Browsers without MSE but
+ * with native HLS (iOS Safari) get the stream on the <video> directly.
+ */
+
+export const LIVE_MAX_FAILURES = 4;
+const BACKOFF_MS = [1000, 3000, 8000, 20_000];
+const MEDIA_RETRY_WINDOW_MS = 5000; // a second media error this soon after recovering swaps the audio codec
+const STEADY_MS = 20_000;
+const STALL_MS = 15_000; // stalled this long counts as a failure, like a fatal error
+const SAMPLE_MS = 1000;
+
+const NO_STATS = { latency: null, buffer: null, bitrate: null, stalls: 0 };
+
+// seconds buffered ahead of the playhead
+function bufferAhead(video) {
+  const { buffered, currentTime } = video;
+  for (let i = 0; i < buffered.length; i++) {
+    if (buffered.start(i) <= currentTime + 0.1 && currentTime < buffered.end(i)) return buffered.end(i) - currentTime;
+  }
+  return 0;
+}
+
+/**
+ * Plays `srcFor()` (called again for every new player, so each can carry a
+ * fresh cache-buster) into `videoRef` while `enabled`; a new `id` (camera)
+ * starts over. Falling more than `maxDriftSec` behind the live edge jumps
+ * back to it. `onPlaying` fires once per player when the first frames play,
+ * `onFallback` when live is given up.
+ * Returns `{ status, attempt, retryAt, stats }`, `status` being "idle" when
+ * disabled; `stats` is `{ latency, buffer, bitrate, stalls }`.
+ */
+export function useLivePlayer(videoRef, { id, enabled, srcFor, maxDriftSec = 0, onPlaying, onFallback }) {
+  const [machine, setMachine] = useState({ status: "idle", attempt: 0, retryAt: null });
+  const [stats, setStats] = useState(NO_STATS);
+  const cb = useRef({});
+  cb.current = { srcFor, onPlaying, onFallback, maxDriftSec };
+  const failures = useRef(0); // in a row; steady playback clears it between two of them
+
+  useEffect(() => {
+    const video = videoRef.current;
+    if (!enabled || !video) {
+      setMachine({ status: "idle", attempt: 0, retryAt: null });
+      setStats(NO_STATS);
+      return;
+    }
+    let disposed = false;
+    let Hls = null;
+    let hls = null;
+    let retryTimer = null;
+    let lastMediaRecovery = 0;
+    let mediaRecoveries = 0;
+    let steadySince = 0;
+    let reported = false;
+    let stalls = 0;
+    let stalledSince = 0;
+    failures.current = 0;
+
+    const go = (status, extra = {}) => {
+      if (!disposed) setMachine({ status, attempt: failures.current, retryAt: null, ...extra });
+    };
+
+    const teardown = () => {
+      hls?.destroy();
+      hls = null;
+      video.removeAttribute("src");
+      video.load();
+    };
+
+    const fail = () => {
+      teardown();
+      reported = false; // the old player's events no longer count
+      steadySince = 0;
+      stalledSince = 0;
+      failures.current += 1;
+      if (failures.current >= LIVE_MAX_FAILURES) {
+        go("fallback");
+        cb.current.onFallback?.();
+        return;
+      }
+      const delay = BACKOFF_MS[Math.min(failures.current, BACKOFF_MS.length) - 1];
+      go("retrying", { retryAt: Date.now() + delay });
+      retryTimer = setTimeout(start, delay);
+    };
+
+    const onError = (_, data) => {
+      if (disposed || !data.fatal) return;
+      if (data.type === Hls.ErrorTypes.MEDIA_ERROR && mediaRecoveries < 2) {
+        const now = Date.now();
+        if (mediaRecoveries && now - lastMediaRecovery < MEDIA_RETRY_WINDOW_MS) hls.swapAudioCodec();
+        mediaRecoveries += 1;
+        lastMediaRecovery = now;
+        go("recovering");
+        hls.recoverMediaError();
+        return;
+      }
+      fail();
+    };
+
+    function start() {
+      if (disposed) return;
+      reported = false;
+      mediaRecoveries = 0;
+      go("loading");
+      const src = cb.current.srcFor();
+      if (Hls.isSupported()) {
+        hls = new Hls({ lowLatencyMode: true, liveSyncDurationCount: 1, backBufferLength: 0 });
+        hls.on(Hls.Events.ERROR, onError);
+        hls.on(Hls.Events.MANIFEST_PARSED, () => video.play()?.catch?.(() => {}));
+        hls.loadSource(src);
+        hls.attachMedia(video);
+      } else if (video.canPlayType("application/vnd.apple.mpegurl")) {
+        video.src = src;
+        video.play()?.catch?.(() => {});
+      } else {
+        fail();
+      }
+    }
+
+    const onPlayingEvent = () => {
+      steadySince = Date.now();
+      stalledSince = 0;
+      go("playing");
+      if (reported) return;
+      reported = true;
+      cb.current.onPlaying?.(hls?.url || video.currentSrc);
+    };
+    const onWaiting = () => {
+      if (!reported) return; // still starting up
+      stalls += 1;
+      steadySince = 0;
+      stalledSince ||= Date.now();
+      go("stalled");
+    };
+    const onVideoError = () => { if (!hls && video.getAttribute("src")) fail(); }; // native playback only
+    video.addEventListener("playing", onPlayingEvent);
+    video.addEventListener("waiting", onWaiting);
+    video.addEventListener("error", onVideoError);
+
+    const sampler = setInterval(() => {
+      const now = Date.now();
+      if (steadySince && now - steadySince > STEADY_MS && failures.current) {
+        failures.current = 0;
+        setMachine((m) => ({ ...m, attempt: 0 }));
+      }
+      if (stalledSince && now - stalledSince > STALL_MS) {
+        fail();
+        return;
+      }
+      const edge = hls?.liveSyncPosition;
+      const maxDrift = cb.current.maxDriftSec;
+      if (maxDrift && Number.isFinite(edge) && edge - video.currentTime > maxDrift) video.currentTime = edge;
+      const level = hls?.levels?.[hls.currentLevel];
+      setStats({
+        latency: Number.isFinite(hls?.latency) ? hls.latency : null,
+        buffer: video.buffered.length ? bufferAhead(video) : null,
+        bitrate: level?.bitrate || (Number.isFinite(hls?.bandwidthEstimate) ? hls.bandwidthEstimate : null),
+        stalls,
+      });
+    }, SAMPLE_MS);
+
+    import("hls.js").then(
+      (m) => { Hls = m.default; start(); },
+      () => { failures.current = LIVE_MAX_FAILURES - 1; fail(); } // the chunk itself didn't load: no point retrying
+    );
+
+    return () => {
+      disposed = true;
+      clearTimeout(retryTimer);
+      clearInterval(sampler);
+      video.removeEventListener("playing", onPlayingEvent);
+      video.removeEventListener("waiting", onWaiting);
+      video.removeEventListener("error", onVideoError);
+      teardown();
+    };
+    // eslint-disable-next-line react-hooks/exhaustive-deps
+  }, [id, enabled]);
+
+  return { ...machine, stats };
+}
@@ -0,0 +1,53 @@
+/**
+ * 64-bit difference hash ("dHash") of an image: the picture is shrunk to a
+ * 9×8 grey grid and each bit says whether a cell is brighter than its right
+ * neighbour. Re-encoding, small noise and resizing barely move it, so two
+ * snapshots of an unchanged scene land within a few bits of each other.
+ */
+
+const COLS = 9;
+const ROWS = 8;
+const CELL = 4; // sample a 36×32 thumbnail and average 4×4 blocks, steadier than one pixel per cell
+
+let canvas = null;
+
+export async function perceptualHash(blob) {
+  const bitmap = await createImageBitmap(blob);
+  if (!canvas) {
+    canvas = document.createElement("canvas");
+    canvas.width = COLS * CELL;
+    canvas.height = ROWS * CELL;
+  }
+  const ctx = canvas.getContext("2d", { willReadFrequently: true });
+  ctx.imageSmoothingQuality = "high";
+  ctx.drawImage(bitmap, 0, 0, canvas.width, canvas.height);
+  bitmap.close?.();
+  const { data } = ctx.getImageData(0, 0, canvas.width, canvas.height);
+
+  const grey = new Float32Array(COLS * ROWS);
+  for (let y = 0; y < canvas.height; y++) {
+    for (let x = 0; x < canvas.width; x++) {
+      const i = (y * canvas.width + x) * 4;
+      grey[Math.floor(y / CELL) * COLS + Math.floor(x / CELL)] += 0.299 * data[i] + 0.587 * data[i + 1] + 0.114 * data[i + 2];
+    }
+  }
+
+  let hex = "";
+  for (let row = 0; row < ROWS; row++) {
+    let byte = 0;
+    for (let col = 0; col < COLS - 1; col++) {
+      byte = (byte << 1) | (grey[row * COLS + col] > grey[row * COLS + col + 1] ? 1 : 0);
+    }
+    hex += byte.toString(16).padStart(2, "0");
+  }
+  return hex;
+}
+
+const BITS = Array.from({ length: 16 }, (_, n) => (n & 1) + ((n >> 1) & 1) + ((n >> 2) & 1) + ((n >> 3) & 1));
+
+/** Number of differing bits between two hex hashes of the same length. */
+export function hammingDistance(a, b) {
+  let d = 0;
+  for (let i = 0; i < a.length; i++) d += BITS[parseInt(a[i], 16) ^ parseInt(b[i], 16)];
+  return d;
+}
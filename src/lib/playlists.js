@@ -0,0 +1,107 @@
+import { useCallback, useMemo } from "react";
+import { usePersistentState } from "@/lib/storage";
+
+/**
+ * User playlists: ordered lists of camera ids, persisted in localStorage.
+ * Favourites are just the built-in playlist with id `FAVORITES_ID`
+ * (it can be reordered like any other, but not renamed or deleted).
+ */
+
+export const FAVORITES_ID = "favorites";
+const EXPORT_VERSION = 1;
+
+const favoritesList = () => ({ id: FAVORITES_ID, name: "Favourites", ids: [] });
+
+function newId() {
+  return `pl-${Date.now().toString(36)}-${Math.random().toString(36).slice(2, 6)}`;
+}
+
+// errors carry an i18n-friendly `code` (see `playlists.err*` messages)
+function importError(code, message) {
+  return Object.assign(new Error(message), { code });
+}
+
+function sanitize(list) {
+  if (!list || typeof list !== "object" || !Array.isArray(list.ids)) return null;
+  const ids = Array.from(new Set(list.ids.map(String).filter(Boolean)));
+  return { id: String(list.id || newId()), name: String(list.name || "Untitled").slice(0, 80), ids };
+}
+
+function withFavorites(lists) {
+  return lists.some((l) => l.id === FAVORITES_ID) ? lists : [favoritesList(), ...lists];
+}
+
+export function serializePlaylists(playlists) {
+  return JSON.stringify({ version: EXPORT_VERSION, exportedAt: new Date().toISOString(), playlists }, null, 2);
+}
+
+/**
+ * Parses an exported file (or a bare array of playlists).
+ * Throws with a readable message when the shape is wrong.
+ */
+export function parsePlaylists(text) {
+  let data;
+  try {
+    data = JSON.parse(text);
+  } catch {
+    throw importError("errNotJson", "Not a JSON file.");
+  }
+  const raw = Array.isArray(data) ? data : data?.playlists;
+  if (!Array.isArray(raw)) throw importError("errNoLists", "No playlists found in file.");
+  const lists = raw.map(sanitize).filter(Boolean);
+  if (!lists.length) throw importError("errNoValid", "No valid playlists found in file.");
+  return lists;
+}
+
+export function usePlaylists() {
+  const [stored, setStored] = usePersistentState("playlists", () => [favoritesList()]);
+  const playlists = useMemo(() => withFavorites(Array.isArray(stored) ? stored : []), [stored]);
+  const update = useCallback((fn) => setStored((prev) => fn(withFavorites(Array.isArray(prev) ? prev : []))), [setStored]);
+
+  const favorites = useMemo(() => new Set(playlists.find((l) => l.id === FAVORITES_ID)?.ids || []), [playlists]);
+
+  const mapList = (listId, fn) => update((lists) => lists.map((l) => (l.id === listId ? { ...l, ids: fn(l.ids) } : l)));
+
+  return {
+    playlists,
+    favorites,
+    toggleFavorite: (camId) => mapList(FAVORITES_ID, (ids) => (ids.includes(camId) ? ids.filter((x) => x !== camId) : [...ids, camId])),
+    addCamera: (listId, camId) => mapList(listId, (ids) => (ids.includes(camId) ? ids : [...ids, camId])),
+    removeCamera: (listId, camId) => mapList(listId, (ids) => ids.filter((x) => x !== camId)),
+    move: (listId, from, to) => mapList(listId, (ids) => {
+      if (from === to || from < 0 || from >= ids.length) return ids;
+      const next = [...ids];
+      const [item] = next.splice(from, 1);
+      next.splice(Math.max(0, Math.min(to, next.length)), 0, item);
+      return next;
+    }),
+    create: (name) => {
+      const id = newId();
+      update((lists) => [...lists, { id, name: name.trim() || "Untitled", ids: [] }]);
+      return id;
+    },
+    rename: (listId, name) => {
+      if (listId === FAVORITES_ID) return;
+      update((lists) => lists.map((l) => (l.id === listId ? { ...l, name: name.trim() || l.name } : l)));
+    },
+    remove: (listId) => {
+      if (listId === FAVORITES_ID) return;
+      update((lists) => lists.filter((l) => l.id !== listId));
+    },
+    /** Merges imported lists: favourites are unioned, other ids that already exist get a fresh id. */
+    importLists: (imported) => update((lists) => {
+      const taken = new Set(lists.map((l) => l.id));
+      let next = [...lists];
+      for (const l of imported) {
+        if (l.id === FAVORITES_ID) {
+          next = next.map((x) => (x.id === FAVORITES_ID ? { ...x, ids: Array.from(new Set([...x.ids, ...l.ids])) } : x));
+          continue;
+        }
+        const id = taken.has(l.id) ? newId() : l.id;
+        taken.add(id);
+        next.push({ ...l, id });
+      }
+      return next;
+    }),
+  };
+}
@@ -0,0 +1,55 @@
+/**
+ * Off-screen snapshot loading. A frame is only put on screen once it has
+ * downloaded and decoded, so swapping it in never shows a blank or half-drawn
+ * picture. The slideshow also warms the next cameras: each preload is kept
+ * under its URL salt, and the pane that later shows the camera asks for the
+ * same salt, so its first frame comes straight from the browser cache.
+ */
+
+const WARM_MS = 60_000; // older preloads are refetched rather than shown
+const WARM_MAX = 8;
+
+const warm = new Map(); // camera id → { salt, at, img }
+
+/** Resolves the loaded and decoded `Image`; rejects on a load error or after `timeoutMs`. */
+export function decodeImage(src, timeoutMs = 30_000) {
+  return new Promise((resolve, reject) => {
+    const img = new Image();
+    img.decoding = "async";
+    const timer = setTimeout(() => {
+      img.src = ""; // abort the download
+      reject(new Error(`Timed out loading ${src}`));
+    }, timeoutMs);
+    img.onload = () => {
+      clearTimeout(timer);
+      // decode() may reject for huge images even though they display fine
+      (img.decode ? img.decode() : Promise.resolve()).then(() => resolve(img), () => resolve(img));
+    };
+    img.onerror = () => {
+      clearTimeout(timer);
+      reject(new Error(`Failed to load ${src}`));
+    };
+    img.src = src;
+  });
+}
+
+/** Starts loading camera `id` in the background (`urlFor(salt)` builds the URL) unless a fresh preload is already waiting. */
+export function preloadCamera(id, urlFor) {
+  const hit = warm.get(id);
+  if (hit && Date.now() - hit.at < WARM_MS) return;
+  const entry = { salt: Date.now(), at: Date.now(), img: null };
+  warm.delete(id);
+  warm.set(id, entry);
+  while (warm.size > WARM_MAX) warm.delete(warm.keys().next().value);
+  decodeImage(urlFor(entry.salt)).then(
+    (img) => { entry.img = img; }, // holding the Image keeps the decoded picture in memory
+    () => { if (warm.get(id) === entry) warm.delete(id); }
+  );
+}
+
+/** Salt of a fresh preload for camera `id` (used up by the call), or null. */
+export function takePreloaded(id) {
+  const hit = warm.get(id);
+  warm.delete(id);
+  return hit && Date.now() - hit.at < WARM_MS ? hit.salt : null;
+}
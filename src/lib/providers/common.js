@@ -0,0 +1,23 @@
+/**
+ * Shared by the camera data providers. A provider owns one kind of catalog:
+ *  - `id`, `label`
+ *  - `load(options)` → Promise of normalized cameras: `{ id, provider?, nameFr,
+ *    nameEn, route, region, url, lat, lon, … }` (`provider` defaults to "q511")
+ *  - `variants(camera, salt)` → `{ snap, jpg?, m3u8?, html? }`; `snap` is
+ *    tried first, `jpg` is the fallback image, `m3u8` the optional live stream
+ * Cameras from every provider share one id space, so non-default providers
+ * prefix their ids.
+ */
+
+/** Appends the cache-busting `_rs` parameter. */
+export const withSalt = (url, salt) => (url ? `${url}${url.includes("?") ? "&" : "?"}_rs=${salt}` : url);
+
+/**
+ * Offline demo mode (`VITE_DEMO=1` at build time, or `?demo=1`): the sample
+ * catalog of the demo provider replaces Québec 511, with pictures drawn in
+ * the browser and the saved WFS responses for traffic events.
+ */
+export const DEMO = !!(
+  (typeof import.meta !== 'undefined' && import.meta.env && import.meta.env.VITE_DEMO && import.meta.env.VITE_DEMO !== "0") ||
+  (typeof window !== 'undefined' && new URLSearchParams(window.location.search).get("demo") === "1")
+);
@@ -0,0 +1,147 @@
+import { normalizeCamera } from "./quebec511";
+import { withSalt } from "./common";
+import { sunAltitude } from "@/lib/daylight";
+import catalog from "./demo-catalog.json";
+
+/**
+ * Demo provider, for working without quebec511.info: a sample catalog in the
+ * WFS record shape, and snapshots drawn on a canvas (the camera's name, a
+ * road with moving traffic, the clock, and a sky that follows the sun at the
+ * camera). Each sample camera plays one part so every path of the player can
+ * be tried offline, through its `demo` field:
+ *  - "ok": snapshots; "live": plus the local HLS test stream
+ *  - "jpg": the primary snapshot fails, the fallback image works
+ *  - "dead": both fail; "frozen": the picture never changes
+ *  - "badlive": a stream that doesn't exist, so the player gives up on it
+ *
+ * The stream is `VITE_DEMO_HLS`, by default `/fixtures/hls/index.m3u8`
+ * (`npm run demo:hls` writes one with ffmpeg); without it "live" cameras
+ * exercise the fallback too.
+ */
+
+const HLS = (typeof import.meta !== 'undefined' && import.meta.env && import.meta.env.VITE_DEMO_HLS) || "/fixtures/hls/index.m3u8";
+const MISSING_HLS = "/fixtures/hls/missing.m3u8";
+const BROKEN = "data:image/jpeg;base64,AAAA"; // fails to decode, like a dead camera
+const TZ = "America/Toronto";
+const W = 640;
+const H = 360;
+
+async function loadCatalog() {
+  return catalog.map((r) => ({ ...normalizeCamera(r), id: `demo-${r.IDEcamera}`, provider: "demo", demo: r.demo || "ok" }));
+}
+
+let canvas = null;
+const clock = new Intl.DateTimeFormat("en-CA", { timeZone: TZ, hour: "2-digit", minute: "2-digit", second: "2-digit", hourCycle: "h23" });
+const mix = (a, b, k) => a.map((v, i) => Math.round(v + (b[i] - v) * k));
+const rgb = (c) => `rgb(${c.join(",")})`;
+// a stable number per camera, so cameras don't all look alike
+const seedOf = (id) => [...String(id)].reduce((h, ch) => (h * 31 + ch.charCodeAt(0)) >>> 0, 7);
+
+/** One frame of camera `camera` at `at`, as a JPEG data URL. */
+function drawFrame(camera, at, note = "") {
+  if (!canvas) {
+    canvas = document.createElement("canvas");
+    canvas.width = W;
+    canvas.height = H;
+  }
+  const ctx = canvas.getContext("2d");
+  const seed = seedOf(camera.id);
+  const lat = Number(camera.lat);
+  const lon = Number(camera.lon);
+  const altitude = Number.isFinite(lat) && Number.isFinite(lon) ? sunAltitude(at, lat, lon) : 30;
+  const day = Math.max(0, Math.min(1, (altitude + 8) / 14)); // 0 at night, 1 once the sun is well up
+  const horizon = H * (0.38 + (seed % 7) / 100);
+
+  const sky = ctx.createLinearGradient(0, 0, 0, horizon);
+  sky.addColorStop(0, rgb(mix([6, 10, 30], [86, 150, 220], day)));
+  sky.addColorStop(1, rgb(mix([18, 24, 48], [190, 215, 235], day)));
+  ctx.fillStyle = sky;
+  ctx.fillRect(0, 0, W, horizon);
+  ctx.fillStyle = rgb(mix([10, 14, 10], [70, 105, 60], day));
+  ctx.fillRect(0, horizon, W, H - horizon);
+
+  // the road: a trapezoid to the vanishing point, lane marks and traffic moving down it
+  const vx = W * (0.4 + (seed % 20) / 100);
+  ctx.fillStyle = rgb(mix([20, 20, 24], [95, 95, 100], day));
+  ctx.beginPath();
+  ctx.moveTo(vx - 12, horizon);
+  ctx.lineTo(vx + 12, horizon);
+  ctx.lineTo(W * 0.98, H);
+  ctx.lineTo(W * 0.02, H);
+  ctx.closePath();
+  ctx.fill();
+  const t = at.getTime() / 1000;
+  const along = (k) => horizon + (H - horizon) * k * k; // perspective: marks bunch up near the horizon
+  ctx.fillStyle = rgb(mix([120, 120, 90], [240, 240, 220], day));
+  for (let i = 0; i < 8; i++) {
+    const k = ((i / 8 + t * 0.15) % 1);
+    const y = along(k);
+    const x = vx + (W / 2 - vx) * k;
+    ctx.fillRect(x - 1 - k * 3, y, 2 + k * 6, 2 + k * 14);
+  }
+  for (let i = 0; i < 5; i++) {
+    const k = ((i / 5 + t * (0.05 + (seed % 5) / 100) + ((seed >> i) % 10) / 10) % 1);
+    const y = along(k);
+    const side = i % 2 ? 1 : -1;
+    const x = vx + (W / 2 - vx) * k + side * (20 + k * 120);
+    const w = 8 + k * 70;
+    const h = 5 + k * 35;
+    ctx.fillStyle = rgb(mix([30, 30, 40], [[200, 40, 40], [230, 230, 230], [40, 70, 160], [40, 40, 40], [220, 180, 40]][(seed + i) % 5], day));
+    ctx.fillRect(x - w / 2, y - h, w, h);
+    if (day < 0.5) { // headlights after dark
+      ctx.fillStyle = "rgb(255, 240, 180)";
+      ctx.fillRect(x - w / 2, y - h / 3, w / 5, h / 5);
+      ctx.fillRect(x + w / 2 - w / 5, y - h / 3, w / 5, h / 5);
+    }
+  }
+
+  // caption, like the camera's own: name and clock up top, demo label below
+  ctx.fillStyle = "rgba(0, 0, 0, 0.55)";
+  ctx.fillRect(0, 0, W, 30);
+  ctx.fillStyle = "#fff";
+  ctx.font = "bold 15px system-ui, sans-serif";
+  ctx.textBaseline = "middle";
+  ctx.fillText((camera.nameFr || camera.id).slice(0, 52), 10, 15);
+  ctx.textAlign = "right";
+  ctx.fillText(clock.format(at), W - 10, 15);
+  ctx.textAlign = "left";
+  ctx.font = "12px system-ui, sans-serif";
+  ctx.fillStyle = "rgba(255, 255, 255, 0.8)";
+  ctx.fillText(["DEMO", camera.id, note].filter(Boolean).join(" · "), 10, H - 12);
+  return canvas.toDataURL("image/jpeg", 0.8);
+}
+
+// drawn frames by camera, salt and kind: a preload and the pane asking for the same salt get the same picture
+const frames = new Map();
+const FRAMES_MAX = 32;
+const frozenAt = new Map(); // camera id → the moment its picture stopped
+
+function frameFor(camera, salt, kind) {
+  const key = `${camera.id}|${salt}|${kind}`;
+  let url = frames.get(key);
+  if (!url) {
+    if (camera.demo === "frozen" && !frozenAt.has(camera.id)) frozenAt.set(camera.id, new Date());
+    const at = frozenAt.get(camera.id) || new Date();
+    url = drawFrame(camera, at, kind === "jpg" ? "jpg fallback" : camera.demo === "ok" ? "" : camera.demo);
+    frames.set(key, url);
+    while (frames.size > FRAMES_MAX) frames.delete(frames.keys().next().value);
+  }
+  return url;
+}
+
+export const demoProvider = {
+  id: "demo",
+  label: "Demo",
+  load: loadCatalog,
+  // pictures are drawn on first use: the pane builds variants on every render but only loads the one it shows
+  variants(camera, salt = 0) {
+    const part = camera.demo;
+    return {
+      id: camera.id,
+      get snap() { return part === "jpg" || part === "dead" ? BROKEN : frameFor(camera, salt, "snap"); },
+      get jpg() { return part === "dead" ? BROKEN : frameFor(camera, salt, "jpg"); },
+      m3u8: part === "live" ? withSalt(HLS, salt) : part === "badlive" ? withSalt(MISSING_HLS, salt) : undefined,
+      html: camera.url,
+    };
+  },
+};
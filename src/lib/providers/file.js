@@ -0,0 +1,189 @@
+import { useEffect, useSyncExternalStore } from "react";
+import Papa from "papaparse";
+import { idbGet, idbSet } from "@/lib/idb";
+import { withSalt } from "./common";
+
+/**
+ * Generic provider for user-supplied camera lists (private site cameras and
+ * the like). A GeoJSON or CSV file is parsed into raw rows once; a column
+ * mapping picked in the import dialog turns rows into cameras, so the mapping
+ * can be edited later without the file. Sources are kept in IndexedDB.
+ */
+
+export const FILE_FIELDS = [
+  { key: "name", required: true },
+  { key: "snapshot", required: true },
+  { key: "id" },
+  { key: "stream" },
+  { key: "page" },
+  { key: "lat" },
+  { key: "lon" },
+  { key: "route" },
+  { key: "region" },
+];
+
+// first matching column wins; GeoJSON points show up as the `geometry.*` columns
+const GUESSES = {
+  name: /^(name|nom|title|titre|label|description)/i,
+  snapshot: /snap|image|img|jpe?g|photo|still/i,
+  id: /^(id|uid|camera.?id|ide?camera|code)$/i,
+  stream: /m3u8|hls|stream|video|flux/i,
+  page: /^(page|link|lien|href|url|website)$/i,
+  lat: /^(lat|latitude|y|geometry\.lat)$/i,
+  lon: /^(lon|lng|long|longitude|x|geometry\.lon)$/i,
+  route: /^(route|road|highway|autoroute)/i,
+  region: /^(region|région|area|site|zone)/i,
+};
+
+// errors carry an i18n-friendly `code` (see `sources.err*` messages)
+function importError(code, message) {
+  return Object.assign(new Error(message), { code });
+}
+
+function geojsonRows(data) {
+  return data.features.map((f) => {
+    const [lon, lat] = f?.geometry?.type === "Point" ? f.geometry.coordinates : [];
+    return { ...(f?.properties || {}), "geometry.lat": lat, "geometry.lon": lon };
+  });
+}
+
+/** `{ kind: "geojson" | "json" | "csv", columns, rows }` from the file text; throws with a `code` when nothing usable is found. */
+export function parseCameraFile(text) {
+  let rows;
+  let kind;
+  const trimmed = text.trim();
+  if (trimmed.startsWith("{") || trimmed.startsWith("[")) {
+    let data;
+    try {
+      data = JSON.parse(trimmed);
+    } catch {
+      throw importError("errBadJson", "Not a valid JSON file.");
+    }
+    if (Array.isArray(data?.features)) { rows = geojsonRows(data); kind = "geojson"; }
+    else if (Array.isArray(data)) { rows = data.filter((r) => r && typeof r === "object"); kind = "json"; }
+    else throw importError("errNoFeatures", "No features or rows found in file.");
+  } else {
+    rows = Papa.parse(trimmed, { header: true, skipEmptyLines: true }).data;
+    kind = "csv";
+  }
+  const columns = Array.from(new Set(rows.flatMap((r) => Object.keys(r))));
+  if (!rows.length || !columns.length) throw importError("errEmpty", "The file has no rows.");
+  return { kind, columns, rows };
+}
+
+/** Best guess of `field → column` from the column names. */
+export function guessMapping(columns) {
+  const mapping = {};
+  const taken = new Set();
+  for (const { key } of FILE_FIELDS) {
+    const col = columns.find((c) => !taken.has(c) && GUESSES[key].test(c.trim()));
+    if (col) { mapping[key] = col; taken.add(col); }
+  }
+  return mapping;
+}
+
+const text = (v) => (v == null ? "" : String(v).trim());
+const coord = (v) => {
+  const n = typeof v === "number" ? v : parseFloat(text(v).replace(",", "."));
+  return Number.isFinite(n) ? n : undefined;
+};
+
+/** Cameras of one source; rows without a name or a snapshot URL are left out. */
+export function mapRows(source) {
+  const m = source.mapping || {};
+  const get = (row, key) => (m[key] ? row[m[key]] : undefined);
+  const seen = new Set();
+  const cameras = [];
+  source.rows.forEach((row, i) => {
+    const name = text(get(row, "name"));
+    const snap = text(get(row, "snapshot"));
+    if (!name || !/^https?:\/\//i.test(snap)) return;
+    let id = `${source.id}:${text(get(row, "id")) || i + 1}`;
+    if (seen.has(id)) id = `${id}-${i + 1}`; // duplicate ids in the file
+    seen.add(id);
+    cameras.push({
+      id,
+      provider: "file",
+      source: source.id,
+      number: "",
+      nameFr: name,
+      nameEn: name,
+      since: "",
+      route: text(get(row, "route")),
+      region: text(get(row, "region")) || source.name,
+      border: "",
+      bridge: "",
+      url: text(get(row, "page")) || snap,
+      snapUrl: snap,
+      hlsUrl: text(get(row, "stream")),
+      lat: coord(get(row, "lat")),
+      lon: coord(get(row, "lon")),
+    });
+  });
+  return cameras;
+}
+
+export const fileProvider = {
+  id: "file",
+  label: "File",
+  load: async (source) => mapRows(source),
+  variants(camera, salt = 0) {
+    return {
+      id: camera.id,
+      snap: withSalt(camera.snapUrl, salt),
+      m3u8: camera.hlsUrl || undefined, // streams are often signed: no salt
+      html: camera.url,
+    };
+  },
+};
+
+// ---- imported sources: [{ id, name, kind, columns, rows, mapping, addedAt }] ----
+
+const STORE = ["catalog", "sources"]; // IndexedDB store, key
+let sources = [];
+let loaded = null;
+let version = 0;
+const listeners = new Set();
+
+function emit() {
+  version++;
+  listeners.forEach((l) => l());
+}
+
+function load() {
+  if (!loaded) {
+    loaded = idbGet(STORE[0], STORE[1]).catch(() => null).then((list) => {
+      if (Array.isArray(list)) sources = list;
+      emit();
+    });
+  }
+  return loaded;
+}
+
+async function save(next) {
+  await load();
+  sources = next(sources);
+  emit();
+  await idbSet(STORE[0], STORE[1], sources).catch(() => {});
+}
+
+function newId() {
+  return `src-${Date.now().toString(36)}-${Math.random().toString(36).slice(2, 6)}`;
+}
+
+export const addSource = ({ name, kind, columns, rows, mapping }) =>
+  save((list) => [...list, { id: newId(), name: String(name || "Cameras").slice(0, 80), kind, columns, rows, mapping, addedAt: Date.now() }]);
+export const updateSource = (id, patch) => save((list) => list.map((s) => (s.id === id ? { ...s, ...patch } : s)));
+export const removeSource = (id) => save((list) => list.filter((s) => s.id !== id));
+
+function subscribe(l) {
+  listeners.add(l);
+  return () => listeners.delete(l);
+}
+
+/** Imported camera sources; loads the stored list on first use. */
+export function useCameraSources() {
+  useSyncExternalStore(subscribe, () => version);
+  useEffect(() => { load(); }, []);
+  return sources;
+}
@@ -0,0 +1,21 @@
+import { quebec511 } from "./quebec511";
+import { fileProvider } from "./file";
+import { demoProvider } from "./demo";
+
+/**
+ * Camera data providers (see common.js for the interface). Cameras name their
+ * provider in `camera.provider`; the Québec 511 catalog predates the field,
+ * so cameras without one belong to it.
+ */
+
+const PROVIDERS = { [quebec511.id]: quebec511, [fileProvider.id]: fileProvider, [demoProvider.id]: demoProvider };
+
+export const providerFor = (camera) => PROVIDERS[camera?.provider] || quebec511;
+
+/** Snapshot / stream URLs of a camera, `salt` appended to defeat caches. */
+export const buildVariants = (camera, salt = 0) => (camera ? providerFor(camera).variants(camera, salt) : {});
+
+export { quebec511, ORIGIN } from "./quebec511";
+export { fileProvider, useCameraSources, mapRows } from "./file";
+export { demoProvider } from "./demo";
+export { DEMO } from "./common";
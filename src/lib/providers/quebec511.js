@@ -0,0 +1,99 @@
+import Papa from "papaparse";
+import { withSalt, DEMO } from "./common";
+
+/**
+ * Québec 511 provider: the MTMD WFS camera layer (`ms:infos_cameras`) and the
+ * quebec511.info snapshot / stream URL layout.
+ */
+
+// Proxy-aware base (dev/prod). In dev, point Vite/Netlify/Vercel to rewrite `/q511/*` → https://www.quebec511.info/*
+export const ORIGIN = (typeof import.meta !== 'undefined' && import.meta.env && import.meta.env.VITE_Q511_BASE)
+  ? import.meta.env.VITE_Q511_BASE
+  : (typeof window !== 'undefined' && (window.location.hostname === 'localhost' || window.location.hostname.endsWith('.local'))
+      ? '/q511'
+      : 'https://www.quebec511.info');
+
+const WFS_BASE = "https://ws.mapserver.transports.gouv.qc.ca/swtq";
+// directory of saved WFS responses (`ms_infos_cameras.geojson`, …) to use instead of the live server; the demo uses the samples
+const WFS_FIXTURES = (typeof import.meta !== 'undefined' && import.meta.env && import.meta.env.VITE_WFS_FIXTURES) || (DEMO ? "/fixtures/wfs" : "");
+
+/** URL of one MTMD WFS layer as GeoJSON (WGS84) or CSV. */
+export function wfsUrl(typename, format = "geojson") {
+  if (WFS_FIXTURES) return `${WFS_FIXTURES.replace(/\/$/, "")}/${typename.replace(/\W/g, "_")}.${format}`;
+  const srs = format === "geojson" ? "&srsname=EPSG:4326" : "";
+  return `${WFS_BASE}?service=wfs&version=2.0.0&request=getfeature&typename=${typename}${srs}&outputformat=${format}`;
+}
+
+/** Features of one WFS layer; throws when the server answers with an error. */
+export async function fetchWfsFeatures(typename) {
+  const res = await fetch(wfsUrl(typename), { cache: "no-store" });
+  if (!res.ok) throw new Error(`WFS ${typename} fetch failed: ${res.status}`);
+  const gj = await res.json();
+  return Array.isArray(gj.features) ? gj.features : [];
+}
+
+const CAMERA_LAYER = "ms:infos_cameras";
+
+export function normalizeCamera(r) {
+  return {
+    id: String(r.IDEcamera || r.idecamera || r.id || ""),
+    number: String(r.NumeroCamera || r.numerocamera || ""),
+    nameFr: (r.DescriptionLocalisationFr || "").trim(),
+    nameEn: (r.DescriptionLocalisationEn || "").trim(),
+    since: (r.DateDebutDiffusion || "").trim(),
+    route: String(r.NumeroRoute || "").trim(),
+    region: (r.NomRegionDiffusion || "").trim(),
+    border: (r.NomPosteFrontalier || "").trim(),
+    bridge: (r.NomPontFrontalier || "").trim(),
+    url: (r.URL_FLUX_DONNEE || r.url_flux_donnee || r.url || "").trim(),
+    // some records include a direct image url (French key)
+    imgDirect: (r["url-image-en-direct"] || r.url_image_en_direct || "").trim?.() || "",
+    lat: r.lat,
+    lon: r.lon,
+  };
+}
+
+async function fetchCatalog() {
+  const features = await fetchWfsFeatures(CAMERA_LAYER).catch(() => null);
+  if (features) {
+    return features.map((f) => {
+      const p = f.properties || {};
+      const [lon, lat] = f.geometry?.coordinates || [undefined, undefined];
+      return normalizeCamera({ ...p, lat, lon });
+    });
+  }
+  const res = await fetch(wfsUrl(CAMERA_LAYER, "csv"), { cache: "no-store" });
+  if (!res.ok) throw new Error(`CSV fetch failed: ${res.status}`);
+  const text = await res.text();
+  const parsed = Papa.parse(text, { header: true, skipEmptyLines: true });
+  return parsed.data.map((row) => normalizeCamera(row));
+}
+
+function extractIdFromFenetre(url) {
+  try {
+    const u = new URL(url);
+    const id = u.searchParams.get("id");
+    return id ? String(id) : "";
+  } catch {
+    return "";
+  }
+}
+
+export const quebec511 = {
+  id: "q511",
+  label: "Québec 511",
+  load: fetchCatalog,
+  variants(camera, salt = 0) {
+    const fen = camera?.url || "";
+    const id = extractIdFromFenetre(fen);
+    if (!id) return {};
+    const primarySnap = camera?.imgDirect || `${ORIGIN}/Images/Cameras/Quebec/cam/${id}.jpg`;
+    return {
+      id,
+      snap: withSalt(primarySnap, salt), // primary (dataset-provided or path)
+      jpg: withSalt(`${ORIGIN}/Carte/Fenetres/camera.ashx?id=${id}&format=jpg`, salt), // alt
+      m3u8: withSalt(`${ORIGIN}/Carte/Fenetres/camera.ashx?id=${id}&format=m3u8`, salt), // optional live
+      html: withSalt(fen, salt),
+    };
+  },
+};
@@ -0,0 +1,32 @@
+/**
+ * Hand-simplified Québec outline as `[lon, lat]` rings (a few km of error is
+ * expected). Bundled so the map works offline without any tile server.
+ * The St. Lawrence estuary is cut in as a notch up to Québec City.
+ */
+export const QUEBEC_OUTLINE = [
+  [
+    [-79.52, 47.5], [-79.52, 51.45], [-78.9, 52.3], [-78.6, 54.0], [-79.3, 54.9], [-77.4, 55.9],
+    [-76.6, 56.5], [-76.8, 57.8], [-77.5, 59.6], [-78.0, 60.8], [-77.9, 62.4], [-75.5, 62.3],
+    [-73.0, 62.1], [-70.0, 61.2], [-69.4, 59.0], [-68.5, 58.3], [-66.0, 58.8], [-64.6, 60.3],
+    [-65.3, 59.0], [-67.0, 58.2], [-67.2, 55.8], [-66.8, 54.8], [-67.8, 54.2], [-67.1, 53.0],
+    [-66.3, 52.6], [-64.0, 52.1], [-57.1, 52.0], [-57.1, 51.4], [-59.0, 50.6], [-61.8, 50.2],
+    [-63.6, 50.2], [-66.4, 50.2], [-68.1, 49.2], [-69.7, 48.1], [-70.6, 47.4], [-71.2, 46.85],
+    [-71.15, 46.8], [-70.3, 47.1], [-69.5, 47.8], [-68.5, 48.4], [-67.5, 48.85], [-66.7, 49.1],
+    [-65.3, 49.2], [-64.2, 48.8], [-64.2, 48.5], [-65.5, 48.0], [-66.7, 48.0], [-67.6, 47.9],
+    [-68.3, 47.9], [-68.9, 47.2], [-69.2, 47.45], [-70.0, 46.4], [-70.3, 45.9], [-71.1, 45.3],
+    [-71.5, 45.0], [-74.7, 45.0], [-74.35, 45.3], [-74.4, 45.5], [-75.7, 45.45], [-76.3, 45.5],
+    [-76.9, 45.8], [-77.7, 46.2], [-78.7, 46.3], [-79.4, 47.0],
+  ],
+  // Anticosti
+  [[-64.5, 49.85], [-63.6, 49.6], [-61.7, 49.1], [-61.8, 49.3], [-63.5, 49.85], [-64.4, 49.95]],
+];
+
+/** Reference places drawn as labels on the map. */
+export const QUEBEC_PLACES = [
+  { name: "Montréal", lon: -73.57, lat: 45.5 },
+  { name: "Québec", lon: -71.21, lat: 46.81 },
+  { name: "Gatineau", lon: -75.7, lat: 45.48 },
+  { name: "Sherbrooke", lon: -71.89, lat: 45.4 },
+  { name: "Saguenay", lon: -71.07, lat: 48.43 },
+  { name: "Rimouski", lon: -68.52, lat: 48.45 },
+];
@@ -0,0 +1,201 @@
+import { useCallback, useMemo } from "react";
+import { usePersistentState } from "@/lib/storage";
+
+/**
+ * Rotation rules, persisted in localStorage:
+ *  - per camera: a dwell time of its own and a priority weight (a camera of
+ *    weight 3 comes up three times per cycle, spread out over it)
+ *  - time-of-day schedules: during a window, on chosen weekdays, the rotation
+ *    plays another source ("filter" results, "all" cameras, `region:<name>`
+ *    or `playlist:<id>`). The first matching schedule wins; outside every
+ *    window the regular source plays.
+ *
+ * Times are wall-clock times in the configured timezone. A window may wrap
+ * midnight ("22:00"–"06:00"; its weekdays are the ones it starts on), and one
+ * that starts and ends at the same time lasts all day.
+ *
+ * Shape: { cameras: { [id]: { dwell?, weight? } }, schedules: [{ id, name, days, start, end, source, enabled }] }
+ */
+
+export const MAX_WEIGHT = 5;
+export const WEEKDAYS = [1, 2, 3, 4, 5, 6, 0]; // display order, Monday first; values as Date#getDay
+const DAY_MIN = 24 * 60;
+
+const EMPTY = { cameras: {}, schedules: [] };
+
+function newId() {
+  return `sc-${Date.now().toString(36)}-${Math.random().toString(36).slice(2, 6)}`;
+}
+
+/** "06:30" → 390, or null. */
+export function parseHm(hm) {
+  const m = /^(\d{1,2}):(\d{2})$/.exec(String(hm || "").trim());
+  if (!m || Number(m[1]) > 24 || Number(m[2]) > 59) return null;
+  return Math.min(Number(m[1]) * 60 + Number(m[2]), DAY_MIN);
+}
+
+export const formatHm = (min) => `${String(Math.floor(min / 60) % 24).padStart(2, "0")}:${String(min % 60).padStart(2, "0")}`;
+
+const clocks = new Map(); // tz → formatter
+const DAY_INDEX = { Sun: 0, Mon: 1, Tue: 2, Wed: 3, Thu: 4, Fri: 5, Sat: 6 };
+
+/** Weekday (0 = Sunday) and minutes since midnight of `date` in `tz`. */
+export function zonedClock(date, tz) {
+  let f = clocks.get(tz);
+  if (!f) {
+    try {
+      f = new Intl.DateTimeFormat("en-US", { timeZone: tz, weekday: "short", hour: "2-digit", minute: "2-digit", hourCycle: "h23" });
+    } catch {
+      f = new Intl.DateTimeFormat("en-US", { weekday: "short", hour: "2-digit", minute: "2-digit", hourCycle: "h23" });
+    }
+    clocks.set(tz, f);
+  }
+  const parts = Object.fromEntries(f.formatToParts(date).map((p) => [p.type, p.value]));
+  return { day: DAY_INDEX[parts.weekday] ?? date.getDay(), minutes: (Number(parts.hour) % 24) * 60 + Number(parts.minute) };
+}
+
+// the usable schedules, in order, with their times parsed once
+function compile(schedules) {
+  return (schedules || []).flatMap((s) => {
+    const start = parseHm(s.start);
+    const end = parseHm(s.end);
+    if (s.enabled === false || start == null || end == null) return [];
+    return [{ s, start, end, on: (d) => !s.days?.length || s.days.includes(d) }];
+  });
+}
+
+function matches({ start, end, on }, day, minutes) {
+  if (start === end) return on(day);
+  if (start < end) return on(day) && minutes >= start && minutes < end;
+  return (minutes >= start && on(day)) || (minutes < end && on((day + 6) % 7)); // wraps midnight
+}
+
+const pick = (compiled, day, minutes) => compiled.find((c) => matches(c, day, minutes))?.s || null;
+
+// minutes of the day where the schedule in force may change: midnight and every start and end
+function boundaries(compiled) {
+  const marks = new Set([0]);
+  for (const { start, end } of compiled) for (const m of [start, end]) if (m < DAY_MIN) marks.add(m);
+  return [...marks].sort((a, b) => a - b);
+}
+
+/** The schedule in force at a weekday / minute of the day, or null. */
+export function scheduleFor(schedules, day, minutes) {
+  return pick(compile(schedules), day, minutes);
+}
+
+/** The schedule in force at `date` in `tz`, or null. */
+export function scheduleAt(schedules, date, tz) {
+  const { day, minutes } = zonedClock(date, tz);
+  return scheduleFor(schedules, day, minutes);
+}
+
+/**
+ * A week of `days` starting with today in `tz`, for the preview: each day is
+ * `{ day, segments: [{ start, end, schedule }] }` in minutes of that day.
+ */
+export function weekPlan(schedules, tz, now = new Date(), days = 7) {
+  const compiled = compile(schedules);
+  const marks = boundaries(compiled);
+  const today = zonedClock(now, tz).day;
+  return Array.from({ length: days }, (_, k) => {
+    const day = (today + k) % 7;
+    const segments = [];
+    marks.forEach((m, i) => {
+      const end = marks[i + 1] ?? DAY_MIN;
+      const s = pick(compiled, day, m);
+      const last = segments[segments.length - 1];
+      if (last && last.schedule === s) last.end = end;
+      else segments.push({ start: m, end, schedule: s });
+    });
+    return { day, segments };
+  });
+}
+
+/** Minutes from now until the schedule in force changes (at most a week), or null if it never does. */
+export function minutesUntilChange(schedules, tz, now = new Date()) {
+  const compiled = compile(schedules);
+  const marks = boundaries(compiled);
+  const { day, minutes } = zonedClock(now, tz);
+  const current = pick(compiled, day, minutes);
+  for (let k = 0; k <= 7; k++) {
+    for (const m of marks) {
+      const ahead = k * DAY_MIN + m - minutes;
+      if (ahead <= 0) continue;
+      if (ahead > 7 * DAY_MIN) return null;
+      if (pick(compiled, (day + k) % 7, m) !== current) return ahead;
+    }
+  }
+  return null;
+}
+
+export const weightOf = (rules, id) => Math.max(1, Math.min(MAX_WEIGHT, Math.round(rules?.cameras?.[id]?.weight || 1)));
+
+/**
+ * One rotation cycle where each camera appears `weight` times, spread as
+ * evenly as possible (smooth weighted round-robin), so a heavy camera comes
+ * back regularly instead of in bursts. Unweighted lists come back unchanged.
+ */
+export function weightedCycle(list, rules) {
+  const weights = list.map((c) => weightOf(rules, c.id));
+  if (weights.every((w) => w === 1)) return list;
+  const total = weights.reduce((a, b) => a + b, 0);
+  const credit = new Array(list.length).fill(0);
+  const out = [];
+  for (let k = 0; k < total; k++) {
+    let best = 0;
+    for (let i = 0; i < list.length; i++) {
+      credit[i] += weights[i];
+      if (credit[i] > credit[best]) best = i;
+    }
+    credit[best] -= total;
+    out.push(list[best]);
+  }
+  return out;
+}
+
+/** Per-camera dwell in seconds, or `fallback`. */
+export const dwellOf = (rules, id, fallback) => rules?.cameras?.[id]?.dwell || fallback;
+
+export function useRotationRules() {
+  const [stored, setStored] = usePersistentState("rotation", EMPTY);
+  const rules = useMemo(() => ({
+    cameras: stored?.cameras && typeof stored.cameras === "object" ? stored.cameras : {},
+    schedules: Array.isArray(stored?.schedules) ? stored.schedules : [],
+  }), [stored]);
+  const update = useCallback((fn) => setStored((prev) => fn({ cameras: prev?.cameras || {}, schedules: prev?.schedules || [] })), [setStored]);
+  const mapSchedules = (fn) => update((r) => ({ ...r, schedules: fn(r.schedules) }));
+
+  return {
+    rules,
+    /** Merges `{ dwell?, weight? }` into a camera's rule; a rule left with defaults only is dropped. */
+    setCamera: (id, patch) => update((r) => {
+      const next = { ...r.cameras[id], ...patch };
+      if (!next.dwell) delete next.dwell;
+      if (!next.weight || next.weight === 1) delete next.weight;
+      const cameras = { ...r.cameras };
+      if (Object.keys(next).length) cameras[id] = next;
+      else delete cameras[id];
+      return { ...r, cameras };
+    }),
+    clearCamera: (id) => update((r) => {
+      const cameras = { ...r.cameras };
+      delete cameras[id];
+      return { ...r, cameras };
+    }),
+    addSchedule: (fields) => {
+      const id = newId();
+      mapSchedules((list) => [...list, { id, name: "", days: [], start: "06:00", end: "09:00", source: "all", enabled: true, ...fields }]);
+      return id;
+    },
+    updateSchedule: (id, patch) => mapSchedules((list) => list.map((s) => (s.id === id ? { ...s, ...patch } : s))),
+    removeSchedule: (id) => mapSchedules((list) => list.filter((s) => s.id !== id)),
+    moveSchedule: (from, to) => mapSchedules((list) => {
+      if (from === to || from < 0 || from >= list.length || to < 0 || to >= list.length) return list;
+      const next = [...list];
+      const [item] = next.splice(from, 1);
+      next.splice(to, 0, item);
+      return next;
+    }),
+  };
+}
@@ -0,0 +1,195 @@
+import { useCallback, useEffect, useRef, useState } from "react";
+
+/**
+ * Extra display windows ("screens") kept in step with one controller window
+ * over a BroadcastChannel. Every window of the app joins the channel; a
+ * window opened with `?screen=N` is a display, the others are candidate
+ * controllers and one of them (the last to open a screen, or to take
+ * control) drives.
+ *
+ * Messages, all `{ type, ... }`:
+ *  - "hello" / "bye" { screen }  display → controller, on load, every few seconds, on unload
+ *  - "state" { settings, ids, playing }  controller → displays, on every change and in reply to "hello"
+ *  - "command" { action }  display → controller: "next", "prev" or "toggle"
+ *  - "claim" { from }  a window takes control; the previous controller steps down
+ *  - "close"  controller → displays: close the windows it opened
+ *
+ * `ids` are the cameras of the slots of the rotation: the controller's own
+ * camera first, then the ones coming up after it. Display N shows `ids[N]`.
+ */
+
+export const MAX_SCREENS = 8;
+const CHANNEL = "q511-screens";
+const HEARTBEAT_MS = 5000;
+const LOST_MS = 15_000; // no word for this long: the other side is gone
+const CONTROL_KEY = "q511.screens.control"; // sessionStorage: a reloaded controller stays in control
+
+export const screensSupported = typeof BroadcastChannel !== "undefined";
+const windowId = Math.random().toString(36).slice(2, 10);
+
+function readControl() {
+  try {
+    return window.sessionStorage.getItem(CONTROL_KEY) === "1";
+  } catch {
+    return false;
+  }
+}
+
+function writeControl(on) {
+  try {
+    if (on) window.sessionStorage.setItem(CONTROL_KEY, "1");
+    else window.sessionStorage.removeItem(CONTROL_KEY);
+  } catch {}
+}
+
+/** URL of display window `n`: this page and its settings, as a kiosk on screen `n`. */
+function screenUrl(n) {
+  const params = new URLSearchParams(window.location.search);
+  params.delete("cam");
+  params.delete("grid");
+  params.set("screen", String(n));
+  params.set("kiosk", "1");
+  return `${window.location.pathname}?${params}${window.location.hash}`;
+}
+
+/**
+ * Joins the screens channel. `screen` is this window's display number (0 for
+ * a regular window), `settings` the state to hand to displays; displays get
+ * the controller's settings through `onSettings(patch)`, minus `localKeys`.
+ *
+ * Returns, for a regular window: `controlling`, `screens` (display numbers
+ * seen recently), `command` (`{ action, nonce }` from a display, for the
+ * player), `publish({ ids, playing })`, `openScreen()`, `closeScreens()`,
+ * `takeControl()`. For a display: `follow` (`{ ids, playing }` or null
+ * before the first word from a controller), `lost` and `send(action)`.
+ */
+export function useScreenSync({ screen = 0, settings, onSettings, localKeys = [] }) {
+  const display = screen > 0;
+  const channel = useRef(null);
+  const [controlling, setControlling] = useState(() => !display && readControl());
+  const [screens, setScreens] = useState([]);
+  const [command, setCommand] = useState(null);
+  const [follow, setFollow] = useState(null);
+  const [lost, setLost] = useState(false);
+
+  const controllingRef = useRef(controlling);
+  controllingRef.current = controlling;
+  const settingsRef = useRef(settings);
+  settingsRef.current = settings;
+  const onSettingsRef = useRef(onSettings);
+  onSettingsRef.current = onSettings;
+  const rotation = useRef({ ids: [], playing: false });
+  const lastSent = useRef("");
+  const seen = useRef(new Map()); // display number → last heard from
+  const heardAt = useRef(0);
+
+  const post = (msg) => channel.current?.postMessage(msg);
+  // controller → displays; unchanged states are only repeated in reply to a "hello"
+  const sendState = useCallback((force = false) => {
+    if (!controllingRef.current) return;
+    const msg = { type: "state", settings: settingsRef.current, ...rotation.current };
+    const json = JSON.stringify(msg);
+    if (!force && json === lastSent.current) return;
+    lastSent.current = json;
+    post(msg);
+  }, []);
+
+  const refreshScreens = () => {
+    const now = Date.now();
+    for (const [n, at] of seen.current) if (now - at > LOST_MS) seen.current.delete(n);
+    const list = [...seen.current.keys()].sort((a, b) => a - b);
+    setScreens((prev) => (prev.join() === list.join() ? prev : list));
+  };
+
+  useEffect(() => {
+    if (!screensSupported) return;
+    const ch = new BroadcastChannel(CHANNEL);
+    channel.current = ch;
+    ch.onmessage = ({ data: msg }) => {
+      if (!msg || typeof msg !== "object") return;
+      if (display) {
+        if (msg.type === "state") {
+          heardAt.current = Date.now();
+          setLost(false);
+          setFollow((prev) => (prev && prev.playing === msg.playing && prev.ids.join() === msg.ids.join() ? prev : { ids: msg.ids, playing: msg.playing }));
+          const patch = {};
+          for (const [k, v] of Object.entries(msg.settings || {})) {
+            if (!localKeys.includes(k) && k in settingsRef.current && settingsRef.current[k] !== v) patch[k] = v;
+          }
+          if (Object.keys(patch).length) onSettingsRef.current?.(patch);
+        } else if (msg.type === "close") {
+          window.close();
+        }
+        return;
+      }
+      if (msg.type === "hello" || msg.type === "bye") {
+        if (msg.type === "hello") seen.current.set(msg.screen, Date.now());
+        else seen.current.delete(msg.screen);
+        refreshScreens();
+        if (msg.type === "hello") sendState(true);
+      } else if (msg.type === "command" && controllingRef.current) {
+        setCommand({ action: msg.action, nonce: Date.now() + Math.random() });
+      } else if (msg.type === "claim" && msg.from !== windowId) {
+        setControlling(false);
+        writeControl(false);
+      }
+    };
+
+    let timer;
+    const bye = () => post({ type: "bye", screen });
+    if (display) {
+      const hello = () => {
+        post({ type: "hello", screen });
+        if (heardAt.current && Date.now() - heardAt.current > LOST_MS) setLost(true);
+      };
+      hello();
+      timer = setInterval(hello, HEARTBEAT_MS);
+      window.addEventListener("pagehide", bye);
+    } else {
+      timer = setInterval(refreshScreens, HEARTBEAT_MS);
+    }
+    return () => {
+      clearInterval(timer);
+      if (display) {
+        bye();
+        window.removeEventListener("pagehide", bye);
+      }
+      ch.close();
+      channel.current = null;
+    };
+    // eslint-disable-next-line react-hooks/exhaustive-deps
+  }, [display, screen]);
+
+  // settings changed (filters, live, timezone…): pass them on
+  useEffect(() => { sendState(); }, [settings, controlling, sendState]);
+
+  const publish = useCallback((next) => {
+    rotation.current = next;
+    sendState();
+  }, [sendState]);
+
+  const takeControl = useCallback(() => {
+    setControlling(true);
+    controllingRef.current = true;
+    writeControl(true);
+    post({ type: "claim", from: windowId });
+    sendState(true);
+  }, [sendState]);
+
+  const openScreen = useCallback(() => {
+    let n = 1;
+    while (seen.current.has(n) && n < MAX_SCREENS) n++;
+    window.open(screenUrl(n), `q511-screen-${n}`, "popup");
+    takeControl();
+  }, [takeControl]);
+
+  const closeScreens = useCallback(() => {
+    post({ type: "close" });
+    seen.current.clear();
+    setScreens([]);
+  }, []);
+
+  const send = useCallback((action) => post({ type: "command", action }), []);
+
+  return { supported: screensSupported, display, controlling, screens, command, publish, openScreen, closeScreens, takeControl, follow, lost, send };
+}
@@ -0,0 +1,165 @@
+/**
+ * Camera search: accent-insensitive, typo-tolerant, word order free, ranked.
+ *
+ * A query is words plus optional qualifiers: `route:20`, `region:Laval`,
+ * `border:` / `bridge:` (empty: any crossing or bridge; else its name),
+ * `id:3001`, with French aliases (`région:`, `frontière:`, `pont:`) and
+ * quotes for values with spaces (`region:"bas-saint-laurent"`). Every word
+ * must match a word of the camera's names, route, region, bridge or border
+ * crossing: exactly, as a prefix (still typing), or within one or two typos.
+ *
+ * The index keeps each camera's words; a query first scores the whole
+ * vocabulary once per word, so matching a camera is a few map lookups, fast
+ * enough for every keystroke over the full provincial catalog.
+ */
+
+const QUALIFIERS = { route: "route", region: "region", border: "border", frontiere: "border", poste: "border", bridge: "bridge", pont: "bridge", id: "id" };
+const SECONDARY = 0.7; // weight of region / bridge / border words next to the name and route
+
+/** Lower case without accents: "Montréal" → "montreal". */
+export const fold = (s) => String(s ?? "").normalize("NFD").replace(/\p{M}/gu, "").toLowerCase();
+
+// same, one character per character, so positions in the result are positions in `s`
+const foldInPlace = (s) => s.split("").map((ch) => fold(ch)[0] || ch).join("");
+
+const WORD = /[\p{L}\p{N}]+/gu;
+const words = (s) => fold(s).match(WORD) || [];
+const isNumber = (w) => /^\d+$/.test(w);
+
+/** Optimal string alignment distance, giving up (Infinity) past `max`. */
+function distance(a, b, max) {
+  if (Math.abs(a.length - b.length) > max) return Infinity;
+  let prev2 = null;
+  let prev = Array.from({ length: b.length + 1 }, (_, j) => j);
+  for (let i = 1; i <= a.length; i++) {
+    const row = [i];
+    let best = i;
+    for (let j = 1; j <= b.length; j++) {
+      let d = Math.min(prev[j] + 1, row[j - 1] + 1, prev[j - 1] + (a[i - 1] === b[j - 1] ? 0 : 1));
+      if (prev2 && i > 1 && j > 1 && a[i - 1] === b[j - 2] && a[i - 2] === b[j - 1]) d = Math.min(d, prev2[j - 2] + 1); // swapped letters
+      row.push(d);
+      if (d < best) best = d;
+    }
+    if (best > max) return Infinity;
+    prev2 = prev;
+    prev = row;
+  }
+  return prev[b.length];
+}
+
+/** How well query word `term` matches index word `word`: 1 exact … 0 no match. */
+export function termScore(term, word) {
+  if (word === term) return 1;
+  if (word.startsWith(term)) return term.length > 1 ? 0.8 : 0.4;
+  if (term.length < 4 || isNumber(term) || isNumber(word)) return 0; // short words and numbers must be typed right
+  const max = term.length >= 8 ? 2 : 1;
+  const d = distance(term, word, max);
+  if (d <= max) return d === 1 ? 0.6 : 0.45;
+  return distance(term, word.slice(0, term.length), 1) <= 1 ? 0.4 : 0; // a typo in a word still being typed
+}
+
+/** `{ terms, filters: [{ key, value }] }` from the search box text. */
+export function parseQuery(text) {
+  const terms = [];
+  const filters = [];
+  for (const m of String(text || "").matchAll(/([\p{L}]+):("[^"]*"?|\S*)|"([^"]*)"?|(\S+)/gu)) {
+    const key = m[1] && QUALIFIERS[fold(m[1])];
+    if (key) filters.push({ key, value: fold(m[2].replace(/"/g, "")).trim() });
+    else terms.push(...words(m[3] ?? m[4] ?? m[0]));
+  }
+  return { terms, filters };
+}
+
+// words of a field, plus "a20" for "A-20" so a route can be typed either way
+function fieldWords(s) {
+  const list = words(s);
+  const out = [...list];
+  for (let i = 0; i + 1 < list.length; i++) if (/^[a-z]{1,2}$/.test(list[i]) && isNumber(list[i + 1])) out.push(list[i] + list[i + 1]);
+  return out;
+}
+
+/** Search index of `cameras`; rebuild it when the catalog changes. */
+export function createSearchIndex(cameras) {
+  const vocab = new Set();
+  const entries = cameras.map((c) => {
+    const tokens = new Map(); // word → weight
+    const add = (s, weight) => {
+      for (const w of fieldWords(s)) {
+        if (!(tokens.get(w) >= weight)) tokens.set(w, weight);
+        vocab.add(w);
+      }
+    };
+    add(c.nameFr, 1);
+    add(c.nameEn, 1);
+    add(c.route, 1);
+    add(c.region, SECONDARY);
+    add(c.bridge, SECONDARY);
+    add(c.border, SECONDARY);
+    return { camera: c, tokens, fields: { route: fold(c.route), region: words(c.region), bridge: words(c.bridge), border: words(c.border), id: [fold(c.id), fold(c.number)] } };
+  });
+  return { entries, vocab: [...vocab], termCache: new Map() };
+}
+
+function passes(entry, { key, value }) {
+  const f = entry.fields;
+  if (key === "route") return !value || f.route === value || f.route === value.replace(/^[a-z]+-?/, "");
+  if (key === "id") return !!value && f.id.some((id) => id === value || id.endsWith(`-${value}`));
+  const have = f[key];
+  if (!value) return have.length > 0;
+  return words(value).every((v) => have.some((w) => termScore(v, w) > 0));
+}
+
+/**
+ * Matching camera ids → score (higher is better), or null for an empty
+ * query (everything matches).
+ */
+export function searchCameras(index, { terms, filters }) {
+  if (!terms.length && !filters.length) return null;
+  // vocabulary words matching each term; kept, since typing only ever changes the last term
+  if (index.termCache.size > 200) index.termCache.clear();
+  const termMaps = terms.map((term) => {
+    let m = index.termCache.get(term);
+    if (!m) {
+      m = new Map();
+      for (const w of index.vocab) {
+        const s = termScore(term, w);
+        if (s > 0) m.set(w, s);
+      }
+      index.termCache.set(term, m);
+    }
+    return m;
+  });
+  const scores = new Map();
+  for (const entry of index.entries) {
+    if (!filters.every((f) => passes(entry, f))) continue;
+    let total = 0;
+    let all = true;
+    for (const m of termMaps) {
+      let best = 0;
+      for (const [w, weight] of entry.tokens) {
+        const s = m.get(w);
+        if (s && s * weight > best) best = s * weight;
+      }
+      if (!best) { all = false; break; }
+      total += best;
+    }
+    if (all) scores.set(entry.camera.id, total || 1);
+  }
+  return scores;
+}
+
+/** `[start, end)` ranges of `text` matched by the query `terms`, for highlighting. */
+export function highlightRanges(text, terms) {
+  if (!text || !terms?.length) return [];
+  const ranges = [];
+  for (const m of foldInPlace(text).matchAll(WORD)) {
+    const word = m[0];
+    let end = 0;
+    for (const term of terms) {
+      if (!termScore(term, word)) continue;
+      end = Math.max(end, word.startsWith(term) ? term.length : word.length); // a prefix lights up only what was typed
+    }
+    if (end) ranges.push([m.index, m.index + end]);
+  }
+  return ranges;
+}
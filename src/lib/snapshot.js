@@ -0,0 +1,42 @@
+/**
+ * Script-side reads of camera snapshots, shared by the capture-time badge,
+ * the history buffer and the frozen-feed check. `<img>` tags can display
+ * cross-origin pictures, but reading their bytes or pixels needs the proxy
+ * (or CORS upstream). A CORS refusal looks like any network error, so only
+ * reads of pictures an `<img>` just showed count: a few of those failing in
+ * a row mark snapshots unreadable, for a while that doubles each time reads
+ * are tried again and still fail (a network blip costs minutes, not the session).
+ */
+
+const BLOCK_AFTER = 3; // failed reads of shown pictures in a row
+const BLOCK_MS = 5 * 60_000;
+const MAX_BLOCK_MS = 60 * 60_000;
+
+let failures = 0;
+let blockedUntil = 0;
+
+export const snapshotsReadable = () => Date.now() >= blockedUntil;
+
+/**
+ * Resolves `{ blob, headers, fetchedAt }`, or null when the read failed or
+ * isn't allowed. `shown`: an `<img>` has just loaded `url`, so a failure
+ * most likely means reads aren't allowed.
+ */
+export async function fetchSnapshot(url, { shown = false } = {}) {
+  if (!snapshotsReadable() || !url) return null;
+  let res;
+  try {
+    res = await fetch(url, { cache: "force-cache" });
+  } catch {
+    if (shown && ++failures >= BLOCK_AFTER) {
+      blockedUntil = Date.now() + Math.min(BLOCK_MS * 2 ** (failures - BLOCK_AFTER), MAX_BLOCK_MS);
+    }
+    return null;
+  }
+  failures = 0;
+  if (!res.ok) return null;
+  const fetchedAt = Date.now();
+  const blob = await res.blob().catch(() => null);
+  if (!blob || !blob.type.startsWith("image/")) return null;
+  return { blob, headers: res.headers, fetchedAt };
+}
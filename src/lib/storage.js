@@ -0,0 +1,27 @@
+import { useEffect, useState } from "react";
+
+/** localStorage helpers. All keys live under the `q511.` prefix; failures (private mode, quota) are ignored. */
+
+const PREFIX = "q511.";
+
+export function readStored(key, fallback) {
+  try {
+    const raw = window.localStorage.getItem(PREFIX + key);
+    return raw == null ? fallback : JSON.parse(raw);
+  } catch {
+    return fallback;
+  }
+}
+
+export function writeStored(key, value) {
+  try {
+    window.localStorage.setItem(PREFIX + key, JSON.stringify(value));
+  } catch {}
+}
+
+/** `useState` that is read from and written back to localStorage. */
+export function usePersistentState(key, initial) {
+  const [value, setValue] = useState(() => readStored(key, typeof initial === "function" ? initial() : initial));
+  useEffect(() => { writeStored(key, value); }, [key, value]);
+  return [value, setValue];
+}
@@ -0,0 +1,100 @@
+import { GIFEncoder, quantize, applyPalette } from "gifenc";
+import { getFrameBlob } from "@/lib/history";
+
+/**
+ * Timelapse export of stored history frames. Frames are drawn on a canvas
+ * (scaled to `maxWidth`, optional caption from `label(frame)`), then either
+ * encoded to an animated GIF or recorded to WebM with MediaRecorder.
+ */
+
+const sleep = (ms) => new Promise((r) => setTimeout(r, ms));
+
+async function decodeFrames(frames) {
+  const out = [];
+  for (const f of frames) {
+    const blob = await getFrameBlob(f.key).catch(() => null);
+    if (!blob) continue; // trimmed while we were reading
+    try {
+      out.push({ frame: f, bitmap: await createImageBitmap(blob) });
+    } catch {}
+  }
+  if (!out.length) throw new Error("No frames to export");
+  return out;
+}
+
+function makeCanvas(bitmap, maxWidth) {
+  const scale = Math.min(1, maxWidth / bitmap.width);
+  const canvas = document.createElement("canvas");
+  canvas.width = Math.round(bitmap.width * scale);
+  canvas.height = Math.round(bitmap.height * scale);
+  return canvas;
+}
+
+function drawFrame(ctx, bitmap, caption) {
+  const { width: w, height: h } = ctx.canvas;
+  ctx.drawImage(bitmap, 0, 0, w, h);
+  if (!caption) return;
+  const size = Math.max(11, Math.round(h / 28));
+  ctx.font = `${size}px system-ui, sans-serif`;
+  const pad = Math.round(size / 2);
+  const tw = ctx.measureText(caption).width;
+  ctx.fillStyle = "rgba(0,0,0,0.6)";
+  ctx.fillRect(pad, h - size - pad * 3, tw + pad * 2, size + pad * 2);
+  ctx.fillStyle = "#fff";
+  ctx.textBaseline = "top";
+  ctx.fillText(caption, pad * 2, h - size - pad * 2);
+}
+
+export async function exportGif(frames, { fps = 4, maxWidth = 640, label, onProgress } = {}) {
+  const images = await decodeFrames(frames);
+  const canvas = makeCanvas(images[0].bitmap, maxWidth);
+  const ctx = canvas.getContext("2d", { willReadFrequently: true });
+  const gif = GIFEncoder();
+  const delay = Math.round(1000 / fps);
+  for (let i = 0; i < images.length; i++) {
+    drawFrame(ctx, images[i].bitmap, label?.(images[i].frame));
+    const { data } = ctx.getImageData(0, 0, canvas.width, canvas.height);
+    const palette = quantize(data, 256);
+    gif.writeFrame(applyPalette(data, palette), canvas.width, canvas.height, { palette, delay });
+    onProgress?.((i + 1) / images.length);
+    await sleep(0); // keep the page responsive between frames
+  }
+  gif.finish();
+  images.forEach((im) => im.bitmap.close?.());
+  return new Blob([gif.bytes()], { type: "image/gif" });
+}
+
+function webmType() {
+  if (typeof MediaRecorder === "undefined" || typeof HTMLCanvasElement === "undefined" || !HTMLCanvasElement.prototype.captureStream) return "";
+  return ["video/webm;codecs=vp9", "video/webm;codecs=vp8", "video/webm"].find((t) => MediaRecorder.isTypeSupported(t)) || "";
+}
+
+export const canExportWebm = () => !!webmType();
+
+/** Records in real time: a 60-frame range at 4 fps takes 15 s. */
+export async function exportWebm(frames, { fps = 4, maxWidth = 1280, label, onProgress } = {}) {
+  const mimeType = webmType();
+  if (!mimeType) throw new Error("WebM recording is not supported in this browser");
+  const images = await decodeFrames(frames);
+  const canvas = makeCanvas(images[0].bitmap, maxWidth);
+  const ctx = canvas.getContext("2d");
+  const stream = canvas.captureStream(0);
+  const [track] = stream.getVideoTracks();
+  const recorder = new MediaRecorder(stream, { mimeType, videoBitsPerSecond: 4_000_000 });
+  const chunks = [];
+  recorder.ondataavailable = (e) => { if (e.data.size) chunks.push(e.data); };
+  const stopped = new Promise((resolve) => { recorder.onstop = resolve; });
+
+  recorder.start();
+  for (let i = 0; i < images.length; i++) {
+    drawFrame(ctx, images[i].bitmap, label?.(images[i].frame));
+    track.requestFrame?.();
+    onProgress?.((i + 1) / images.length);
+    await sleep(1000 / fps);
+  }
+  recorder.stop();
+  await stopped;
+  track.stop();
+  images.forEach((im) => im.bitmap.close?.());
+  return new Blob(chunks, { type: "video/webm" });
+}
@@ -0,0 +1,99 @@
+import { useCallback, useEffect, useRef, useState } from "react";
+import { readStored, writeStored } from "@/lib/storage";
+
+/**
+ * State mirrored into the query string (shareable, back/forward aware) and
+ * remembered in localStorage.
+ *
+ * `schema` maps state keys to `{ param, def, type: "string" | "int" | "bool", min, max, push, persist }`:
+ *  - values equal to `def` are left out of the URL
+ *  - `push: true` keys create a history entry when changed; the rest replace the current one
+ *  - `persist: false` keys are not saved to localStorage (e.g. the current camera)
+ *
+ * A URL carrying any known param wins over storage, so a shared link opens
+ * exactly as sent; a bare URL restores the last-used settings.
+ */
+
+function normalize(spec, v) {
+  if (spec.type === "bool") return v === true || v === "1" || v === "true";
+  if (spec.type === "int") {
+    const n = Math.round(Number(v));
+    if (!Number.isFinite(n)) return spec.def;
+    return Math.min(spec.max ?? Infinity, Math.max(spec.min ?? -Infinity, n));
+  }
+  return v == null ? spec.def : String(v);
+}
+
+function serialize(spec, v) {
+  return spec.type === "bool" ? (v ? "1" : "0") : String(v);
+}
+
+export function readUrlState(schema, search = window.location.search) {
+  const params = new URLSearchParams(search);
+  const state = {};
+  let found = false;
+  for (const [key, spec] of Object.entries(schema)) {
+    if (params.has(spec.param)) {
+      found = true;
+      state[key] = normalize(spec, params.get(spec.param));
+    } else {
+      state[key] = spec.def;
+    }
+  }
+  return { state, found };
+}
+
+function toSearch(schema, state) {
+  const params = new URLSearchParams(window.location.search); // unrelated params are kept
+  for (const [key, spec] of Object.entries(schema)) {
+    if (state[key] === spec.def) params.delete(spec.param);
+    else params.set(spec.param, serialize(spec, state[key]));
+  }
+  const s = params.toString();
+  return s ? `?${s}` : "";
+}
+
+function initialState(schema, storageKey) {
+  const { state, found } = readUrlState(schema);
+  if (found || !storageKey) return state;
+  const stored = readStored(storageKey, {});
+  for (const [key, spec] of Object.entries(schema)) {
+    if (spec.persist !== false && stored && key in stored) state[key] = normalize(spec, stored[key]);
+  }
+  return state;
+}
+
+export function useUrlState(schema, storageKey) {
+  const [state, setState] = useState(() => initialState(schema, storageKey));
+  const pushNext = useRef(false);
+
+  const update = useCallback((patch) => {
+    if (Object.keys(patch).some((k) => schema[k]?.push)) pushNext.current = true;
+    setState((prev) => ({ ...prev, ...patch }));
+  }, [schema]);
+
+  // state → URL and storage
+  useEffect(() => {
+    const search = toSearch(schema, state);
+    if (search !== window.location.search) {
+      const url = `${window.location.pathname}${search}${window.location.hash}`;
+      if (pushNext.current) window.history.pushState(null, "", url);
+      else window.history.replaceState(null, "", url);
+    }
+    pushNext.current = false;
+    if (storageKey) {
+      const keep = {};
+      for (const [key, spec] of Object.entries(schema)) if (spec.persist !== false) keep[key] = state[key];
+      writeStored(storageKey, keep);
+    }
+  }, [schema, state, storageKey]);
+
+  // back/forward → state
+  useEffect(() => {
+    const onPop = () => setState(readUrlState(schema).state);
+    window.addEventListener("popstate", onPop);
+    return () => window.removeEventListener("popstate", onPop);
+  }, [schema]);
+
+  return [state, update];
+}
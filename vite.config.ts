@@ -2,9 +2,10 @@
 import { defineConfig } from 'vite'
 import react from '@vitejs/plugin-react'
 import path from 'path'
+import bundledCatalog from './plugins/bundled-catalog.js'
 
 export default defineConfig({
-  plugins: [react()],
+  plugins: [react(), bundledCatalog()],
     base: '/',
   resolve: {
     alias: {